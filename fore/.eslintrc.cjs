@@ -1,12 +1,12 @@
 module.exports = {
   "env": {
     "browser": true,
-    "es2018": true,
+    "es2020": true,
     "node": true
   },
   "extends": "eslint:recommended",
   "parserOptions": {
-    "ecmaVersion": 2018,
+    "ecmaVersion": 2020,
     "sourceType": "module"
   },
   "rules": {
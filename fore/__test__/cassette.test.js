@@ -0,0 +1,266 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import axios from "axios";
+
+import {
+	Foresight,
+	ForesightCassetteError,
+	ForesightNotFoundError,
+	ForesightValidationError,
+	MetricType,
+} from "../index.js";
+import { diffLines } from "../src/cassette.js";
+import { FakeForesight } from "../testing.js";
+
+const apiToken = "VERY_SECRET_TOKEN";
+const runConfig = {
+	evalsetId: "evalset",
+	experimentId: "experiment",
+	metrics: [MetricType.GROUNDEDNESS],
+};
+const generateFn = (query) => ({
+	generatedResponse: `answer to ${query}`,
+	contexts: ["context"],
+});
+
+// An axios instance that fails every request, to show that replays stay offline.
+const offlineAxios = () =>
+	axios.create({
+		adapter: () => Promise.reject(new Error("No network in tests.")),
+	});
+
+const runPipeline = async (foresight) => {
+	await foresight.createSimpleEvalset({
+		evalsetId: "evalset",
+		queries: ["q1", "q2"],
+	});
+	await foresight.generateAnswersAndRunEval({ generateFn, runConfig });
+	return foresight.getEvalrunDetails({ experimentId: "experiment" });
+};
+
+describe("cassettes", () => {
+	let tmpDir;
+	let cassettePath;
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "fore-cassette-"));
+		cassettePath = path.join(tmpDir, "cassette.json");
+	});
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	const record = async (run) => {
+		const fake = new FakeForesight({ scores: 0.75 });
+		const foresight = new Foresight({
+			apiToken,
+			axiosInstance: fake.createAxiosInstance(),
+			logger: null,
+			cassette: { path: cassettePath, mode: "record" },
+		});
+		try {
+			return await run(foresight);
+		} finally {
+			await foresight.close();
+		}
+	};
+
+	const replay = async (run, options = {}) => {
+		const foresight = new Foresight({
+			apiToken,
+			axiosInstance: offlineAxios(),
+			logger: null,
+			maxRetries: 0,
+			cassette: { path: cassettePath, mode: "replay", ...options },
+		});
+		try {
+			return await run(foresight);
+		} finally {
+			await foresight.close();
+		}
+	};
+
+	it("should replay a recorded pipeline offline", async () => {
+		const recorded = await record(runPipeline);
+		const replayed = await replay(runPipeline);
+
+		expect(replayed).toEqual(recorded);
+		expect(replayed.entries[0].metricValues).toEqual({
+			GROUNDEDNESS: 0.75,
+		});
+	});
+
+	it("should not record the API token", async () => {
+		await record(runPipeline);
+
+		const text = fs.readFileSync(cassettePath, "utf8");
+		expect(text).not.toContain(apiToken);
+		const { interactions } = JSON.parse(text);
+		expect(interactions.map(({ request }) => request.path)).toEqual([
+			"/api/eval/set",
+			"/api/eval/run",
+			"/api/eval/run/queries",
+			"/api/eval/run/entries",
+			"/api/eval/run/details",
+		]);
+		expect(interactions[0].request.headers.Authorization).toBe(
+			"[REDACTED]"
+		);
+		expect(interactions[0].request.body.evalset_id).toBe("evalset");
+	});
+
+	it("should replay error responses", async () => {
+		const getMissing = (foresight) =>
+			foresight.getEvalset({ evalsetId: "missing" });
+		await expect(record(getMissing)).rejects.toThrow(
+			ForesightNotFoundError
+		);
+		await expect(replay(getMissing)).rejects.toThrow(
+			ForesightNotFoundError
+		);
+	});
+
+	it("should fail with a diff on a mismatched request", async () => {
+		await record(runPipeline);
+
+		let error;
+		try {
+			await replay((foresight) =>
+				foresight.createSimpleEvalset({
+					evalsetId: "evalset",
+					queries: ["q1", "q3"],
+				})
+			);
+		} catch (e) {
+			error = e;
+		}
+
+		expect(error).toBeInstanceOf(ForesightCassetteError);
+		expect(error.message).toContain(
+			"POST /api/eval/set does not match the recorded requests"
+		);
+		expect(error.message).toContain('-         "query": "q2"');
+		expect(error.message).toContain('+         "query": "q3"');
+		expect(error.expected.body.evalset_entries[1].query).toBe("q2");
+		expect(error.actual.body.evalset_entries[1].query).toBe("q3");
+	});
+
+	it("should replay streamed logs whatever their timings", async () => {
+		async function* tokens(delayMs) {
+			await new Promise((resolve) => setTimeout(resolve, delayMs));
+			yield "Hel";
+			yield "lo";
+		}
+		const logStream = (delayMs) => async (foresight) => {
+			const stream = await foresight.log({
+				query: "q1",
+				response: tokens(delayMs),
+				contexts: ["context"],
+				tag: "streamed",
+			});
+			for await (const _ of stream);
+			await new Promise((resolve) => setImmediate(resolve));
+			return foresight.flush();
+		};
+
+		await record(logStream(50));
+		const { streamed } = await replay(logStream(0));
+
+		expect(streamed.error).toBeNull();
+
+		const { interactions } = JSON.parse(
+			fs.readFileSync(cassettePath, "utf8")
+		);
+		const { debug_info } =
+			interactions[interactions.length - 1].request.body.log_entries[0]
+				.inference_output;
+		expect(debug_info.timeToFirstTokenMs).toBeGreaterThanOrEqual(50);
+	});
+
+	it("should fail when no recorded request is left", async () => {
+		await record((foresight) =>
+			foresight.getEvalrunSummaries({ evalsetId: "evalset" })
+		);
+
+		await expect(
+			replay(async (foresight) => {
+				await foresight.getEvalrunSummaries({ evalsetId: "evalset" });
+				await foresight.getEvalrunSummaries({ evalsetId: "evalset" });
+			})
+		).rejects.toThrow(
+			`No recorded request left in ${cassettePath} for GET /api/eval/run/summaries.`
+		);
+	});
+
+	it("should record responses received over HTTP", async () => {
+		const fake = new FakeForesight();
+		const { url, close } = await fake.listen();
+		const foresight = new Foresight({
+			apiToken,
+			apiUrl: url,
+			logger: null,
+			cassette: { path: cassettePath, mode: "record" },
+		});
+		try {
+			await foresight.createSimpleEvalset({
+				evalsetId: "evalset",
+				queries: ["q1"],
+			});
+		} finally {
+			await foresight.close();
+			await close();
+		}
+
+		const { interactions } = JSON.parse(
+			fs.readFileSync(cassettePath, "utf8")
+		);
+		expect(interactions[0].response.data).toEqual({
+			evalset_id: "evalset",
+			num_entries: 1,
+		});
+	});
+
+	it("should reject unknown modes and missing cassettes", async () => {
+		expect(
+			() =>
+				new Foresight({
+					apiToken,
+					cassette: { path: cassettePath, mode: "rewind" },
+				})
+		).toThrow("cassette.mode must be one of record, replay.");
+
+		const foresight = new Foresight({
+			apiToken,
+			axiosInstance: offlineAxios(),
+			logger: null,
+			maxRetries: 3,
+			cassette: { path: cassettePath, mode: "replay" },
+		});
+		await expect(
+			foresight.getEvalset({ evalsetId: "evalset" })
+		).rejects.toThrow(ForesightValidationError);
+		await foresight.close();
+	});
+});
+
+describe("diffLines", () => {
+	it("should show changed lines with context", () => {
+		const expected = ["a", "b", "c", "d", "e", "f", "g", "h", "i"].join(
+			"\n"
+		);
+		const actual = ["a", "b", "c", "d", "e", "f", "x", "h", "i"].join("\n");
+
+		expect(diffLines(expected, actual).split("\n")).toEqual([
+			"  ...",
+			"  d",
+			"  e",
+			"  f",
+			"- g",
+			"+ x",
+			"  h",
+			"  i",
+		]);
+	});
+});
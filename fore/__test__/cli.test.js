@@ -0,0 +1,298 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import axios from "axios";
+import MockAdapter from "axios-mock-adapter";
+
+import { ExitCode, parseArgs, renderTable, runCli } from "../src/cli.js";
+
+const mockApiUrl = "http://foresight:8010";
+
+describe("fore command", () => {
+	let mockAxios;
+	let axiosInstance;
+	let stdout;
+	let stderr;
+
+	const run = (argv, env = {}) =>
+		runCli(argv, {
+			env: {
+				FORE_API_TOKEN: "VERY_SECRET_TOKEN",
+				FORE_API_URL: mockApiUrl,
+				FORE_CONFIG: "/nonexistent/config.json",
+				...env,
+			},
+			stdout: { write: (text) => (stdout += text) },
+			stderr: { write: (text) => (stderr += text) },
+			axiosInstance,
+		});
+
+	const writeTmpFile = (name, content) => {
+		const filePath = path.join(
+			fs.mkdtempSync(path.join(os.tmpdir(), "fore-")),
+			name
+		);
+		fs.writeFileSync(filePath, content);
+		return filePath;
+	};
+
+	beforeEach(() => {
+		axiosInstance = axios.create();
+		mockAxios = new MockAdapter(axiosInstance);
+		stdout = "";
+		stderr = "";
+	});
+
+	it("should parse options", () => {
+		expect(
+			parseArgs([
+				"run",
+				"create",
+				"exp",
+				"--metric",
+				"GROUNDEDNESS",
+				"--metric=REFERENCE_FACT_RECALL",
+				"--fail-on-missing",
+				"--verbose",
+			])
+		).toEqual({
+			positionals: ["run", "create", "exp"],
+			options: {
+				metric: ["GROUNDEDNESS", "REFERENCE_FACT_RECALL"],
+				"fail-on-missing": true,
+				verbose: true,
+			},
+		});
+	});
+
+	it("should render a table", () => {
+		expect(renderTable([{ a: 1, b: "x" }, { a: 22 }])).toBe(
+			"a   b\n--  -\n1   x\n22\n"
+		);
+	});
+
+	it("should create an evalset", async () => {
+		mockAxios
+			.onPost(`${mockApiUrl}/api/eval/set`)
+			.reply(200, { evalset_id: "my-evalset", num_entries: 2 });
+
+		const exitCode = await run([
+			"evalset",
+			"create",
+			"my-evalset",
+			"--query",
+			"q1",
+			"--query",
+			"q2",
+			"--reference",
+			"a1",
+			"--reference",
+			"a2",
+			"--format",
+			"json",
+		]);
+
+		expect(exitCode).toBe(ExitCode.OK);
+		expect(JSON.parse(stdout)).toEqual({
+			evalsetId: "my-evalset",
+			numEntries: 2,
+		});
+		const request = JSON.parse(mockAxios.history.post[0].data);
+		expect(request.evalset_entries.map(({ query }) => query)).toEqual([
+			"q1",
+			"q2",
+		]);
+		expect(mockAxios.history.post[0].headers.Authorization).toBe(
+			"Bearer VERY_SECRET_TOKEN"
+		);
+	});
+
+	it("should print run queries as a table", async () => {
+		mockAxios
+			.onGet(`${mockApiUrl}/api/eval/run/queries`)
+			.reply(200, { entry_1: "query1" });
+
+		const exitCode = await run(["run", "queries", "my-experiment"]);
+
+		expect(exitCode).toBe(ExitCode.OK);
+		expect(stdout).toBe(
+			"key      value\n-------  ------\nentry_1  query1\n"
+		);
+		expect(mockAxios.history.get[0].params).toEqual({
+			experiment_id: "my-experiment",
+		});
+	});
+
+	it("should print run details entries as rows", async () => {
+		mockAxios.onGet(`${mockApiUrl}/api/eval/run/details`).reply(200, {
+			experiment_id: "my-experiment",
+			entries: [
+				{
+					input: { query: "query1" },
+					metric_values: { GROUNDEDNESS: 0.5 },
+				},
+			],
+		});
+
+		const exitCode = await run(["run", "details", "my-experiment"]);
+
+		expect(exitCode).toBe(ExitCode.OK);
+		expect(stdout.split("\n")[0]).toBe(
+			"input.query  metricValues.GROUNDEDNESS"
+		);
+		expect(stdout.split("\n")[2]).toBe("query1       0.5");
+	});
+
+	it("should read the token from the config file", async () => {
+		const configPath = writeTmpFile(
+			"config.json",
+			JSON.stringify({ apiToken: "CONFIG_TOKEN", apiUrl: mockApiUrl })
+		);
+		mockAxios.onGet(`${mockApiUrl}/api/eval/run/summaries`).reply(200, []);
+
+		const exitCode = await run(["run", "summaries"], {
+			FORE_API_TOKEN: "",
+			FORE_CONFIG: configPath,
+		});
+
+		expect(exitCode).toBe(ExitCode.OK);
+		expect(mockAxios.history.get[0].headers.Authorization).toBe(
+			"Bearer CONFIG_TOKEN"
+		);
+	});
+
+	it("should log and flush the entries of a file", async () => {
+		const entriesPath = writeTmpFile(
+			"entries.jsonl",
+			[
+				{ query: "q1", response: "r1", contexts: [] },
+				{ query: "q2", response: "r2", contexts: [] },
+			]
+				.map((entry) => JSON.stringify(entry))
+				.join("\n")
+		);
+		mockAxios.onPut(`${mockApiUrl}/api/eval/log`).reply(200);
+
+		const exitCode = await run([
+			"log",
+			"flush-file",
+			entriesPath,
+			"--tag",
+			"my-model",
+			"--format",
+			"json",
+		]);
+
+		expect(exitCode).toBe(ExitCode.OK);
+		expect(JSON.parse(stdout)).toEqual([{ tag: "my-model", sent: 2 }]);
+	});
+
+	it("should exit with the thresholds code and write reports when a gate fails", async () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fore-"));
+		mockAxios
+			.onGet(`${mockApiUrl}/api/eval/run/details`)
+			.replyOnce(200, {
+				experiment_id: "my-experiment",
+				entries: [
+					{
+						input: { query: "query1" },
+						metric_values: { GROUNDEDNESS: 0.5 },
+					},
+				],
+			})
+			.onGet(`${mockApiUrl}/api/eval/run/details`)
+			.reply(200, { experiment_id: "my-experiment", entries: [] });
+
+		const exitCode = await run([
+			"run",
+			"assert",
+			"my-experiment",
+			"--threshold",
+			"GROUNDEDNESS.mean=0.8",
+			"--junit",
+			path.join(dir, "junit.xml"),
+			"--markdown",
+			path.join(dir, "summary.md"),
+		]);
+
+		expect(exitCode).toBe(ExitCode.THRESHOLDS);
+		expect(stderr).toContain("GROUNDEDNESS mean is 0.5, expected >= 0.8");
+		expect(fs.readFileSync(path.join(dir, "junit.xml"), "utf8")).toContain(
+			'failures="1"'
+		);
+		expect(fs.readFileSync(path.join(dir, "summary.md"), "utf8")).toContain(
+			"❌ failed"
+		);
+	});
+
+	it("should pass a gate that meets its thresholds", async () => {
+		mockAxios
+			.onGet(`${mockApiUrl}/api/eval/run/details`)
+			.replyOnce(200, {
+				experiment_id: "my-experiment",
+				entries: [
+					{
+						input: { query: "query1" },
+						metric_values: { GROUNDEDNESS: 0.9 },
+					},
+				],
+			})
+			.onGet(`${mockApiUrl}/api/eval/run/details`)
+			.reply(200, { experiment_id: "my-experiment", entries: [] });
+
+		const exitCode = await run([
+			"run",
+			"assert",
+			"my-experiment",
+			"--threshold=GROUNDEDNESS.mean=0.8",
+		]);
+
+		expect(exitCode).toBe(ExitCode.OK);
+		expect(stdout.split("\n")[2]).toMatch(
+			/^GROUNDEDNESS\s+mean\s+0.8\s+0.9\s+true$/
+		);
+		expect(await run(["run", "assert", "x", "--threshold", "mean=1"])).toBe(
+			ExitCode.USAGE
+		);
+		expect(
+			await run([
+				"run",
+				"assert",
+				"x",
+				"--threshold",
+				"GROUNDEDNESS.maxFailingEntries=2",
+			])
+		).toBe(ExitCode.USAGE);
+		expect(stderr).toContain(
+			"Threshold GROUNDEDNESS.maxFailingEntries needs GROUNDEDNESS.entry."
+		);
+	});
+
+	it.each([
+		[401, ExitCode.AUTH],
+		[404, ExitCode.NOT_FOUND],
+		[422, ExitCode.VALIDATION],
+		[500, ExitCode.SERVER],
+	])("should exit on status %s with code %s", async (status, code) => {
+		mockAxios.onGet(`${mockApiUrl}/api/eval/set`).reply(status);
+
+		const exitCode = await run(["evalset", "get", "my-evalset"]);
+
+		expect(exitCode).toBe(code);
+		expect(stderr).toMatch(/^fore: Request to \/api\/eval\/set failed/);
+	});
+
+	it("should exit with the usage code on invalid commands", async () => {
+		expect(await run(["evalset", "rename", "x"])).toBe(ExitCode.USAGE);
+		expect(await run(["run", "create", "x"])).toBe(ExitCode.USAGE);
+		expect(await run(["evalset", "get"], { FORE_API_TOKEN: "" })).toBe(
+			ExitCode.USAGE
+		);
+		expect(stderr).toContain("No API token.");
+	});
+
+	it("should print the help", async () => {
+		expect(await run(["--help"])).toBe(ExitCode.OK);
+		expect(stdout).toContain("Usage: fore <command> [options]");
+	});
+});
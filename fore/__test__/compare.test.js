@@ -0,0 +1,147 @@
+import { compareEvalrunDetails, ForesightValidationError } from "../index.js";
+import { pairedTTest } from "../src/compare.js";
+
+const makeRun = (experimentId, scores) => ({
+	experimentId,
+	entries: Object.entries(scores).map(([entryId, value]) => ({
+		input: { entryId, query: `query for ${entryId}` },
+		metricValues: value === null ? {} : { GROUNDEDNESS: value },
+	})),
+});
+
+describe("pairedTTest", () => {
+	it("should compute a two-sided p-value", () => {
+		const { t, pValue } = pairedTTest([1, 2, 3, 4, 5]);
+
+		expect(t).toBeCloseTo(4.2426, 4);
+		expect(pValue).toBeCloseTo(0.01324, 4);
+	});
+
+	it("should handle identical and too few differences", () => {
+		expect(pairedTTest([0, 0, 0]).pValue).toBe(1);
+		expect(pairedTTest([0.1, 0.1]).pValue).toBe(0);
+		expect(pairedTTest([0.1]).pValue).toBe(null);
+	});
+});
+
+describe("compareEvalrunDetails", () => {
+	const baseline = makeRun("v1", {
+		e1: 0.9,
+		e2: 0.8,
+		e3: 0.7,
+		e4: 0.9,
+		e5: 0.6,
+		e6: 0.5,
+	});
+
+	it("should report deltas and changed entries", () => {
+		const candidate = makeRun("v2", {
+			e1: 0.9,
+			e2: 0.9,
+			e3: 0.3,
+			e4: 0.9,
+			e5: 0.6,
+			e7: 1,
+		});
+
+		const comparison = compareEvalrunDetails(baseline, candidate);
+
+		expect(comparison.baselineExperimentId).toBe("v1");
+		expect(comparison.candidateExperimentId).toBe("v2");
+		expect(comparison.numMatched).toBe(5);
+		expect(comparison.unmatchedBaseline).toEqual(["e6"]);
+		expect(comparison.unmatchedCandidate).toEqual(["e7"]);
+
+		const groundedness = comparison.metrics.GROUNDEDNESS;
+		expect(groundedness.numPairs).toBe(5);
+		expect(groundedness.baselineMean).toBeCloseTo(0.78);
+		expect(groundedness.candidateMean).toBeCloseTo(0.72);
+		expect(groundedness.delta).toBeCloseTo(-0.06);
+		expect(groundedness.improved.map(({ key }) => key)).toEqual(["e2"]);
+		expect(groundedness.regressed.map(({ key }) => key)).toEqual(["e3"]);
+		expect(groundedness.regressed[0].query).toBe("query for e3");
+		expect(groundedness.significant).toBe(false);
+		expect(comparison.passed).toBe(true);
+	});
+
+	it("should fail on a significant regression", () => {
+		const candidate = makeRun("v2", {
+			e1: 0.5,
+			e2: 0.45,
+			e3: 0.3,
+			e4: 0.55,
+			e5: 0.2,
+			e6: 0.1,
+		});
+
+		const comparison = compareEvalrunDetails(baseline, candidate);
+
+		expect(comparison.metrics.GROUNDEDNESS.significant).toBe(true);
+		expect(comparison.metrics.GROUNDEDNESS.regression).toBe(true);
+		expect(comparison.passed).toBe(false);
+	});
+
+	it("should match entries by query", () => {
+		const candidate = {
+			entries: [
+				{
+					input: { entryId: "other", query: "query for e1" },
+					metricValues: { GROUNDEDNESS: 0.1 },
+				},
+			],
+		};
+
+		expect(compareEvalrunDetails(baseline, candidate).numMatched).toBe(0);
+		expect(
+			compareEvalrunDetails(baseline, candidate, { matchBy: "query" })
+				.numMatched
+		).toBe(1);
+	});
+
+	it("should not pass without anything to compare", () => {
+		const withoutIds = {
+			entries: baseline.entries.map((entry) => ({
+				...entry,
+				input: { query: entry.input.query },
+			})),
+		};
+		// Both runs have both metrics, but never on the same entry.
+		const crossed = (first, second) => ({
+			entries: [
+				{ input: { entryId: "e1" }, metricValues: { [first]: 0.9 } },
+				{ input: { entryId: "e2" }, metricValues: { [second]: 0.9 } },
+			],
+		});
+
+		const unmatched = compareEvalrunDetails(withoutIds, withoutIds);
+		expect(unmatched.numMatched).toBe(0);
+		expect(unmatched.passed).toBe(false);
+		const unpaired = compareEvalrunDetails(
+			crossed("GROUNDEDNESS", "SIMILARITY"),
+			crossed("SIMILARITY", "GROUNDEDNESS")
+		);
+		expect(unpaired.metrics.SIMILARITY.numPairs).toBe(0);
+		expect(unpaired.passed).toBe(false);
+	});
+
+	it("should only gate the metrics of both runs", () => {
+		const candidate = {
+			entries: baseline.entries.map((entry) => ({
+				...entry,
+				metricValues: { ...entry.metricValues, SIMILARITY: 0.5 },
+			})),
+		};
+
+		const comparison = compareEvalrunDetails(baseline, candidate);
+
+		expect(Object.keys(comparison.metrics)).toEqual(["GROUNDEDNESS"]);
+		expect(comparison.unmatchedMetrics).toEqual(["SIMILARITY"]);
+		expect(comparison.passed).toBe(true);
+	});
+
+	it("should reject an unknown matchBy", () => {
+		expect(() =>
+			compareEvalrunDetails(baseline, baseline, { matchBy: "index" })
+		).toThrow(ForesightValidationError);
+	});
+});
@@ -0,0 +1,140 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { ForesightValidationError } from "../index.js";
+import { readEvalsetFile } from "../src/evalsetFile.js";
+
+const writeTmpFile = (name, content) => {
+	const filePath = path.join(
+		fs.mkdtempSync(path.join(os.tmpdir(), "fore-")),
+		name
+	);
+	fs.writeFileSync(filePath, content);
+	return filePath;
+};
+
+const getRowErrors = async (params) => {
+	const error = await readEvalsetFile(params).catch((error) => error);
+	expect(error).toBeInstanceOf(ForesightValidationError);
+	return error.rowErrors;
+};
+
+describe("readEvalsetFile", () => {
+	it("should read a CSV file with quoted fields", async () => {
+		const filePath = writeTmpFile(
+			"golden.csv",
+			[
+				"\uFEFFid,question,answer",
+				'q1,"hardest language, really?","Malbolge"',
+				'q2,"say ""hi""","line one',
+				'line two"',
+				"",
+			].join("\r\n")
+		);
+
+		const entries = await readEvalsetFile({
+			path: filePath,
+			columnMapping: {
+				query: "question",
+				referenceAnswer: "answer",
+				entryId: "id",
+			},
+		});
+
+		expect(entries).toEqual([
+			{
+				query: "hardest language, really?",
+				reference_answer: "Malbolge",
+				entry_id: "q1",
+			},
+			{
+				query: 'say "hi"',
+				reference_answer: "line one\nline two",
+				entry_id: "q2",
+			},
+		]);
+	});
+
+	it("should read a JSONL file and generate missing entry ids", async () => {
+		const filePath = writeTmpFile(
+			"golden.jsonl",
+			'{"query": "q1"}\n\n{"query": "q2"}\n'
+		);
+
+		const entries = await readEvalsetFile({ path: filePath });
+
+		expect(entries.map(({ query }) => query)).toEqual(["q1", "q2"]);
+		expect(entries[0].reference_answer).toBe(null);
+		expect(entries[0].entry_id).not.toBe(entries[1].entry_id);
+	});
+
+	it("should read a JSON array with an explicit format", async () => {
+		const filePath = writeTmpFile(
+			"golden.txt",
+			JSON.stringify([
+				{ query: "q1", reference_answer: "a1", entry_id: 1 },
+			])
+		);
+
+		const entries = await readEvalsetFile({
+			path: filePath,
+			format: "json",
+		});
+
+		expect(entries).toEqual([
+			{ query: "q1", reference_answer: "a1", entry_id: "1" },
+		]);
+	});
+
+	it("should report invalid rows with line numbers", async () => {
+		const filePath = writeTmpFile(
+			"golden.csv",
+			[
+				"entry_id,query,reference_answer",
+				"e1,q1,a1",
+				"e2,,a2",
+				"e1,q3,a3",
+				"e4,q4,",
+				",q5,a5",
+				"e6,q6",
+			].join("\n")
+		);
+
+		const rowErrors = await getRowErrors({ path: filePath });
+
+		expect(rowErrors.map(({ line }) => line)).toEqual([3, 4, 5, 6, 7]);
+		expect(rowErrors[0].message).toBe('missing query (column "query")');
+		expect(rowErrors[1].message).toBe(
+			`duplicate entry id e1, first used at ${filePath}:2`
+		);
+		expect(rowErrors[2].message).toBe(
+			'empty reference answer (column "reference_answer")'
+		);
+		expect(rowErrors[3].message).toBe(
+			'missing entry id (column "entry_id")'
+		);
+		expect(rowErrors[4].message).toBe("expected 3 columns, got 2");
+	});
+
+	it("should report invalid JSON lines and entries", async () => {
+		const jsonlPath = writeTmpFile("golden.jsonl", '{"query": "q1"}\n{\n');
+		expect(await getRowErrors({ path: jsonlPath })).toEqual([
+			expect.objectContaining({ row: 2, line: 2 }),
+		]);
+
+		const jsonPath = writeTmpFile(
+			"golden.json",
+			JSON.stringify([{ query: "q1" }, { query: " " }])
+		);
+		expect(await getRowErrors({ path: jsonPath })).toEqual([
+			{ row: 2, line: null, message: 'missing query (column "query")' },
+		]);
+	});
+
+	it("should reject unknown formats", async () => {
+		await expect(
+			readEvalsetFile({ path: writeTmpFile("golden.xlsx", "") })
+		).rejects.toThrow("Unknown format");
+	});
+});
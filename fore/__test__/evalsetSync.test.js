@@ -0,0 +1,68 @@
+import { diffEvalset, ForesightValidationError } from "../index.js";
+
+const current = {
+	evalsetId: "golden",
+	entries: [
+		{ entryId: "e1", query: "q1", referenceAnswer: "a1" },
+		{ entryId: "e2", query: "q2", referenceAnswer: "a2" },
+		{ entryId: "e3", query: "q3", referenceAnswer: null },
+	],
+};
+
+describe("diffEvalset", () => {
+	it("should find added, updated and removed entries by entry id", () => {
+		const diff = diffEvalset(current, [
+			{ entryId: "e1", query: "q1", referenceAnswer: "a1" },
+			{ entryId: "e2", query: "q2 edited", referenceAnswer: "a2" },
+			{ entryId: "e4", query: "q4" },
+		]);
+
+		expect(diff).toEqual({
+			added: [{ entryId: "e4", query: "q4", referenceAnswer: null }],
+			updated: [
+				{
+					entryId: "e2",
+					query: "q2 edited",
+					referenceAnswer: "a2",
+					previous: { query: "q2", referenceAnswer: "a2" },
+				},
+			],
+			removed: [{ entryId: "e3", query: "q3", referenceAnswer: null }],
+			unchanged: 1,
+		});
+	});
+
+	it("should match by query", () => {
+		const diff = diffEvalset(
+			current.entries,
+			[
+				{ query: "q1", referenceAnswer: "a1 edited" },
+				{ query: "q2", referenceAnswer: "a2" },
+				{ query: "q3", referenceAnswer: "" },
+				{ query: "q5" },
+			],
+			{ matchBy: "query" }
+		);
+
+		expect(diff.updated.map(({ entryId }) => entryId)).toEqual(["e1"]);
+		expect(diff.added).toEqual([
+			{ query: "q5", referenceAnswer: null, entryId: null },
+		]);
+		expect(diff.removed).toEqual([]);
+		expect(diff.unchanged).toBe(2);
+	});
+
+	it("should reject entries without a key or with duplicate keys", () => {
+		expect(() => diffEvalset(current, [{ query: "q1" }])).toThrow(
+			"Entry 1 has no entryId, give entry ids or set matchBy to query."
+		);
+		expect(() =>
+			diffEvalset(current, [{ query: "q1" }, { query: "q1" }], {
+				matchBy: "query",
+			})
+		).toThrow("Duplicate query q1 in the desired entries.");
+		expect(() => diffEvalset(current, [], { matchBy: "id" })).toThrow(
+			ForesightValidationError
+		);
+	});
+});
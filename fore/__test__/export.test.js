@@ -0,0 +1,136 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PassThrough } from "stream";
+
+import {
+	flattenEvalrunDetails,
+	ForesightValidationError,
+	renderEvalrunReport,
+	writeEvalrunDetails,
+} from "../index.js";
+
+const details = {
+	experimentId: "my-llm-v2",
+	entries: [
+		{
+			input: { entryId: "e1", query: "q1", referenceAnswer: "a1" },
+			output: {
+				generatedResponse: 'say "hi", then\nleave',
+				contexts: ["c1", "c2"],
+			},
+			metricValues: { GROUNDEDNESS: 0.9, REFERENCE_FACT_RECALL: 0.5 },
+		},
+		{
+			input: { entryId: "e2", query: "<b>q2</b> | x" },
+			output: { generatedResponse: "r2", contexts: [] },
+			metricValues: { GROUNDEDNESS: 0.1 },
+		},
+	],
+};
+
+describe("flattenEvalrunDetails", () => {
+	it("should flatten entries into one column per field and metric", () => {
+		const { columns, rows } = flattenEvalrunDetails(details);
+
+		expect(columns).toEqual([
+			"entryId",
+			"query",
+			"referenceAnswer",
+			"generatedResponse",
+			"contexts",
+			"GROUNDEDNESS",
+			"REFERENCE_FACT_RECALL",
+		]);
+		expect(rows[1]).toEqual({
+			entryId: "e2",
+			query: "<b>q2</b> | x",
+			referenceAnswer: null,
+			generatedResponse: "r2",
+			contexts: [],
+			GROUNDEDNESS: 0.1,
+			REFERENCE_FACT_RECALL: null,
+		});
+	});
+});
+
+describe("writeEvalrunDetails", () => {
+	it("should write CSV to a file", async () => {
+		const filePath = path.join(
+			fs.mkdtempSync(path.join(os.tmpdir(), "fore-")),
+			"details.csv"
+		);
+
+		const { numEntries } = await writeEvalrunDetails(details, {
+			path: filePath,
+		});
+
+		expect(numEntries).toBe(2);
+		expect(fs.readFileSync(filePath, "utf8").split("\n")).toEqual([
+			"entryId,query,referenceAnswer,generatedResponse,contexts,GROUNDEDNESS,REFERENCE_FACT_RECALL",
+			'e1,q1,a1,"say ""hi"", then',
+			'leave","[""c1"",""c2""]",0.9,0.5',
+			"e2,<b>q2</b> | x,,r2,[],0.1,",
+			"",
+		]);
+	});
+
+	it("should write JSONL to a stream without ending it", async () => {
+		const stream = new PassThrough();
+		let output = "";
+		stream.on("data", (chunk) => (output += chunk));
+
+		await writeEvalrunDetails(details.entries, { format: "jsonl", stream });
+
+		expect(stream.writableEnded).toBe(false);
+		const rows = output.trim().split("\n").map(JSON.parse);
+		expect(rows[0].contexts).toEqual(["c1", "c2"]);
+		expect(rows[1].GROUNDEDNESS).toBe(0.1);
+	});
+
+	it("should reject when the file cannot be written", async () => {
+		const entries = Array.from({ length: 500 }, (_, index) => ({
+			input: { entryId: `e${index}`, query: "q".repeat(100) },
+			output: { generatedResponse: "r".repeat(100), contexts: [] },
+			metricValues: {},
+		}));
+		const filePath = path.join(os.tmpdir(), "fore-missing", "x", "d.csv");
+
+		await expect(
+			writeEvalrunDetails(entries, { path: filePath })
+		).rejects.toThrow("ENOENT");
+	});
+
+	it("should reject invalid options", async () => {
+		await expect(
+			writeEvalrunDetails(details, { format: "xlsx", path: "x" })
+		).rejects.toThrow(ForesightValidationError);
+		await expect(writeEvalrunDetails(details)).rejects.toThrow(
+			"Give either path or stream."
+		);
+	});
+});
+
+describe("renderEvalrunReport", () => {
+	it("should render a Markdown report", () => {
+		const report = renderEvalrunReport(details, { worstN: 1 });
+
+		expect(report).toContain("# Eval run my-llm-v2");
+		expect(report).toContain(
+			"| GROUNDEDNESS | 2 | 0 | 0.5 | 0.5 | 0.18 | 0.82 | 0.1 | 0.9 |"
+		);
+		expect(report).toContain("## Worst entries by GROUNDEDNESS");
+		expect(report).toContain("| 0.1 | <b>q2</b> \\| x | r2 |");
+		expect(report).not.toContain("| 0.9 | q1 |");
+	});
+
+	it("should render an escaped HTML report", () => {
+		const report = renderEvalrunReport(details, { format: "html" });
+
+		expect(report).toMatch(/^<!DOCTYPE html>/);
+		expect(report).toContain(
+			"<h2>Worst entries by REFERENCE_FACT_RECALL</h2>"
+		);
+		expect(report).toContain("<td>&lt;b&gt;q2&lt;/b&gt; | x</td>");
+	});
+});
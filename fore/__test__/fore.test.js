@@ -1,13 +1,30 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
 import axios from "axios";
 import MockAdapter from "axios-mock-adapter";
 import { jest } from "@jest/globals";
 
-import { Foresight } from "../index.js"; //index.js//dist/fore.es.js
+import {
+	Foresight,
+	ForesightAbortError,
+	ForesightAuthError,
+	ForesightError,
+	ForesightNetworkError,
+	ForesightNotFoundError,
+	ForesightRateLimitError,
+	ForesightResponseError,
+	ForesightServerError,
+	ForesightThresholdError,
+	ForesightTimeoutError,
+	ForesightValidationError,
+	MetricType,
+} from "../index.js"; //index.js//dist/fore.es.js
 
 // Mock data
 const mockApiToken = "VERY_SECRET_TOKEN";
 const mockApiUrl = "http://foresight:8010";
-const mockTimeout = 1;
+const mockTimeoutMs = 1000;
 const mockMaxEntriesBeforeAutoFlush = 2;
 
 const mockEvalsetId = "mock-evalset-id";
@@ -16,7 +33,7 @@ const mockReferenceAnswers = ["answer1", "answer2", "answer3"];
 const mockEvalsetResponse = { evalsetId: mockEvalsetId, numEntries: 3 };
 
 const mockExperimentId = "mock-experiment-id";
-const mockMetrics = ["metric1", "metric2"];
+const mockMetrics = [MetricType.GROUNDEDNESS, MetricType.REFERENCE_FACT_RECALL];
 const mockGenerateFn = jest.fn();
 
 const mockDetails = {
@@ -43,6 +60,14 @@ const mockDetails = {
 	],
 };
 
+// Answers requests for eval run details with the page of entries they ask for.
+const replyWithPage = (details) => (config) => {
+	const { limit, offset } = config.params || {};
+	const start = Number(offset || 0);
+	const end = limit != null ? start + Number(limit) : undefined;
+	return [200, { ...details, entries: details.entries.slice(start, end) }];
+};
+
 // Mock console.log
 global.console = {
 	log: jest.fn(),
@@ -63,8 +88,9 @@ describe("Foresight Test", () => {
 			apiToken: mockApiToken,
 			apiUrl: mockApiUrl,
 			maxEntriesBeforeAutoFlush: mockMaxEntriesBeforeAutoFlush,
+			timeoutMs: mockTimeoutMs,
+			retryBaseDelayMs: 1,
 		});
-		foresight.timeoutSeconds = mockTimeout;
 	});
 
 	afterEach(() => {
@@ -112,6 +138,261 @@ describe("Foresight Test", () => {
 		});
 	});
 
+	describe("createEvalsetFromFile", () => {
+		it("should create an evalset with the entry ids of the file", async () => {
+			const filePath = path.join(
+				fs.mkdtempSync(path.join(os.tmpdir(), "fore-")),
+				"golden.jsonl"
+			);
+			fs.writeFileSync(
+				filePath,
+				'{"id": "e1", "query": "query1", "reference_answer": "answer1"}\n'
+			);
+			mockAxios.onPost(`/api/eval/set`).reply(200, mockEvalsetResponse);
+
+			const response = await foresight.createEvalsetFromFile({
+				evalsetId: mockEvalsetId,
+				path: filePath,
+				columnMapping: { entryId: "id" },
+			});
+
+			expect(response).toEqual(mockEvalsetResponse);
+			expect(JSON.parse(mockAxios.history.post[0].data)).toEqual({
+				evalset_id: mockEvalsetId,
+				evalset_entries: [
+					{
+						query: "query1",
+						reference_answer: "answer1",
+						entry_id: "e1",
+					},
+				],
+			});
+		});
+
+		it("should not upload files with invalid rows", async () => {
+			const response = foresight.createEvalsetFromFile({
+				evalsetId: mockEvalsetId,
+				path: "golden.yaml",
+			});
+
+			await expect(response).rejects.toThrow(ForesightValidationError);
+			expect(mockAxios.history.post.length).toBe(0);
+		});
+	});
+
+	describe("errors", () => {
+		it.each([
+			[401, ForesightAuthError],
+			[403, ForesightAuthError],
+			[404, ForesightNotFoundError],
+			[422, ForesightValidationError],
+			[500, ForesightServerError],
+		])(
+			"should throw a typed error for status %s",
+			async (status, ErrorClass) => {
+				mockAxios
+					.onGet("/api/eval/set")
+					.reply(status, { detail: "something went wrong" });
+
+				const error = await foresight
+					.getEvalset({ evalsetId: mockEvalsetId })
+					.catch((e) => e);
+
+				expect(error).toBeInstanceOf(ErrorClass);
+				expect(error).toBeInstanceOf(ForesightError);
+				expect(error.status).toBe(status);
+				expect(error.endpoint).toBe("/api/eval/set");
+				expect(error.serverMessage).toBe("something went wrong");
+				expect(error.cause.isAxiosError).toBe(true);
+			}
+		);
+
+		it("should join validation details sent by the server", async () => {
+			mockAxios.onPost("/api/eval/run").reply(422, {
+				detail: [
+					{ loc: ["body", "metrics", 0], msg: "invalid metric" },
+				],
+			});
+
+			const response = foresight.createEvalrun({
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+			});
+
+			await expect(response).rejects.toThrowError(
+				"Request to /api/eval/run failed with status 422: body.metrics.0: invalid metric"
+			);
+		});
+
+		it("should read Retry-After on rate limit errors", async () => {
+			mockAxios
+				.onPost("/api/eval/run")
+				.reply(429, {}, { "retry-after": "3" });
+
+			const error = await foresight
+				.createEvalrun({
+					runConfig: {
+						evalsetId: mockEvalsetId,
+						experimentId: mockExperimentId,
+						metrics: mockMetrics,
+					},
+				})
+				.catch((e) => e);
+
+			expect(error).toBeInstanceOf(ForesightRateLimitError);
+			expect(error.retryAfterMs).toBe(3000);
+		});
+
+		it("should throw a network error when the server is unreachable", async () => {
+			mockAxios.onGet("/api/eval/set").networkError();
+
+			const error = await foresight
+				.getEvalset({ evalsetId: mockEvalsetId })
+				.catch((e) => e);
+
+			expect(error).toBeInstanceOf(ForesightNetworkError);
+			expect(error.status).toBe(null);
+		});
+
+		it("should throw a validation error for invalid input", async () => {
+			const error = await foresight
+				.createSimpleEvalset({ evalsetId: mockEvalsetId })
+				.catch((e) => e);
+
+			expect(error).toBeInstanceOf(ForesightValidationError);
+		});
+	});
+
+	describe("retries", () => {
+		it("should retry idempotent requests on transient errors", async () => {
+			mockAxios
+				.onGet("/api/eval/set")
+				.replyOnce(503)
+				.onGet("/api/eval/set")
+				.networkErrorOnce()
+				.onGet("/api/eval/set")
+				.replyOnce(200, { evalsetId: mockEvalsetId });
+
+			const response = await foresight.getEvalset({
+				evalsetId: mockEvalsetId,
+			});
+
+			expect(response).toEqual({ evalsetId: mockEvalsetId });
+			expect(mockAxios.history.get.length).toBe(3);
+		});
+
+		it("should give up after maxRetries", async () => {
+			mockAxios.onGet("/api/eval/set").reply(502);
+
+			const response = foresight.getEvalset({ evalsetId: mockEvalsetId });
+
+			await expect(response).rejects.toBeInstanceOf(ForesightServerError);
+			expect(mockAxios.history.get.length).toBe(4);
+		});
+
+		it("should not retry errors that are not transient", async () => {
+			mockAxios.onGet("/api/eval/set").reply(404);
+
+			const response = foresight.getEvalset({ evalsetId: mockEvalsetId });
+
+			await expect(response).rejects.toBeInstanceOf(
+				ForesightNotFoundError
+			);
+			expect(mockAxios.history.get.length).toBe(1);
+		});
+
+		it("should not retry requests that are not idempotent", async () => {
+			mockAxios.onPost("/api/eval/run").reply(503);
+
+			const response = foresight.createEvalrun({
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+			});
+
+			await expect(response).rejects.toBeInstanceOf(ForesightServerError);
+			expect(mockAxios.history.post.length).toBe(1);
+		});
+
+		it("should retry log flushes only if every entry has an id", async () => {
+			mockAxios
+				.onPut("/api/eval/log")
+				.replyOnce(503)
+				.onPut("/api/eval/log")
+				.reply(200, "success");
+
+			await foresight.log({ query: "q1", response: "a1", contexts: [] });
+			const [withoutId] = Object.values(await foresight.flush());
+			expect(withoutId.error).toBeInstanceOf(ForesightServerError);
+			expect(mockAxios.history.put.length).toBe(1);
+
+			// The failed entry is kept for the next flush, so it is cleared here.
+			foresight.tagToLogEntries = {};
+			mockAxios.reset();
+			mockAxios
+				.onPut("/api/eval/log")
+				.replyOnce(503)
+				.onPut("/api/eval/log")
+				.reply(200, "success");
+			await foresight.log({
+				query: "q2",
+				response: "a2",
+				contexts: [],
+				entryId: "e2",
+			});
+			const [withId] = Object.values(await foresight.flush());
+			expect(withId.error).toBeNull();
+			expect(mockAxios.history.put.length).toBe(2);
+		});
+
+		it("should wait as long as Retry-After asks", async () => {
+			mockAxios
+				.onGet("/api/eval/set")
+				.replyOnce(429, {}, { "retry-after": "0.05" })
+				.onGet("/api/eval/set")
+				.replyOnce(200, { evalsetId: mockEvalsetId });
+
+			const start = Date.now();
+			await foresight.getEvalset({ evalsetId: mockEvalsetId });
+
+			expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+		});
+
+		it("should not wait longer than retryMaxDelayMs", async () => {
+			mockAxios
+				.onGet("/api/eval/set")
+				.replyOnce(429, {}, { "retry-after": "3600" })
+				.onGet("/api/eval/set")
+				.replyOnce(200, { evalsetId: mockEvalsetId });
+
+			const error = await foresight
+				.getEvalset({ evalsetId: mockEvalsetId })
+				.catch((e) => e);
+
+			expect(error).toBeInstanceOf(ForesightRateLimitError);
+			expect(error.retryAfterMs).toBe(3600000);
+			expect(mockAxios.history.get.length).toBe(1);
+		});
+
+		it("should use the timeout given per call", async () => {
+			mockAxios.onGet("/api/eval/set").reply(200, {});
+
+			await foresight.getEvalset({ evalsetId: mockEvalsetId });
+			await foresight.getEvalset({
+				evalsetId: mockEvalsetId,
+				timeoutMs: 5,
+			});
+
+			expect(mockAxios.history.get[0].timeout).toBe(mockTimeoutMs);
+			expect(mockAxios.history.get[1].timeout).toBe(5);
+		});
+	});
+
 	describe("getEvalset", () => {
 		it("should get the evaluation set with metadata", async () => {
 			const mockResponse = { evalsetId: mockEvalsetId, entries: [] };
@@ -179,70 +460,1886 @@ describe("Foresight Test", () => {
 				},
 			});
 
-			expect(response).toEqual(mockResponse);
+			expect(response.responses).toEqual([mockResponse]);
+			expect(response.failed).toEqual([]);
 		});
-	});
 
-	describe("log", () => {
-		it("should add log entries", async () => {
-			await foresight.log({
-				query: "test query",
-				response: "test response",
-				contexts: [],
-				tag: "great_model",
+		it("should upload answers in batches while generating concurrently", async () => {
+			const queries = {
+				e1: "q1",
+				e2: "q2",
+				e3: "q3",
+				e4: "q4",
+				e5: "q5",
+			};
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios.onGet("/api/eval/run/queries").reply(200, queries);
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
+
+			let running = 0;
+			let maxRunning = 0;
+			await foresight.generateAnswersAndRunEval({
+				generateFn: async (query) => {
+					running++;
+					maxRunning = Math.max(maxRunning, running);
+					await new Promise((resolve) => setTimeout(resolve, 5));
+					running--;
+					return {
+						generatedResponse: `answer to ${query}`,
+						contexts: [],
+					};
+				},
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				batchSize: 2,
+				concurrency: 3,
 			});
-			expect(foresight.tagToLogEntries["great_model"].length).toBe(1);
+
+			expect(maxRunning).toBe(3);
+			const uploads = mockAxios.history.put.map((request) =>
+				Object.keys(
+					JSON.parse(request.data).entry_id_to_inference_output
+				)
+			);
+			expect(uploads.map((entryIds) => entryIds.length)).toEqual([
+				2, 2, 1,
+			]);
+			expect(uploads.flat().sort()).toEqual(Object.keys(queries));
 		});
 
-		it("should auto flush when log entries exceed maxEntriesBeforeAutoFlush", async () => {
-			mockAxios.onAny().reply(200);
+		it("should upload finished answers before failing on a timeout", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "fast", e2: "slow" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
 
-			for (let i = 0; i < mockMaxEntriesBeforeAutoFlush; i++) {
-				await foresight.log({
-					query: `test query ${i}`,
-					response: `test response ${i}`,
-					contexts: [],
-					tag: "great_model",
-				});
+			const response = foresight.generateAnswersAndRunEval({
+				generateFn: (query) =>
+					query === "fast"
+						? { generatedResponse: "done", contexts: [] }
+						: new Promise(() => {}),
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				timeoutMs: 10,
+			});
+
+			await expect(response).rejects.toThrowError(
+				"generateFn timed out after 10ms for entry e2."
+			);
+			expect(mockAxios.history.put.length).toBe(1);
+			expect(
+				JSON.parse(mockAxios.history.put[0].data)
+					.entry_id_to_inference_output
+			).toEqual({ e1: { generated_response: "done", contexts: [] } });
+		});
+
+		it("should abort the signal of a timed out generateFn call", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios.onGet("/api/eval/run/queries").reply(200, { e1: "slow" });
+			const signals = [];
+
+			await expect(
+				foresight.generateAnswersAndRunEval({
+					generateFn: (query, { signal }) => {
+						signals.push(signal);
+						return new Promise(() => {});
+					},
+					runConfig: {
+						evalsetId: mockEvalsetId,
+						experimentId: mockExperimentId,
+						metrics: mockMetrics,
+					},
+					timeoutMs: 10,
+					retries: 1,
+				})
+			).rejects.toThrowError("generateFn timed out");
+
+			expect(signals.length).toBe(2);
+			expect(signals.every((signal) => signal.aborted)).toBe(true);
+			expect(signals[0].reason.message).toBe(
+				"generateFn timed out after 10ms for entry e1."
+			);
+		});
+
+		it("should time out generateFn calls without an AbortController", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios.onGet("/api/eval/run/queries").reply(200, { e1: "slow" });
+			const generateFn = jest.fn(() => new Promise(() => {}));
+			const { AbortController } = global;
+			// Node 14 has none.
+			delete global.AbortController;
+
+			try {
+				await expect(
+					foresight.generateAnswersAndRunEval({
+						generateFn,
+						runConfig: {
+							evalsetId: mockEvalsetId,
+							experimentId: mockExperimentId,
+							metrics: mockMetrics,
+						},
+						timeoutMs: 10,
+					})
+				).rejects.toThrowError("generateFn timed out");
+			} finally {
+				global.AbortController = AbortController;
 			}
 
-			expect(foresight.tagToLogEntries["great_model"].length).toBe(0);
+			expect(generateFn).toHaveBeenCalledWith("slow", { evalRun: true });
 		});
-	});
 
-	describe("flush", () => {
-		it("should flush log entries", async () => {
-			mockAxios.onAny().reply(200);
+		it("should skip uploaded entries when resuming a run", async () => {
+			mockAxios.onGet("/api/eval/run/details").reply(
+				replyWithPage({
+					experimentId: mockExperimentId,
+					entries: [
+						{
+							input: { entryId: "e1", query: "q1" },
+							output: { generatedResponse: "a1", contexts: [] },
+						},
+					],
+				})
+			);
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "q1", e2: "q2" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
+			const generateFn = jest.fn(() => ({
+				generatedResponse: "a2",
+				contexts: [],
+			}));
 
-			await foresight.log({
-				query: "test query",
-				response: "test response",
+			await foresight.generateAnswersAndRunEval({
+				generateFn,
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				resume: true,
+			});
+
+			expect(mockAxios.history.post.length).toBe(0);
+			expect(generateFn).toHaveBeenCalledTimes(1);
+			expect(generateFn).toHaveBeenCalledWith("q2", {
+				signal: expect.any(AbortSignal),
+				evalRun: true,
+			});
+		});
+
+		it("should skip uploaded entries on every page when resuming", async () => {
+			const uploaded = Array.from({ length: 150 }, (_, i) => ({
+				input: { entryId: `e${i}`, query: `q${i}` },
+				output: { generatedResponse: `a${i}`, contexts: [] },
+			}));
+			mockAxios.onGet("/api/eval/run/details").reply((config) => {
+				const offset = Number(config.params.offset || 0);
+				const entries = uploaded.slice(
+					offset,
+					offset + Number(config.params.limit)
+				);
+				return [200, { experimentId: mockExperimentId, entries }];
+			});
+			mockAxios.onGet("/api/eval/run/queries").reply(200, {
+				e0: "q0",
+				e120: "q120",
+				e150: "q150",
+			});
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
+			const generateFn = jest.fn(() => ({
+				generatedResponse: "a",
 				contexts: [],
-				tag: "great_model",
+			}));
+
+			const report = await foresight.generateAnswersAndRunEval({
+				generateFn,
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				resume: true,
 			});
-			await foresight.flush();
 
-			expect(foresight.tagToLogEntries["great_model"].length).toBe(0);
+			expect(generateFn).toHaveBeenCalledTimes(1);
+			expect(generateFn).toHaveBeenCalledWith("q150", {
+				signal: expect.any(AbortSignal),
+				evalRun: true,
+			});
+			expect(report.skipped).toEqual(["e0", "e120"]);
 		});
 
-		it("should handle no log entries to flush", async () => {
-			await foresight.flush();
-			expect(console.info).toHaveBeenCalledWith(
-				"No log entries to flush."
+		it("should retry failed entries and report the results", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "ok", e2: "flaky", e3: "broken" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "uploaded");
+
+			let flakyCalls = 0;
+			const report = await foresight.generateAnswersAndRunEval({
+				generateFn: (query) => {
+					if (query === "broken") throw new Error("model crashed");
+					if (query === "flaky" && flakyCalls++ === 0)
+						throw new Error("try again");
+					return { generatedResponse: query, contexts: [] };
+				},
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				retries: 1,
+				onError: "record",
+			});
+
+			expect(report).toEqual({
+				experimentId: mockExperimentId,
+				succeeded: ["e1", "e2"],
+				failed: [
+					{
+						entryId: "e3",
+						error: "model crashed",
+						attempts: 2,
+						recorded: true,
+					},
+				],
+				skipped: [],
+				responses: ["uploaded"],
+			});
+			expect(
+				JSON.parse(mockAxios.history.put[0].data)
+					.entry_id_to_inference_output.e3
+			).toEqual({
+				generated_response: "",
+				contexts: [],
+				debug_info: { error: "model crashed" },
+			});
+		});
+
+		it("should upload the later batches after a failed upload", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "q1", e2: "q2", e3: "broken" });
+			mockAxios
+				.onPut("/api/eval/run/entries")
+				.replyOnce(422, { detail: "Too long." })
+				.onPut("/api/eval/run/entries")
+				.reply(200, "uploaded");
+			const run = (onError) =>
+				foresight.generateAnswersAndRunEval({
+					generateFn: (query) => {
+						if (query === "broken")
+							throw new Error("model crashed");
+						return { generatedResponse: query, contexts: [] };
+					},
+					runConfig: {
+						evalsetId: mockEvalsetId,
+						experimentId: mockExperimentId,
+						metrics: mockMetrics,
+					},
+					batchSize: 1,
+					onError,
+				});
+
+			const report = await run("record");
+
+			expect(mockAxios.history.put.length).toBe(3);
+			expect(report.succeeded).toEqual(["e2"]);
+			expect(report.failed).toEqual([
+				{
+					entryId: "e1",
+					error: expect.stringContaining(
+						"Uploading the answer failed:"
+					),
+					attempts: 1,
+					recorded: false,
+				},
+				{
+					entryId: "e3",
+					error: "model crashed",
+					attempts: 1,
+					recorded: true,
+				},
+			]);
+
+			mockAxios.resetHandlers();
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "q1", e2: "q2" });
+			mockAxios
+				.onPut("/api/eval/run/entries")
+				.replyOnce(422, { detail: "Too long." })
+				.onPut("/api/eval/run/entries")
+				.reply(200, "uploaded");
+			await expect(run("abort")).rejects.toMatchObject({
+				report: {
+					succeeded: ["e2"],
+					failed: [expect.objectContaining({ entryId: "e1" })],
+				},
+			});
+		});
+
+		it("should not upload skipped failures", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "ok", e2: "broken" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "uploaded");
+
+			const report = await foresight.generateAnswersAndRunEval({
+				generateFn: (query) => {
+					if (query === "broken") throw new Error("model crashed");
+					return { generatedResponse: query, contexts: [] };
+				},
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				onError: "skip",
+			});
+
+			expect(report.failed.map(({ entryId }) => entryId)).toEqual(["e2"]);
+			expect(
+				Object.keys(
+					JSON.parse(mockAxios.history.put[0].data)
+						.entry_id_to_inference_output
+				)
+			).toEqual(["e1"]);
+		});
+
+		it("should attach the report when aborting", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "ok", e2: "broken", e3: "never" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "uploaded");
+
+			const error = await foresight
+				.generateAnswersAndRunEval({
+					generateFn: (query) => {
+						if (query === "broken")
+							throw new Error("model crashed");
+						return { generatedResponse: query, contexts: [] };
+					},
+					runConfig: {
+						evalsetId: mockEvalsetId,
+						experimentId: mockExperimentId,
+						metrics: mockMetrics,
+					},
+				})
+				.catch((e) => e);
+
+			expect(error.message).toBe(
+				"generateFn failed for entry e2: model crashed"
 			);
+			expect(error.report.succeeded).toEqual(["e1"]);
+			expect(error.report.skipped).toEqual(["e3"]);
+			expect(error.report.responses).toEqual(["uploaded"]);
 		});
 	});
 
-	describe("getEvalrunDetails", () => {
-		it("should get evaluation run details", async () => {
-			mockAxios.onGet("/api/eval/run/details").reply(200, mockDetails);
+	describe("input validation", () => {
+		it("should list every invalid field of the run config", async () => {
+			const response = foresight.createEvalrun({
+				runConfig: {
+					evalset_id: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: ["GROUNDEDNESS", "HELPFULNESS"],
+				},
+			});
 
-			const response = await foresight.getEvalrunDetails({
-				experimentId: mockExperimentId,
-				convertToDataframe: false,
+			await expect(response).rejects.toThrowError(
+				ForesightValidationError
+			);
+			await expect(response).rejects.toMatchObject({
+				fieldErrors: [
+					{
+						field: "runConfig.evalsetId",
+						message:
+							"runConfig.evalsetId is required, found evalset_id instead.",
+					},
+					{
+						field: "runConfig.metrics[1]",
+						message:
+							'runConfig.metrics[1] must be one of GROUNDEDNESS, REFERENCE_FACT_RECALL, got "HELPFULNESS".',
+					},
+				],
+			});
+			expect(mockAxios.history.post.length).toBe(0);
+		});
+
+		it("should reject evalsets with queries that are not strings", async () => {
+			const response = foresight.createSimpleEvalset({
+				evalsetId: mockEvalsetId,
+				queries: ["query1", 2],
 			});
 
-			expect(response).toEqual(mockDetails);
+			await expect(response).rejects.toThrowError(
+				"Invalid input to createSimpleEvalset:\n- queries[1] must be a string, got number."
+			);
+		});
+
+		it("should accept evalsets with missing reference answers", async () => {
+			mockAxios.onPost("/api/eval/set").reply(200, { numEntries: 2 });
+
+			await foresight.createSimpleEvalset({
+				evalsetId: mockEvalsetId,
+				queries: ["query1", "query2"],
+				referenceAnswers: ["answer1", null],
+			});
+
+			expect(
+				JSON.parse(mockAxios.history.post[0].data).evalset_entries.map(
+					(entry) => entry.reference_answer
+				)
+			).toEqual(["answer1", null]);
+		});
+
+		it("should reject generateAnswersAndRunEval without a run config", async () => {
+			const error = await foresight
+				.generateAnswersAndRunEval({ generateFn: () => null })
+				.catch((e) => e);
+
+			expect(error).toBeInstanceOf(ForesightValidationError);
+			expect(error.fieldErrors).toEqual([
+				{ field: "runConfig", message: "runConfig is required." },
+			]);
+			expect(error.report).toBeUndefined();
+		});
+
+		it("should fail entries whose generateFn output is invalid without retrying", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "q1", e2: "q2" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
+			const generateFn = jest.fn((query) =>
+				query === "q1"
+					? { generatedResponse: "a1", contexts: ["c1"] }
+					: { response: "a2", contexts: "c2" }
+			);
+
+			const report = await foresight.generateAnswersAndRunEval({
+				generateFn,
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				retries: 2,
+				onError: "skip",
+			});
+
+			expect(generateFn).toHaveBeenCalledTimes(2);
+			expect(report.succeeded).toEqual(["e1"]);
+			expect(report.failed).toEqual([
+				{
+					entryId: "e2",
+					error:
+						"generateFn returned an invalid InferenceOutput for entry e2:\n" +
+						"- output.generatedResponse is required, found response instead.\n" +
+						"- output.contexts must be an array, got string.",
+					attempts: 1,
+					recorded: false,
+				},
+			]);
+		});
+
+		it("should accept log entries without contexts", async () => {
+			await foresight.log({ query: "query", response: "response" });
+
+			expect(
+				foresight.tagToLogEntries.default[0].inference_output
+			).toEqual({ generated_response: "response", contexts: undefined });
+		});
+
+		it("should reject log entries with invalid fields", async () => {
+			const response = foresight.log({
+				query: "query",
+				response: "response",
+				contexts: ["context", null],
+				timestamp: "yesterday",
+			});
+
+			await expect(response).rejects.toMatchObject({
+				fieldErrors: [
+					{
+						field: "contexts[1]",
+						message: "contexts[1] must be a string, got null.",
+					},
+					{
+						field: "timestamp",
+						message:
+							'timestamp must be a valid date, got "yesterday".',
+					},
+				],
+			});
+			expect(foresight.tagToLogEntries).toEqual({});
+		});
+	});
+
+	describe("response validation", () => {
+		beforeEach(() => {
+			foresight.validateResponses = true;
+		});
+
+		it("should accept responses of the expected shape", async () => {
+			mockAxios.onPost("/api/eval/set").reply(200, mockEvalsetResponse);
+
+			const response = await foresight.createSimpleEvalset({
+				evalsetId: mockEvalsetId,
+				queries: mockQueries,
+			});
+
+			expect(response).toEqual(mockEvalsetResponse);
+		});
+
+		it("should throw a ForesightResponseError on unexpected responses", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(200, { experiment_id: mockExperimentId, rows: [] });
+
+			const response = foresight.getEvalrunDetails({
+				experimentId: mockExperimentId,
+			});
+
+			await expect(response).rejects.toThrowError(ForesightResponseError);
+			await expect(response).rejects.toThrowError(
+				"Unexpected response from /api/eval/run/details:\n- response.entries is required."
+			);
+			// Unexpected responses are not retried.
+			expect(mockAxios.history.get.length).toBe(1);
+		});
+
+		it("should iterate over summaries of the validated shape", async () => {
+			mockAxios
+				.onGet("/api/eval/run/summaries")
+				.replyOnce(200, [{ experimentId: "run0", evalsetId: "set" }])
+				.onGet("/api/eval/run/summaries")
+				.reply(200, []);
+
+			const experimentIds = [];
+			for await (const summary of foresight.iterEvalrunSummaries())
+				experimentIds.push(summary.experimentId);
+
+			expect(experimentIds).toEqual(["run0"]);
+		});
+	});
+
+	describe("log", () => {
+		it("should add log entries", async () => {
+			await foresight.log({
+				query: "test query",
+				response: "test response",
+				contexts: [],
+				tag: "great_model",
+			});
+			expect(foresight.tagToLogEntries["great_model"].length).toBe(1);
+		});
+
+		it("should send the log metadata", async () => {
+			mockAxios.onPut("/api/eval/log").reply(200);
+
+			await foresight.log({
+				query: "test query",
+				response: "test response",
+				contexts: ["context"],
+				tag: "great_model",
+				referenceAnswer: "reference",
+				debugInfo: { model: "gpt" },
+				entryId: "entry-1",
+				timestamp: new Date(Date.UTC(2024, 0, 2)),
+				metrics: [
+					MetricType.GROUNDEDNESS,
+					MetricType.REFERENCE_FACT_RECALL,
+				],
+			});
+			await foresight.flush();
+
+			expect(JSON.parse(mockAxios.history.put[0].data)).toEqual({
+				experiment_id_prefix: "great_model",
+				metrics: ["GROUNDEDNESS", "REFERENCE_FACT_RECALL"],
+				log_entries: [
+					{
+						query: "test query",
+						reference_answer: "reference",
+						entry_id: "entry-1",
+						timestamp: "2024-01-02T00:00:00.000Z",
+						inference_output: {
+							generated_response: "test response",
+							contexts: ["context"],
+							debug_info: { model: "gpt" },
+						},
+					},
+				],
+			});
+		});
+
+		it("should auto flush when log entries exceed maxEntriesBeforeAutoFlush", async () => {
+			mockAxios.onAny().reply(200);
+
+			for (let i = 0; i < mockMaxEntriesBeforeAutoFlush; i++) {
+				await foresight.log({
+					query: `test query ${i}`,
+					response: `test response ${i}`,
+					contexts: [],
+					tag: "great_model",
+				});
+			}
+
+			expect(foresight.tagToLogEntries["great_model"].length).toBe(0);
+		});
+	});
+
+	describe("wrap", () => {
+		const rag = async (query) => ({
+			generatedResponse: `answer to ${query}`,
+			contexts: ["context"],
+			debugInfo: { model: "gpt" },
+		});
+
+		it("should log calls without changing the result", async () => {
+			const wrapped = foresight.wrap(rag, { tag: "wrapped" });
+
+			const result = await wrapped("q1");
+
+			expect(result).toEqual(await rag("q1"));
+			const [entry] = foresight.tagToLogEntries["wrapped"];
+			expect(entry.query).toBe("q1");
+			expect(entry.inference_output).toEqual({
+				generated_response: "answer to q1",
+				contexts: ["context"],
+				debug_info: { model: "gpt", latencyMs: expect.any(Number) },
+			});
+		});
+
+		it("should return the results of sync functions as they are", () => {
+			const answer = {
+				answer: "a",
+				sourceDocuments: [{ pageContent: "c" }],
+			};
+			const wrapped = foresight.wrap(() => answer, { tag: "sync" });
+
+			expect(wrapped({ question: "q" })).toBe(answer);
+			expect(
+				foresight.tagToLogEntries["sync"][0].inference_output
+			).toMatchObject({ generated_response: "a", contexts: ["c"] });
+		});
+
+		it("should use custom extractors", async () => {
+			const wrapped = foresight.wrap(
+				async (messages, docs) => `${messages.length} messages`,
+				{
+					tag: "custom",
+					extractQuery: (messages) => messages[messages.length - 1],
+					extractResponse: (result) => result,
+					extractContexts: (result, messages, docs) => docs,
+				}
+			);
+
+			await wrapped(["hi", "q"], ["d1", "d2"]);
+
+			const [entry] = foresight.tagToLogEntries["custom"];
+			expect(entry.query).toBe("q");
+			expect(entry.inference_output.generated_response).toBe(
+				"2 messages"
+			);
+			expect(entry.inference_output.contexts).toEqual(["d1", "d2"]);
+		});
+
+		it("should never throw on logging failures", async () => {
+			const warn = jest.spyOn(foresight.logging, "warn");
+			const wrapped = foresight.wrap(async () => 42, {
+				tag: "failing",
+				extractContexts: () => {
+					throw new Error("No contexts.");
+				},
+			});
+
+			await expect(wrapped("q")).resolves.toBe(42);
+			await expect(foresight.wrap(async () => 42)("q")).resolves.toBe(42);
+			await new Promise((resolve) => setImmediate(resolve));
+
+			expect(
+				warn.mock.calls.map(([message, fields]) => [
+					message,
+					fields.error,
+				])
+			).toEqual([
+				["Logging a wrapped call failed.", "No contexts."],
+				[
+					"Logging a wrapped call failed.",
+					expect.stringContaining("Invalid input to log:"),
+				],
+			]);
+			expect(foresight.tagToLogEntries["failing"]).toBeUndefined();
+		});
+
+		it("should rethrow errors of the function without logging", async () => {
+			const error = new Error("The model is down.");
+			const wrapped = foresight.wrap(
+				async () => {
+					throw error;
+				},
+				{ tag: "errors" }
+			);
+
+			await expect(wrapped("q")).rejects.toBe(error);
+			expect(foresight.tagToLogEntries["errors"]).toBeUndefined();
+		});
+
+		it("should log a sample of the calls", async () => {
+			const random = jest
+				.spyOn(Math, "random")
+				.mockReturnValueOnce(0.05)
+				.mockReturnValueOnce(0.5);
+			const wrapped = foresight.wrap(rag, {
+				tag: "sampled",
+				sampleRate: 0.1,
+			});
+
+			await wrapped("q1");
+			await wrapped("q2");
+			random.mockRestore();
+
+			expect(
+				foresight.tagToLogEntries["sampled"].map((entry) => entry.query)
+			).toEqual(["q1"]);
+			expect(() => foresight.wrap(rag, { sampleRate: 2 })).toThrow(
+				"sampleRate must be a number between 0 and 1."
+			);
+		});
+
+		it("should be usable as generateFn", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios.onGet("/api/eval/run/queries").reply(200, { e1: "q1" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
+
+			const report = await foresight.generateAnswersAndRunEval({
+				generateFn: foresight.wrap(rag, { tag: "generate" }),
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+			});
+
+			expect(report.succeeded).toEqual(["e1"]);
+			expect(
+				JSON.parse(mockAxios.history.put[0].data)
+					.entry_id_to_inference_output.e1.generated_response
+			).toBe("answer to q1");
+			// Eval queries are not production traffic.
+			expect(foresight.tagToLogEntries["generate"]).toBeUndefined();
+		});
+
+		it("should not log calls given the options of an eval run", async () => {
+			const answer = foresight.wrap(rag, { tag: "forwarded" });
+			const generateFn = (query, options) => answer(query, options);
+
+			await generateFn("q1", { evalRun: true });
+			expect(foresight.tagToLogEntries["forwarded"]).toBeUndefined();
+
+			await generateFn("q1", {});
+			expect(foresight.tagToLogEntries["forwarded"].length).toBe(1);
+		});
+	});
+
+	describe("streamed responses", () => {
+		async function* tokens(chunks) {
+			for (const chunk of chunks) {
+				await new Promise((resolve) => setImmediate(resolve));
+				yield chunk;
+			}
+		}
+
+		const readAll = async (stream) => {
+			let text = "";
+			for await (const chunk of stream) text += chunk;
+			return text;
+		};
+
+		it("should log a streamed response once it ends", async () => {
+			const stream = await foresight.log({
+				query: "q",
+				response: tokens(["Hel", "lo"]),
+				contexts: ["c"],
+				tag: "stream",
+				debugInfo: { model: "gpt" },
+			});
+
+			expect(foresight.tagToLogEntries["stream"]).toBeUndefined();
+			expect(await readAll(stream)).toBe("Hello");
+			const [entry] = foresight.tagToLogEntries["stream"];
+			expect(entry.inference_output).toEqual({
+				generated_response: "Hello",
+				contexts: ["c"],
+				debug_info: {
+					model: "gpt",
+					timeToFirstTokenMs: expect.any(Number),
+					durationMs: expect.any(Number),
+				},
+			});
+		});
+
+		it("should return a ReadableStream for a ReadableStream", async () => {
+			const stream = await foresight.log({
+				query: "q",
+				response: new ReadableStream({
+					start(controller) {
+						controller.enqueue("a");
+						controller.enqueue("b");
+						controller.close();
+					},
+				}),
+				contexts: [],
+				tag: "readable",
+			});
+
+			expect(stream).toBeInstanceOf(ReadableStream);
+			expect(await readAll(stream)).toBe("ab");
+			expect(
+				foresight.tagToLogEntries["readable"][0].inference_output
+					.generated_response
+			).toBe("ab");
+		});
+
+		it("should handle aborted streams as asked", async () => {
+			const abort = async (onStreamAbort) => {
+				const stream = await foresight.log({
+					query: "q",
+					response: tokens(["a", "b", "c"]),
+					contexts: [],
+					tag: onStreamAbort,
+					onStreamAbort,
+				});
+				for await (const chunk of stream) {
+					if (chunk === "b") break;
+				}
+			};
+
+			await abort("skip");
+			await abort("log");
+
+			expect(foresight.tagToLogEntries["skip"]).toBeUndefined();
+			const [entry] = foresight.tagToLogEntries["log"];
+			expect(entry.inference_output.generated_response).toBe("ab");
+			expect(entry.inference_output.debug_info.streamAborted).toBe(true);
+			await expect(
+				foresight.log({
+					query: "q",
+					response: tokens([]),
+					contexts: [],
+					onStreamAbort: "retry",
+				})
+			).rejects.toThrow("onStreamAbort must be one of skip, log.");
+		});
+
+		it("should check the other fields before streaming", async () => {
+			await expect(
+				foresight.log({
+					query: "",
+					response: tokens(["a"]),
+					contexts: [],
+				})
+			).rejects.toThrow(ForesightValidationError);
+		});
+
+		it("should read streamed answers of generateFn", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios
+				.onGet("/api/eval/run/queries")
+				.reply(200, { e1: "q1", e2: "q2" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
+
+			const report = await foresight.generateAnswersAndRunEval({
+				generateFn: (query) => {
+					if (query === "q2") {
+						return {
+							generatedResponse: (async function* () {
+								yield "partial";
+								throw new Error("Connection reset.");
+							})(),
+							contexts: [],
+						};
+					}
+					return {
+						generatedResponse: tokens([
+							{ choices: [{ delta: { content: "answer " } }] },
+							{ choices: [{ delta: { content: "to q1" } }] },
+						]),
+						contexts: ["c"],
+					};
+				},
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+				onError: "skip",
+			});
+
+			expect(report.succeeded).toEqual(["e1"]);
+			expect(report.failed).toEqual([
+				expect.objectContaining({
+					entryId: "e2",
+					error: "The response stream of entry e2 was aborted: Connection reset.",
+				}),
+			]);
+			const output = JSON.parse(mockAxios.history.put[0].data)
+				.entry_id_to_inference_output.e1;
+			expect(output).toEqual({
+				generated_response: "answer to q1",
+				contexts: ["c"],
+				debug_info: {
+					timeToFirstTokenMs: expect.any(Number),
+					durationMs: expect.any(Number),
+				},
+			});
+		});
+	});
+
+	describe("flush", () => {
+		it("should flush log entries", async () => {
+			mockAxios.onAny().reply(200);
+
+			await foresight.log({
+				query: "test query",
+				response: "test response",
+				contexts: [],
+				tag: "great_model",
+			});
+			await foresight.flush();
+
+			expect(foresight.tagToLogEntries["great_model"].length).toBe(0);
+		});
+
+		it("should flush every tag and keep the entries of failed tags", async () => {
+			mockAxios
+				.onPut("/api/eval/log", {
+					asymmetricMatch: (body) =>
+						body.experiment_id_prefix === "broken_model",
+				})
+				.reply(400, { detail: "bad entries" });
+			mockAxios.onPut("/api/eval/log").reply(200, { ok: true });
+
+			await foresight.log({
+				query: "q1",
+				response: "r1",
+				contexts: [],
+				tag: "broken_model",
+			});
+			await foresight.log({
+				query: "q2",
+				response: "r2",
+				contexts: [],
+				tag: "great_model",
+			});
+			const results = await foresight.flush();
+
+			expect(results["great_model"]).toEqual({
+				sent: 1,
+				response: { ok: true },
+				error: null,
+			});
+			expect(results["broken_model"].sent).toBe(0);
+			expect(results["broken_model"].error).toBeInstanceOf(
+				ForesightValidationError
+			);
+			expect(foresight.tagToLogEntries["great_model"].length).toBe(0);
+			expect(foresight.tagToLogEntries["broken_model"].length).toBe(1);
+		});
+
+		it("should not send or drop entries logged during a flush", async () => {
+			let resolveFirstRequest;
+			mockAxios
+				.onPut("/api/eval/log")
+				.replyOnce(
+					() =>
+						new Promise((resolve) => {
+							resolveFirstRequest = () => resolve([200]);
+						})
+				)
+				.onPut("/api/eval/log")
+				.reply(200);
+			const logEntry = (query) =>
+				foresight.log({
+					query,
+					response: "r",
+					contexts: [],
+					tag: "great_model",
+				});
+
+			await logEntry("q1");
+			const firstFlush = foresight.flush();
+			const secondFlush = foresight.flush();
+			await new Promise((resolve) => setTimeout(resolve, 0));
+			await logEntry("q2");
+			resolveFirstRequest();
+			await Promise.all([firstFlush, secondFlush]);
+
+			const sentQueries = mockAxios.history.put.map((request) =>
+				JSON.parse(request.data).log_entries.map(({ query }) => query)
+			);
+			expect(sentQueries).toEqual([["q1"], ["q2"]]);
+			expect(foresight.tagToLogEntries["great_model"].length).toBe(0);
+		});
+
+		it("should handle no log entries to flush", async () => {
+			await foresight.flush();
+			expect(console.info).toHaveBeenCalledWith(
+				"No log entries to flush."
+			);
+		});
+	});
+
+	describe("redaction", () => {
+		beforeEach(() => {
+			foresight = new Foresight({
+				axiosInstance: mockAxios.axiosInstance,
+				apiToken: mockApiToken,
+				apiUrl: mockApiUrl,
+				redaction: {
+					rules: ["email", { name: "ticket", pattern: /TICKET-\d+/ }],
+					allowFields: ["contexts"],
+				},
+			});
+		});
+
+		it("should redact log entries and count the redactions per flush", async () => {
+			mockAxios.onPut("/api/eval/log").reply(200, "success");
+			await foresight.log({
+				query: "Why was TICKET-12 by jane@example.com closed?",
+				response: "Ask bob@example.com.",
+				contexts: ["Owner: jane@example.com"],
+				debugInfo: { user: "jane@example.com" },
+				tag: "support",
+			});
+
+			const results = await foresight.flush();
+
+			const [entry] = JSON.parse(
+				mockAxios.history.put[0].data
+			).log_entries;
+			expect(entry.query).toBe("Why was [TICKET] by [EMAIL] closed?");
+			expect(entry.inference_output).toEqual({
+				generated_response: "Ask [EMAIL].",
+				contexts: ["Owner: jane@example.com"],
+				debug_info: { user: "[EMAIL]" },
+			});
+			expect(results.support.redactions).toEqual({ email: 3, ticket: 1 });
+		});
+
+		it("should redact log entries before spooling them", async () => {
+			const spoolPath = path.join(
+				fs.mkdtempSync(path.join(os.tmpdir(), "fore-")),
+				"spool.jsonl"
+			);
+			const client = new Foresight({
+				axiosInstance: mockAxios.axiosInstance,
+				apiToken: mockApiToken,
+				apiUrl: mockApiUrl,
+				spoolPath,
+				flushOnExit: false,
+				redaction: {},
+			});
+			await client.log({
+				query: "Call +1 415 555 0100 or mail jane@example.com",
+				response: "Card 4111 1111 1111 1111 was charged.",
+				contexts: [],
+				tag: "support",
+			});
+
+			const spooled = fs.readFileSync(spoolPath, "utf8");
+			expect(spooled).not.toContain("jane@example.com");
+			expect(spooled).not.toContain("555 0100");
+			expect(spooled).not.toContain("4111");
+			expect(JSON.parse(spooled).entry.query).toBe(
+				"Call [PHONE] or mail [EMAIL]"
+			);
+
+			mockAxios.onPut("/api/eval/log").reply(200, "success");
+			const results = await client.flush();
+			expect(results.support.redactions).toEqual({
+				email: 1,
+				creditCard: 1,
+				phone: 1,
+			});
+			await client.close();
+		});
+
+		it("should redact generated answers and report the redactions", async () => {
+			mockAxios.onPost("/api/eval/run").reply(200, "success");
+			mockAxios.onGet("/api/eval/run/queries").reply(200, { e1: "q1" });
+			mockAxios.onPut("/api/eval/run/entries").reply(200, "success");
+
+			const report = await foresight.generateAnswersAndRunEval({
+				generateFn: () => ({
+					generatedResponse: "Write to jane@example.com.",
+					contexts: [],
+				}),
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+			});
+
+			const upload = JSON.parse(mockAxios.history.put[0].data);
+			expect(upload.experiment_id).toBe(mockExperimentId);
+			expect(
+				upload.entry_id_to_inference_output.e1.generated_response
+			).toBe("Write to [EMAIL].");
+			expect(report.redactions).toEqual({ email: 1 });
+		});
+	});
+
+	describe("structured logging", () => {
+		const makeClient = (options) => {
+			const logger = {
+				debug: jest.fn(),
+				info: jest.fn(),
+				warn: jest.fn(),
+				error: jest.fn(),
+			};
+			const axiosInstance = axios.create({ baseURL: mockApiUrl });
+			const client = new Foresight({
+				axiosInstance,
+				apiToken: mockApiToken,
+				apiUrl: mockApiUrl,
+				retryBaseDelayMs: 1,
+				logger,
+				...options,
+			});
+			return { client, logger, mock: new MockAdapter(axiosInstance) };
+		};
+
+		it("should not log the initialization above debug level", () => {
+			const { logger } = makeClient();
+
+			expect(logger.debug).not.toHaveBeenCalled();
+			expect(logger.info).not.toHaveBeenCalled();
+		});
+
+		it("should log requests with structured fields", async () => {
+			const { client, logger, mock } = makeClient({ logLevel: "debug" });
+			mock.onPost("/api/eval/run").reply(200, "success");
+
+			await client.createEvalrun({
+				runConfig: {
+					evalsetId: mockEvalsetId,
+					experimentId: mockExperimentId,
+					metrics: mockMetrics,
+				},
+			});
+
+			expect(logger.debug).toHaveBeenCalledWith("Request succeeded.", {
+				httpMethod: "post",
+				endpoint: "/api/eval/run",
+				status: 200,
+				durationMs: expect.any(Number),
+			});
+			expect(logger.info).toHaveBeenCalledWith("Eval run created.", {
+				experimentId: mockExperimentId,
+				evalsetId: mockEvalsetId,
+			});
+		});
+
+		it("should log failures of methods that throw at debug level", async () => {
+			const { client, logger, mock } = makeClient();
+			mock.onGet("/api/eval/set").reply(404, {
+				detail: `No evalset for token ${mockApiToken}`,
+			});
+
+			await expect(
+				client.getEvalset({ evalsetId: mockEvalsetId })
+			).rejects.toThrowError(ForesightNotFoundError);
+			expect(logger.error).not.toHaveBeenCalled();
+
+			const debug = makeClient({ logLevel: "debug" });
+			debug.mock.onGet("/api/eval/set").reply(404, {
+				detail: `No evalset for token ${mockApiToken}`,
+			});
+			await expect(
+				debug.client.getEvalset({ evalsetId: mockEvalsetId })
+			).rejects.toThrowError(ForesightNotFoundError);
+			expect(debug.logger.debug).toHaveBeenCalledWith(
+				"getEvalset failed.",
+				{
+					method: "getEvalset",
+					evalsetId: mockEvalsetId,
+					error: "Request to /api/eval/set failed with status 404: No evalset for token [REDACTED]",
+				}
+			);
+		});
+
+		it("should redact queries and responses with redactBodies", async () => {
+			const { client, logger } = makeClient({
+				logLevel: "debug",
+				redactBodies: true,
+			});
+
+			await client.log({
+				query: "my card is 4111 1111 1111 1111",
+				response: "response",
+				contexts: [],
+				tag: "prod",
+			});
+
+			expect(logger.debug).toHaveBeenCalledWith("Log entry added.", {
+				tag: "prod",
+				query: "[REDACTED]",
+				response: "[REDACTED]",
+			});
+		});
+
+		it("should log nothing when silent", async () => {
+			const { client, logger, mock } = makeClient({ logLevel: "silent" });
+			mock.onPut("/api/eval/log").reply(500);
+			await client.log({ query: "q", response: "r", contexts: [] });
+
+			const results = await client.flush();
+
+			expect(results.default.error).toBeInstanceOf(ForesightServerError);
+			for (const method of Object.values(logger))
+				expect(method).not.toHaveBeenCalled();
+		});
+
+		it("should reject unknown log levels", () => {
+			expect(() => makeClient({ logLevel: "verbose" })).toThrowError(
+				"logLevel must be one of debug, info, warn, error, silent."
+			);
+		});
+	});
+
+	describe("background logging", () => {
+		let backgroundForesight;
+
+		const createClient = (options) => {
+			const axiosInstance = axios.create({ baseURL: mockApiUrl });
+			mockAxios = new MockAdapter(axiosInstance);
+			backgroundForesight = new Foresight({
+				axiosInstance,
+				apiToken: mockApiToken,
+				apiUrl: mockApiUrl,
+				flushMode: "background",
+				flushOnExit: false,
+				...options,
+			});
+			return backgroundForesight;
+		};
+
+		const logEntry = (client, i, tag = "great_model") =>
+			client.log({
+				query: `test query ${i}`,
+				response: `test response ${i}`,
+				contexts: [],
+				tag,
+			});
+
+		afterEach(async () => {
+			mockAxios.reset();
+			mockAxios.onAny().reply(200);
+			await backgroundForesight.close();
+		});
+
+		it("should not wait for the auto flush", async () => {
+			const client = createClient({ maxEntriesBeforeAutoFlush: 1 });
+			let resolveRequest;
+			mockAxios.onPut("/api/eval/log").reply(
+				() =>
+					new Promise((resolve) => {
+						resolveRequest = () => resolve([200]);
+					})
+			);
+
+			await logEntry(client, 0);
+			expect(mockAxios.history.put.length).toBe(1);
+
+			resolveRequest();
+			await client._backgroundFlush;
+			expect(client.tagToLogEntries["great_model"].length).toBe(0);
+		});
+
+		it("should flush on an interval", async () => {
+			const client = createClient({ flushIntervalMs: 5 });
+			mockAxios.onPut("/api/eval/log").reply(200);
+
+			await logEntry(client, 0);
+			await new Promise((resolve) => setTimeout(resolve, 30));
+
+			expect(mockAxios.history.put.length).toBe(1);
+			expect(client.tagToLogEntries["great_model"].length).toBe(0);
+		});
+
+		it("should keep entries when a background flush fails", async () => {
+			const client = createClient({
+				maxEntriesBeforeAutoFlush: 1,
+				maxRetries: 0,
+			});
+			mockAxios.onPut("/api/eval/log").reply(500);
+
+			await logEntry(client, 0);
+			await client._backgroundFlush;
+
+			expect(client.tagToLogEntries["great_model"].length).toBe(1);
+		});
+
+		it.each([
+			["drop-oldest", ["test query 1", "test query 2"]],
+			["drop-newest", ["test query 0", "test query 1"]],
+		])("should %s when the queue is full", async (policy, queries) => {
+			const client = createClient({
+				maxQueueSize: 2,
+				overflowPolicy: policy,
+			});
+
+			for (let i = 0; i < 3; i++) await logEntry(client, i);
+
+			expect(
+				client.tagToLogEntries["great_model"].map(({ query }) => query)
+			).toEqual(queries);
+			expect(client.numDroppedLogEntries).toBe(1);
+		});
+
+		it("should throw when the queue is full", async () => {
+			const client = createClient({
+				maxQueueSize: 1,
+				overflowPolicy: "error",
+			});
+
+			await logEntry(client, 0);
+
+			await expect(logEntry(client, 1)).rejects.toThrowError(
+				"The log queue is full (1 entries)."
+			);
+		});
+
+		it("should flush the remaining entries on close", async () => {
+			const numListeners = process.listenerCount("beforeExit");
+			const client = createClient({ flushOnExit: true });
+			mockAxios.onPut("/api/eval/log").reply(200);
+			expect(process.listenerCount("beforeExit")).toBe(numListeners + 1);
+
+			await logEntry(client, 0);
+			await client.close();
+
+			expect(mockAxios.history.put.length).toBe(1);
+			expect(process.listenerCount("beforeExit")).toBe(numListeners);
+		});
+
+		it("should raise SIGTERM again once every client is flushed", async () => {
+			// Only the handler of the clients is left to decide on raising SIGTERM again.
+			const otherListeners = process.listeners("SIGTERM");
+			otherListeners.forEach((listener) =>
+				process.removeListener("SIGTERM", listener)
+			);
+			const axiosInstance = axios.create({ baseURL: mockApiUrl });
+			mockAxios = new MockAdapter(axiosInstance);
+			const flushed = [];
+			mockAxios.onPut("/api/eval/log").reply(async (config) => {
+				const { experiment_id_prefix: tag } = JSON.parse(config.data);
+				await new Promise((resolve) =>
+					setTimeout(resolve, tag === "slow_model" ? 30 : 1)
+				);
+				flushed.push(tag);
+				return [200];
+			});
+			const clients = ["slow_model", "fast_model"].map(
+				() =>
+					new Foresight({
+						axiosInstance,
+						apiToken: mockApiToken,
+						apiUrl: mockApiUrl,
+						flushMode: "background",
+					})
+			);
+			await logEntry(clients[0], 0, "slow_model");
+			await logEntry(clients[1], 1, "fast_model");
+			const killed = new Promise((resolve) =>
+				jest.spyOn(process, "kill").mockImplementation(() => resolve())
+			);
+
+			try {
+				expect(process.listenerCount("SIGTERM")).toBe(1);
+				process.emit("SIGTERM");
+				await killed;
+
+				expect(flushed.sort()).toEqual(["fast_model", "slow_model"]);
+				expect(process.kill).toHaveBeenCalledTimes(1);
+				expect(process.listenerCount("SIGTERM")).toBe(0);
+			} finally {
+				otherListeners.forEach((listener) =>
+					process.on("SIGTERM", listener)
+				);
+				process.kill.mockRestore();
+			}
+		});
+
+		it("should send spooled entries after a restart", async () => {
+			const spoolPath = path.join(
+				fs.mkdtempSync(path.join(os.tmpdir(), "fore-")),
+				"spool.jsonl"
+			);
+
+			const crashedClient = createClient({ spoolPath });
+			await logEntry(crashedClient, 0);
+			await logEntry(crashedClient, 1, "other_model");
+			await crashedClient.close();
+			expect(fs.readFileSync(spoolPath, "utf8").split("\n").length).toBe(
+				3
+			);
+
+			const client = createClient({ spoolPath });
+			await client._spoolReady;
+			expect(client.tagToLogEntries["great_model"].length).toBe(1);
+			expect(client.tagToLogEntries["other_model"].length).toBe(1);
+
+			mockAxios.onPut("/api/eval/log").reply(200);
+			await client.flush();
+			expect(fs.readFileSync(spoolPath, "utf8")).toBe("");
+		});
+	});
+
+	describe("getEvalrunDetails", () => {
+		it("should get evaluation run details", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+
+			const response = await foresight.getEvalrunDetails({
+				experimentId: mockExperimentId,
+				convertToDataframe: false,
+			});
+
+			expect(response).toEqual(mockDetails);
+		});
+	});
+
+	describe("getEvalrunStats", () => {
+		it("should summarize the metrics of all entries", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+
+			const stats = await foresight.getEvalrunStats({
+				experimentId: mockExperimentId,
+			});
+
+			expect(stats.numEntries).toBe(2);
+			expect(stats.metrics.metric1.mean).toBeCloseTo(0.6);
+			expect(stats.metrics.metric2.min).toBe(0.6);
+		});
+
+		it("should throw errors as ForesightErrors", async () => {
+			mockAxios.onGet("/api/eval/run/details").reply(404);
+
+			await expect(
+				foresight.getEvalrunStats({ experimentId: mockExperimentId })
+			).rejects.toThrow(ForesightNotFoundError);
+		});
+
+		it("should reject invalid numbers of bins", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+
+			for (const numBins of [0, -1, 2.5])
+				await expect(
+					foresight.getEvalrunStats({
+						experimentId: mockExperimentId,
+						numBins,
+					})
+				).rejects.toThrow(ForesightValidationError);
+		});
+	});
+
+	describe("exportEvalrunDetails", () => {
+		it("should write all entries of a run", async () => {
+			const filePath = path.join(
+				fs.mkdtempSync(path.join(os.tmpdir(), "fore-")),
+				"details.jsonl"
+			);
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+
+			const { numEntries } = await foresight.exportEvalrunDetails({
+				experimentId: mockExperimentId,
+				format: "jsonl",
+				path: filePath,
+			});
+
+			expect(numEntries).toBe(2);
+			const rows = fs
+				.readFileSync(filePath, "utf8")
+				.trim()
+				.split("\n")
+				.map((line) => JSON.parse(line));
+			expect(rows[0]).toMatchObject({
+				query: "query1",
+				referenceAnswer: "answer1",
+				generatedResponse: "response1",
+				metric1: 0.5,
+			});
+		});
+	});
+
+	describe("getEvalrunReport", () => {
+		it("should render a report of the run", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+
+			const report = await foresight.getEvalrunReport({
+				experimentId: mockExperimentId,
+				format: "html",
+			});
+
+			expect(report).toContain(`<h1>Eval run ${mockExperimentId}</h1>`);
+		});
+	});
+
+	describe("compareEvalruns", () => {
+		it("should fetch and compare both runs", async () => {
+			mockAxios.onGet("/api/eval/run/details").reply((config) =>
+				replyWithPage({
+					experimentId: config.params.experiment_id,
+					entries: [
+						{
+							input: { entryId: "e1", query: "query1" },
+							metricValues: {
+								metric1:
+									config.params.experiment_id === "v1"
+										? 0.5
+										: 0.9,
+							},
+						},
+					],
+				})(config)
+			);
+
+			const comparison = await foresight.compareEvalruns({
+				baselineExperimentId: "v1",
+				candidateExperimentId: "v2",
+			});
+
+			expect(comparison.numMatched).toBe(1);
+			expect(comparison.metrics.metric1.delta).toBeCloseTo(0.4);
+			expect(comparison.metrics.metric1.improved.length).toBe(1);
+		});
+	});
+
+	describe("waitForEvalrun", () => {
+		const partialDetails = {
+			...mockDetails,
+			entries: [
+				mockDetails.entries[0],
+				{
+					...mockDetails.entries[1],
+					metricValues: { metric1: 0.7, metric2: null },
+				},
+			],
+		};
+
+		it("should poll until every entry is scored and report progress", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.replyOnce(
+					replyWithPage({
+						experimentId: mockExperimentId,
+						entries: [],
+					})
+				)
+				.onGet("/api/eval/run/details")
+				.replyOnce(replyWithPage(partialDetails))
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+			const onProgress = jest.fn();
+
+			const details = await foresight.waitForEvalrun({
+				experimentId: mockExperimentId,
+				pollIntervalMs: 1,
+				onProgress,
+			});
+
+			expect(details).toEqual(mockDetails);
+			expect(
+				onProgress.mock.calls.map(([{ scored, total }]) => [
+					scored,
+					total,
+				])
+			).toEqual([
+				[0, 0],
+				[1, 2],
+				[2, 2],
+			]);
+			expect(onProgress.mock.calls[0][0].experimentId).toBe(
+				mockExperimentId
+			);
+		});
+
+		it("should only wait for the given metrics", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(partialDetails));
+
+			const details = await foresight.waitForEvalrun({
+				experimentId: mockExperimentId,
+				metrics: ["metric1"],
+			});
+
+			expect(details).toEqual(partialDetails);
+		});
+
+		it("should not wait for entries without a generated response", async () => {
+			const skippedDetails = {
+				...mockDetails,
+				entries: [
+					mockDetails.entries[0],
+					{
+						...mockDetails.entries[1],
+						output: null,
+						metricValues: {},
+					},
+				],
+			};
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(skippedDetails));
+			const onProgress = jest.fn();
+
+			const details = await foresight.waitForEvalrun({
+				experimentId: mockExperimentId,
+				timeoutMs: 1000,
+				onProgress,
+			});
+
+			expect(details).toEqual(skippedDetails);
+			expect(onProgress).toHaveBeenCalledWith(
+				expect.objectContaining({ scored: 1, total: 1, unscorable: 1 })
+			);
+		});
+
+		it("should stop when the signal is aborted", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(partialDetails));
+			const controller = new AbortController();
+
+			const promise = foresight.waitForEvalrun({
+				experimentId: mockExperimentId,
+				pollIntervalMs: 60 * 1000,
+				onProgress: () => controller.abort(),
+				signal: controller.signal,
+			});
+
+			await expect(promise).rejects.toThrow(ForesightAbortError);
+			// The entries and the empty page after them.
+			expect(mockAxios.history.get.length).toBe(2);
+		});
+	});
+
+	describe("assertEvalrun", () => {
+		const thresholds = { metric1: { mean: 0.5 }, metric2: { entry: 0.7 } };
+
+		it("should wait for the metrics and check the thresholds", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.replyOnce(
+					replyWithPage({
+						...mockDetails,
+						entries: [
+							mockDetails.entries[0],
+							{ ...mockDetails.entries[1], metricValues: {} },
+						],
+					})
+				)
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+
+			const promise = foresight.assertEvalrun({
+				experimentId: mockExperimentId,
+				thresholds,
+				pollIntervalMs: 1,
+			});
+
+			await expect(promise).rejects.toThrow(ForesightThresholdError);
+			const { result } = await promise.catch((error) => error);
+			expect(result.checks.map(({ passed }) => passed)).toEqual([
+				true,
+				false,
+			]);
+			expect(result.failingEntries.metric2[0].query).toBe("query2");
+			// The first page had an unscored entry, so the details were fetched again.
+			expect(mockAxios.history.get.length).toBeGreaterThanOrEqual(2);
+		});
+
+		it("should return the result when all thresholds are met", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage(mockDetails));
+
+			const result = await foresight.assertEvalrun({
+				experimentId: mockExperimentId,
+				thresholds: { metric1: { mean: 0.5, min: 0.5 } },
+			});
+
+			expect(result.passed).toBe(true);
+		});
+
+		it("should only fail on entries without a value if asked to", async () => {
+			mockAxios.onGet("/api/eval/run/details").reply(
+				replyWithPage({
+					...mockDetails,
+					entries: [
+						...mockDetails.entries,
+						{
+							input: { query: "query3" },
+							output: { generatedResponse: "", contexts: [] },
+							metricValues: {},
+						},
+					],
+				})
+			);
+			const assertEvalrun = (options) =>
+				foresight.assertEvalrun({
+					experimentId: mockExperimentId,
+					thresholds: { metric1: { mean: 0.5 } },
+					...options,
+				});
+
+			const result = await assertEvalrun();
+			expect(result.passed).toBe(true);
+			expect(result.missingEntries.metric1).toEqual([
+				{ entryId: undefined, query: "query3" },
+			]);
+
+			await expect(
+				assertEvalrun({ failOnMissing: true })
+			).rejects.toThrow(
+				"metric1 entries without a value is 1, expected at most 0"
+			);
+		});
+
+		it("should time out if the metrics are not computed", async () => {
+			mockAxios.onGet("/api/eval/run/details").reply(
+				replyWithPage({
+					experimentId: mockExperimentId,
+					entries: [
+						{
+							input: { query: "query1" },
+							output: {
+								generatedResponse: "response1",
+								contexts: [],
+							},
+							metricValues: {},
+						},
+					],
+				})
+			);
+
+			await expect(
+				foresight.assertEvalrun({
+					experimentId: mockExperimentId,
+					thresholds,
+					timeoutMs: 20,
+					pollIntervalMs: 5,
+				})
+			).rejects.toThrow(ForesightTimeoutError);
+		});
+	});
+
+	describe("pagination", () => {
+		const makeEntries = (start, end) =>
+			Array.from({ length: end - start }, (_, i) => ({
+				input: { query: `query${start + i}` },
+				metricValues: {},
+			}));
+
+		it("should iterate over eval run details page by page", async () => {
+			mockAxios.onGet("/api/eval/run/details").reply((config) => {
+				const offset = Number(config.params.offset || 0);
+				const limit = Number(config.params.limit);
+				return [
+					200,
+					{
+						experimentId: mockExperimentId,
+						entries: makeEntries(
+							offset,
+							Math.min(offset + limit, 5)
+						),
+					},
+				];
+			});
+
+			const queries = [];
+			for await (const entry of foresight.iterEvalrunDetails({
+				experimentId: mockExperimentId,
+				pageSize: 2,
+			})) {
+				queries.push(entry.input.query);
+			}
+
+			expect(queries).toEqual([
+				"query0",
+				"query1",
+				"query2",
+				"query3",
+				"query4",
+			]);
+			expect(
+				mockAxios.history.get.map(({ params }) => params.offset)
+			).toEqual([undefined, "2", "4", "5"]);
+		});
+
+		it("should stop at maxItems", async () => {
+			mockAxios.onGet("/api/eval/run/summaries").reply((config) => [
+				200,
+				Array.from({ length: Number(config.params.limit) }, (_, i) => ({
+					experimentId: `run${Number(config.params.offset) + i}`,
+				})),
+			]);
+
+			const experimentIds = [];
+			for await (const summary of foresight.iterEvalrunSummaries({
+				pageSize: 2,
+				maxItems: 3,
+			})) {
+				experimentIds.push(summary.experimentId);
+			}
+
+			expect(experimentIds).toEqual(["run0", "run1", "run2"]);
+			expect(
+				mockAxios.history.get.map(({ params }) => params.limit)
+			).toEqual(["2", "1"]);
+		});
+
+		it("should fetch pages lazily", async () => {
+			mockAxios
+				.onGet("/api/eval/run/details")
+				.reply(replyWithPage({ entries: makeEntries(0, 2) }));
+
+			for await (const entry of foresight.iterEvalrunDetails({
+				experimentId: mockExperimentId,
+				pageSize: 2,
+			})) {
+				expect(entry.input.query).toBe("query0");
+				break;
+			}
+
+			expect(mockAxios.history.get.length).toBe(1);
 		});
 	});
 });
@@ -0,0 +1,165 @@
+import {
+	evaluateThresholds,
+	ForesightValidationError,
+	toJUnitXml,
+	toMarkdown,
+} from "../index.js";
+
+const details = {
+	experimentId: "my-llm-v2",
+	entries: [0.9, 0.8, 0.2, 0.7].map((value, i) => ({
+		input: { entryId: `e${i + 1}`, query: `query ${i + 1} <b>|` },
+		metricValues: { GROUNDEDNESS: value },
+	})),
+};
+
+describe("evaluateThresholds", () => {
+	it("should check aggregate statistics", () => {
+		const result = evaluateThresholds(details, {
+			GROUNDEDNESS: { mean: 0.6, min: 0.5 },
+		});
+
+		expect(result.experimentId).toBe("my-llm-v2");
+		expect(result.passed).toBe(false);
+		expect(result.checks).toEqual([
+			{
+				metric: "GROUNDEDNESS",
+				check: "mean",
+				threshold: 0.6,
+				actual: expect.closeTo(0.65),
+				passed: true,
+			},
+			{
+				metric: "GROUNDEDNESS",
+				check: "min",
+				threshold: 0.5,
+				actual: 0.2,
+				passed: false,
+			},
+		]);
+	});
+
+	it("should count entries below the entry threshold", () => {
+		const thresholds = { GROUNDEDNESS: { entry: 0.75 } };
+
+		const result = evaluateThresholds(details, thresholds);
+
+		expect(result.passed).toBe(false);
+		expect(result.checks[0].actual).toBe(2);
+		expect(result.failingEntries.GROUNDEDNESS).toEqual([
+			{ entryId: "e3", query: "query 3 <b>|", value: 0.2 },
+			{ entryId: "e4", query: "query 4 <b>|", value: 0.7 },
+		]);
+
+		thresholds.GROUNDEDNESS.maxFailingEntries = 2;
+		expect(evaluateThresholds(details, thresholds).passed).toBe(true);
+	});
+
+	it("should fail checks of missing metrics", () => {
+		const result = evaluateThresholds(details, {
+			REFERENCE_FACT_RECALL: { mean: 0.5, entry: 0.5 },
+		});
+
+		expect(result.passed).toBe(false);
+		expect(result.checks.map(({ actual }) => actual)).toEqual([null, 0]);
+		expect(result.missingEntries.REFERENCE_FACT_RECALL.length).toBe(4);
+	});
+
+	it("should count entries without a value as missing", () => {
+		const partialDetails = {
+			...details,
+			entries: [
+				...details.entries,
+				{
+					input: { entryId: "e5", query: "query 5" },
+					metricValues: {},
+				},
+			],
+		};
+		const thresholds = {
+			GROUNDEDNESS: { entry: 0.5, maxFailingEntries: 1 },
+		};
+
+		const result = evaluateThresholds(partialDetails, thresholds);
+
+		expect(result.passed).toBe(true);
+		expect(result.checks[0].actual).toBe(1);
+		expect(
+			result.failingEntries.GROUNDEDNESS.map(({ entryId }) => entryId)
+		).toEqual(["e3"]);
+		expect(result.missingEntries.GROUNDEDNESS).toEqual([
+			{ entryId: "e5", query: "query 5" },
+		]);
+
+		const strict = evaluateThresholds(partialDetails, thresholds, {
+			failOnMissing: true,
+		});
+		expect(strict.passed).toBe(false);
+		expect(strict.checks[1]).toEqual({
+			metric: "GROUNDEDNESS",
+			check: "entries without a value",
+			threshold: 0,
+			actual: 1,
+			passed: false,
+		});
+		expect(
+			evaluateThresholds(details, thresholds, { failOnMissing: true })
+				.passed
+		).toBe(true);
+	});
+
+	it("should reject unknown thresholds", () => {
+		expect(() =>
+			evaluateThresholds(details, { GROUNDEDNESS: { average: 0.5 } })
+		).toThrow(ForesightValidationError);
+		expect(() => evaluateThresholds(details, {})).toThrow(
+			ForesightValidationError
+		);
+	});
+
+	it("should reject thresholds that make no checks", () => {
+		expect(() => evaluateThresholds(details, { GROUNDEDNESS: {} })).toThrow(
+			"Thresholds of GROUNDEDNESS must not be empty"
+		);
+		expect(() =>
+			evaluateThresholds(details, {
+				GROUNDEDNESS: { maxFailingEntries: 1 },
+			})
+		).toThrow(
+			"Threshold GROUNDEDNESS.maxFailingEntries needs GROUNDEDNESS.entry."
+		);
+	});
+});
+
+describe("reports", () => {
+	const result = evaluateThresholds(details, {
+		GROUNDEDNESS: { mean: 0.6, entry: 0.5 },
+	});
+
+	it("should render JUnit XML", () => {
+		const xml = toJUnitXml(result);
+
+		expect(xml).toContain(
+			'<testsuite name="my-llm-v2" tests="2" failures="1">'
+		);
+		expect(xml).toContain(
+			'<testcase classname="my-llm-v2.GROUNDEDNESS" name="GROUNDEDNESS mean &gt;= 0.6"/>'
+		);
+		expect(xml).toContain(
+			'<failure message="GROUNDEDNESS entries below 0.5 is 1, expected at most 0"/>'
+		);
+	});
+
+	it("should render Markdown", () => {
+		const markdown = toMarkdown(result);
+
+		expect(markdown).toContain(
+			"## Foresight eval run `my-llm-v2`: ❌ failed"
+		);
+		expect(markdown).toContain(
+			"| GROUNDEDNESS | mean | >= 0.6 | 0.65 | ✅ |"
+		);
+		expect(markdown).toContain("### Entries failing GROUNDEDNESS");
+		expect(markdown).toContain("| query 3 <b>\\| | 0.2 |");
+	});
+});
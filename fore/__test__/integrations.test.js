@@ -0,0 +1,319 @@
+import { jest } from "@jest/globals";
+
+import {
+	createLangChainHandler,
+	createLlamaIndexHandler,
+	Foresight,
+	ForesightValidationError,
+} from "../index.js";
+
+const documents = [
+	{ pageContent: "fore evaluates RAG pipelines.", metadata: { id: 1 } },
+	{ pageContent: "Groundedness checks the contexts.", metadata: { id: 2 } },
+];
+
+/** A stand-in for the LangChain.js runtime: it turns handler objects into
+ * handlers the way `BaseCallbackHandler.fromMethods` does, by copying their own
+ * properties, and calls them for the runs of a retrieval chain. */
+class StubRetrievalChain {
+	constructor({
+		answer = "fore evaluates RAG pipelines.",
+		fail = false,
+	} = {}) {
+		this.answer = answer;
+		this.fail = fail;
+		this.numRuns = 0;
+	}
+
+	async invoke(inputs, { callbacks = [] } = {}) {
+		const handlers = callbacks.map((handler) => Object.assign({}, handler));
+		const emit = async (event, ...args) => {
+			for (const handler of handlers) {
+				if (handler[event]) await handler[event](...args);
+			}
+		};
+		const runId = `run-${++this.numRuns}`;
+		const chain = {
+			lc: 1,
+			type: "not_implemented",
+			id: ["RunnableSequence"],
+		};
+
+		await emit("handleChainStart", chain, inputs, runId);
+		await emit("handleChainStart", chain, inputs, `${runId}-map`, runId);
+		await emit(
+			"handleRetrieverStart",
+			{ id: ["VectorStoreRetriever"] },
+			inputs.input,
+			`${runId}-retriever`,
+			`${runId}-map`
+		);
+		await emit("handleRetrieverEnd", documents, `${runId}-retriever`);
+		await emit(
+			"handleChainEnd",
+			{ context: documents },
+			`${runId}-map`,
+			runId
+		);
+		if (this.fail) {
+			const error = new Error("The model is down.");
+			await emit("handleChainError", error, runId);
+			throw error;
+		}
+		const outputs = {
+			input: inputs.input,
+			context: documents,
+			answer: this.answer,
+		};
+		await emit("handleChainEnd", outputs, runId);
+		return outputs;
+	}
+}
+
+/** A stand-in for the LlamaIndex.TS callback manager. */
+class StubCallbackManager {
+	constructor() {
+		this.handlers = {};
+	}
+
+	on(name, handler) {
+		this.handlers[name] = [...(this.handlers[name] || []), handler];
+	}
+
+	off(name, handler) {
+		this.handlers[name] = (this.handlers[name] || []).filter(
+			(other) => other !== handler
+		);
+	}
+
+	dispatchEvent(name, detail) {
+		for (const handler of this.handlers[name] || []) handler({ detail });
+	}
+}
+
+const toNodes = (docs) =>
+	docs.map((doc) => ({
+		node: { text: doc.pageContent, getContent: () => doc.pageContent },
+		score: 0.8,
+	}));
+
+/** A stand-in for a LlamaIndex.TS query engine. */
+const stubQueryEngine = (callbackManager, { withSourceNodes = true } = {}) => {
+	let numQueries = 0;
+	return {
+		async query({ query }) {
+			const id = `query-${++numQueries}`;
+			callbackManager.dispatchEvent("query-start", { id, query });
+			callbackManager.dispatchEvent("retrieve-end", {
+				query,
+				nodes: toNodes(documents),
+			});
+			const response = {
+				response: "fore evaluates RAG pipelines.",
+				sourceNodes: withSourceNodes
+					? toNodes(documents.slice(0, 1))
+					: [],
+			};
+			callbackManager.dispatchEvent("query-end", { id, response });
+			return response;
+		},
+	};
+};
+
+describe("framework integrations", () => {
+	let foresight;
+	let logger;
+
+	beforeEach(() => {
+		logger = { warn: jest.fn() };
+		foresight = new Foresight({ apiToken: "token", logger });
+		jest.spyOn(foresight, "log").mockResolvedValue(undefined);
+	});
+
+	afterEach(async () => {
+		jest.restoreAllMocks();
+		await foresight.close();
+	});
+
+	describe("createLangChainHandler", () => {
+		it("should log the query, contexts and answer of a chain run", async () => {
+			const handler = createLangChainHandler(foresight, {
+				tag: "rag-v2",
+			});
+
+			const outputs = await new StubRetrievalChain().invoke(
+				{ input: "What does fore do?" },
+				{ callbacks: [handler] }
+			);
+
+			expect(outputs.answer).toBe("fore evaluates RAG pipelines.");
+			expect(foresight.log).toHaveBeenCalledTimes(1);
+			expect(foresight.log).toHaveBeenCalledWith({
+				query: "What does fore do?",
+				response: "fore evaluates RAG pipelines.",
+				contexts: [
+					"fore evaluates RAG pipelines.",
+					"Groundedness checks the contexts.",
+				],
+				tag: "rag-v2",
+				metrics: null,
+				debugInfo: {
+					integration: "langchain",
+					runId: "run-1",
+					latencyMs: expect.any(Number),
+				},
+			});
+		});
+
+		it("should use custom extractors", async () => {
+			const handler = createLangChainHandler(foresight, {
+				extractQuery: (inputs) => inputs.input.toUpperCase(),
+				extractResponse: (outputs) => outputs.answer.trim(),
+				extractContexts: (docs) =>
+					docs.map(
+						(doc) => `[${doc.metadata.id}] ${doc.pageContent}`
+					),
+			});
+
+			await new StubRetrievalChain({ answer: " ok " }).invoke(
+				{ input: "q" },
+				{ callbacks: [handler] }
+			);
+
+			expect(foresight.log).toHaveBeenCalledWith(
+				expect.objectContaining({
+					query: "Q",
+					response: "ok",
+					contexts: [
+						"[1] fore evaluates RAG pipelines.",
+						"[2] Groundedness checks the contexts.",
+					],
+				})
+			);
+		});
+
+		it("should not log failed runs", async () => {
+			const handler = createLangChainHandler(foresight);
+
+			await expect(
+				new StubRetrievalChain({ fail: true }).invoke(
+					{ input: "q" },
+					{ callbacks: [handler] }
+				)
+			).rejects.toThrow("The model is down.");
+
+			expect(foresight.log).not.toHaveBeenCalled();
+		});
+
+		it("should never break the chain when logging fails", async () => {
+			foresight.log.mockRejectedValue(
+				new ForesightValidationError("Invalid input to log:")
+			);
+			const handler = createLangChainHandler(foresight, { tag: "rag" });
+
+			const outputs = await new StubRetrievalChain().invoke(
+				{ input: "q" },
+				{ callbacks: [handler] }
+			);
+
+			expect(outputs.answer).toBe("fore evaluates RAG pipelines.");
+			expect(logger.warn).toHaveBeenCalledWith(
+				"Logging a langchain run failed.",
+				expect.objectContaining({
+					tag: "rag",
+					error: "Invalid input to log:",
+				})
+			);
+		});
+
+		it("should track concurrent runs separately", async () => {
+			const handler = createLangChainHandler(foresight);
+			const chain = new StubRetrievalChain();
+
+			await Promise.all([
+				chain.invoke({ input: "q1" }, { callbacks: [handler] }),
+				chain.invoke({ input: "q2" }, { callbacks: [handler] }),
+			]);
+
+			expect(
+				foresight.log.mock.calls.map(([entry]) => [
+					entry.query,
+					entry.contexts.length,
+				])
+			).toEqual([
+				["q1", 2],
+				["q2", 2],
+			]);
+		});
+	});
+
+	describe("createLlamaIndexHandler", () => {
+		it("should log the queries of a query engine", async () => {
+			const callbackManager = new StubCallbackManager();
+			createLlamaIndexHandler(foresight, { tag: "llama" }).attach(
+				callbackManager
+			);
+
+			await stubQueryEngine(callbackManager).query({
+				query: "What does fore do?",
+			});
+
+			expect(foresight.log).toHaveBeenCalledWith({
+				query: "What does fore do?",
+				response: "fore evaluates RAG pipelines.",
+				contexts: ["fore evaluates RAG pipelines."],
+				tag: "llama",
+				metrics: null,
+				debugInfo: {
+					integration: "llamaindex",
+					runId: "query-1",
+					latencyMs: expect.any(Number),
+				},
+			});
+		});
+
+		it("should use the retrieved nodes without source nodes", async () => {
+			const callbackManager = new StubCallbackManager();
+			createLlamaIndexHandler(foresight).attach(callbackManager);
+
+			await stubQueryEngine(callbackManager, {
+				withSourceNodes: false,
+			}).query({ query: "q" });
+
+			expect(foresight.log.mock.calls[0][0].contexts).toEqual([
+				"fore evaluates RAG pipelines.",
+				"Groundedness checks the contexts.",
+			]);
+		});
+
+		it("should read the payloads of older versions", async () => {
+			const handler = createLlamaIndexHandler(foresight);
+
+			handler.handlers["query-start"]({
+				detail: { payload: { query: "q" } },
+			});
+			handler.handlers["query-end"]({
+				detail: { payload: { response: { response: "a" } } },
+			});
+
+			expect(foresight.log).toHaveBeenCalledWith(
+				expect.objectContaining({
+					query: "q",
+					response: "a",
+					contexts: [],
+				})
+			);
+		});
+
+		it("should stop logging once detached", async () => {
+			const callbackManager = new StubCallbackManager();
+			const detach =
+				createLlamaIndexHandler(foresight).attach(callbackManager);
+			detach();
+
+			await stubQueryEngine(callbackManager).query({ query: "q" });
+
+			expect(foresight.log).not.toHaveBeenCalled();
+		});
+	});
+});
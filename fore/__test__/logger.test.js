@@ -0,0 +1,102 @@
+import { jest } from "@jest/globals";
+import ClientLogger from "../src/logger.js";
+
+const makeLogger = () => ({
+	debug: jest.fn(),
+	info: jest.fn(),
+	warn: jest.fn(),
+	error: jest.fn(),
+});
+
+describe("ClientLogger", () => {
+	it("should pass the message and the defined fields", () => {
+		const logger = makeLogger();
+		new ClientLogger({ logger }).info("Eval run created.", {
+			experimentId: "run",
+			tag: undefined,
+		});
+
+		expect(logger.info).toHaveBeenCalledWith("Eval run created.", {
+			experimentId: "run",
+		});
+	});
+
+	it("should pass the fields first to pino loggers", () => {
+		const logger = {
+			...makeLogger(),
+			levels: { values: { info: 30 }, labels: { 30: "info" } },
+		};
+		new ClientLogger({ logger }).info("Evalset created.", {
+			evalsetId: "set",
+		});
+
+		expect(logger.info).toHaveBeenCalledWith(
+			{ evalsetId: "set" },
+			"Evalset created."
+		);
+	});
+
+	it("should only log messages at or above its level", () => {
+		const logger = makeLogger();
+		const clientLogger = new ClientLogger({ logger, level: "warn" });
+		clientLogger.debug("debug");
+		clientLogger.info("info");
+		clientLogger.warn("warn");
+		clientLogger.error("error");
+
+		expect(logger.debug).not.toHaveBeenCalled();
+		expect(logger.info).not.toHaveBeenCalled();
+		expect(logger.warn).toHaveBeenCalledWith("warn");
+		expect(logger.error).toHaveBeenCalledWith("error");
+	});
+
+	it("should log nothing when silent", () => {
+		const logger = makeLogger();
+		new ClientLogger({ logger, level: "silent" }).error("error");
+
+		expect(logger.error).not.toHaveBeenCalled();
+	});
+
+	it("should fall back to log and error for missing methods", () => {
+		const logger = { log: jest.fn(), error: jest.fn() };
+		const clientLogger = new ClientLogger({ logger, level: "debug" });
+		clientLogger.debug("debug");
+		clientLogger.warn("warn");
+
+		expect(logger.log).toHaveBeenCalledWith("debug");
+		expect(logger.error).toHaveBeenCalledWith("warn");
+	});
+
+	it("should redact secrets and, optionally, user content", () => {
+		const logger = makeLogger();
+		new ClientLogger({
+			logger,
+			redactBodies: true,
+			secrets: ["SECRET"],
+		}).info("Token SECRET rejected.", {
+			error: "Bearer SECRET",
+			authorization: "Basic abc",
+			query: "my email is jane@example.com",
+			contexts: ["context"],
+			tag: "prod",
+		});
+
+		expect(logger.info).toHaveBeenCalledWith("Token [REDACTED] rejected.", {
+			error: "Bearer [REDACTED]",
+			authorization: "[REDACTED]",
+			query: "[REDACTED]",
+			contexts: "[REDACTED]",
+			tag: "prod",
+		});
+	});
+
+	it("should not throw if the logger throws", () => {
+		const logger = {
+			info: () => {
+				throw new Error("broken");
+			},
+		};
+
+		expect(() => new ClientLogger({ logger }).info("info")).not.toThrow();
+	});
+});
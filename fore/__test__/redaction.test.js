@@ -0,0 +1,122 @@
+import Redactor from "../src/redaction.js";
+
+describe("Redactor", () => {
+	it("should redact emails, credit card and phone numbers", () => {
+		const { payload, counts } = new Redactor().redact({
+			query: "Mail jane.doe@example.co.uk or call +44 20 7946 0958.",
+			contexts: [
+				"Card 4111 1111 1111 1111, phone (555) 123-4567.",
+				"Order 4111 1111 1111 1112 on 2024-01-15 costs 1299.",
+			],
+		});
+
+		expect(payload).toEqual({
+			query: "Mail [EMAIL] or call [PHONE].",
+			contexts: [
+				"Card [CREDIT_CARD], phone [PHONE].",
+				"Order 4111 1111 1111 1112 on 2024-01-15 costs 1299.",
+			],
+		});
+		expect(counts).toEqual({ email: 1, creditCard: 1, phone: 2 });
+	});
+
+	it("should keep dates, times and other numbers", () => {
+		const texts = [
+			"Logged at 2024-01-15 10:30:00 and 2024-01-15T10:30:00.000+01:00.",
+			"Between 2024-01-15 10 and 2024-01-16 11, at +0100.",
+			"Ticket 1705312800, order 12345678901, version 1.2.3.",
+		];
+
+		const { payload, counts } = new Redactor().redact({ contexts: texts });
+
+		expect(payload.contexts).toEqual(texts);
+		expect(counts).toEqual({});
+	});
+
+	it("should redact phone numbers in their usual formats", () => {
+		const { payload } = new Redactor({ rules: ["phone"] }).redact({
+			contexts: [
+				"+1 415 555 0100",
+				"+1 (415) 555-0100",
+				"+4915112345678",
+				"415-555-0100",
+				"415.555.0100",
+				"(415)555-0100",
+			],
+		});
+
+		expect(payload.contexts.every((text) => text === "[PHONE]")).toBe(true);
+	});
+
+	it("should apply custom rules in order", () => {
+		const redactor = new Redactor({
+			rules: [
+				{ name: "employeeId", pattern: /EMP-\d+/ },
+				{
+					name: "names",
+					redact: (text) => text.replace("Jane", "[NAME]"),
+				},
+			],
+		});
+
+		const { payload, counts } = redactor.redact({
+			query: "Jane has EMP-123 and EMP-456.",
+		});
+
+		expect(payload.query).toBe(
+			"[NAME] has [EMPLOYEE_ID] and [EMPLOYEE_ID]."
+		);
+		expect(counts).toEqual({ employeeId: 2, names: 1 });
+	});
+
+	it("should keep identifiers and the fields of the allowlist", () => {
+		const redactor = new Redactor({ allowFields: ["contexts", "model"] });
+		const payload = {
+			experiment_id_prefix: "jane@example.com",
+			log_entries: [
+				{
+					entry_id: "jane@example.com",
+					query: "jane@example.com",
+					inference_output: {
+						contexts: ["jane@example.com"],
+						debug_info: {
+							model: "jane@example.com",
+							user: "jane@example.com",
+						},
+					},
+				},
+			],
+		};
+
+		const { payload: redacted, counts } = redactor.redact(payload);
+
+		expect(redacted).toEqual({
+			experiment_id_prefix: "jane@example.com",
+			log_entries: [
+				{
+					entry_id: "jane@example.com",
+					query: "[EMAIL]",
+					inference_output: {
+						contexts: ["jane@example.com"],
+						debug_info: {
+							model: "jane@example.com",
+							user: "[EMAIL]",
+						},
+					},
+				},
+			],
+		});
+		expect(counts).toEqual({ email: 2 });
+		// The payload itself is not changed.
+		expect(payload.log_entries[0].query).toBe("jane@example.com");
+	});
+
+	it("should reject invalid rules", () => {
+		expect(() => new Redactor({ rules: ["ssn"] })).toThrowError(
+			"Unknown redaction rule ssn, use one of email, creditCard, phone or a custom rule."
+		);
+		expect(() => new Redactor({ rules: [{ name: "x" }] })).toThrowError(
+			"Redaction rule x needs a RegExp pattern or a redact function."
+		);
+	});
+});
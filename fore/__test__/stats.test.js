@@ -0,0 +1,93 @@
+import { ForesightValidationError, summarizeEvalrun } from "../index.js";
+
+const makeEntry = (query, metricValues) => ({
+	input: { query },
+	output: { generatedResponse: `answer to ${query}`, contexts: [] },
+	metricValues,
+});
+
+describe("summarizeEvalrun", () => {
+	const details = {
+		experimentId: "mock-experiment-id",
+		entries: [
+			makeEntry("q1", { GROUNDEDNESS: 0.1, CUSTOM_METRIC: 3 }),
+			makeEntry("q2", { GROUNDEDNESS: 0.4 }),
+			makeEntry("q3", { GROUNDEDNESS: 0.6, CUSTOM_METRIC: 5 }),
+			makeEntry("q4", { GROUNDEDNESS: 0.9, CUSTOM_METRIC: null }),
+			makeEntry("q5", {}),
+		],
+	};
+
+	it("should compute the statistics of each metric", () => {
+		const { experimentId, numEntries, metrics } = summarizeEvalrun(details);
+
+		expect(experimentId).toBe("mock-experiment-id");
+		expect(numEntries).toBe(5);
+
+		const groundedness = metrics.GROUNDEDNESS;
+		expect(groundedness.count).toBe(4);
+		expect(groundedness.missing).toBe(1);
+		expect(groundedness.mean).toBeCloseTo(0.5);
+		expect(groundedness.median).toBeCloseTo(0.5);
+		expect(groundedness.p10).toBeCloseTo(0.19);
+		expect(groundedness.p90).toBeCloseTo(0.81);
+		expect(groundedness.min).toBe(0.1);
+		expect(groundedness.max).toBe(0.9);
+		expect(groundedness.std).toBeCloseTo(Math.sqrt(0.085));
+	});
+
+	it("should summarize metrics that are not in MetricType", () => {
+		const { metrics } = summarizeEvalrun(details);
+
+		expect(metrics.CUSTOM_METRIC.count).toBe(2);
+		expect(metrics.CUSTOM_METRIC.missing).toBe(3);
+		expect(metrics.CUSTOM_METRIC.mean).toBe(4);
+	});
+
+	it("should build a histogram", () => {
+		const { metrics } = summarizeEvalrun(details, { numBins: 2 });
+
+		expect(metrics.GROUNDEDNESS.histogram).toEqual([
+			{ start: 0, end: 0.5, count: 2 },
+			{ start: 0.5, end: 1, count: 2 },
+		]);
+		expect(
+			metrics.CUSTOM_METRIC.histogram.map(({ count }) => count)
+		).toEqual([1, 1]);
+	});
+
+	it("should reject invalid numbers of bins", () => {
+		for (const numBins of [0, -2, 1.5, NaN, "3"])
+			expect(() => summarizeEvalrun(details, { numBins })).toThrow(
+				ForesightValidationError
+			);
+		expect(() => summarizeEvalrun([], { numBins: 0 })).toThrow(
+			"numBins must be a positive integer, got 0."
+		);
+	});
+
+	it("should return the worst entries", () => {
+		const { metrics } = summarizeEvalrun(details, { worstN: 2 });
+
+		expect(
+			metrics.GROUNDEDNESS.worst.map(({ value, entry }) => [
+				value,
+				entry.input.query,
+			])
+		).toEqual([
+			[0.1, "q1"],
+			[0.4, "q2"],
+		]);
+	});
+
+	it("should accept a list of entries", () => {
+		const { experimentId, numEntries } = summarizeEvalrun(details.entries);
+
+		expect(experimentId).toBe(null);
+		expect(numEntries).toBe(5);
+	});
+
+	it("should handle a run without entries", () => {
+		expect(summarizeEvalrun({ entries: [] }).metrics).toEqual({});
+	});
+});
@@ -0,0 +1,208 @@
+import {
+	defaultExtractChunkText,
+	isStream,
+	readStream,
+	teeStream,
+} from "../src/streaming.js";
+
+async function* tokens(chunks, { failAfter = null } = {}) {
+	for (let i = 0; i < chunks.length; i++) {
+		if (i === failAfter) throw new Error("Connection reset.");
+		yield chunks[i];
+	}
+}
+
+const toReadableStream = (chunks) =>
+	new ReadableStream({
+		start(controller) {
+			chunks.forEach((chunk) => controller.enqueue(chunk));
+			controller.close();
+		},
+	});
+
+const collect = async (stream) => {
+	const chunks = [];
+	for await (const chunk of stream) chunks.push(chunk);
+	return chunks;
+};
+
+describe("isStream", () => {
+	it("should tell streams from complete responses", () => {
+		expect(isStream(tokens(["a"]))).toBe(true);
+		expect(isStream(toReadableStream(["a"]))).toBe(true);
+		expect(isStream("a")).toBe(false);
+		expect(isStream(["a"])).toBe(false);
+		expect(isStream(null)).toBe(false);
+	});
+});
+
+describe("defaultExtractChunkText", () => {
+	it("should read the text of LLM chunks", () => {
+		expect(defaultExtractChunkText("a")).toBe("a");
+		expect(
+			defaultExtractChunkText({ choices: [{ delta: { content: "b" } }] })
+		).toBe("b");
+		expect(defaultExtractChunkText({ choices: [{ delta: {} }] })).toBe("");
+		expect(
+			defaultExtractChunkText({
+				type: "content_block_delta",
+				delta: { type: "text_delta", text: "c" },
+			})
+		).toBe("c");
+		expect(defaultExtractChunkText({ content: "d" })).toBe("d");
+		expect(defaultExtractChunkText({ type: "message_stop" })).toBe("");
+	});
+});
+
+describe("teeStream", () => {
+	it("should pass async iterables through and assemble their text", async () => {
+		const ends = [];
+
+		const chunks = await collect(
+			teeStream(tokens(["Hel", "lo", "!"]), {
+				onEnd: (result) => ends.push(result),
+			})
+		);
+
+		expect(chunks).toEqual(["Hel", "lo", "!"]);
+		expect(ends).toEqual([
+			{
+				text: "Hello!",
+				timeToFirstTokenMs: expect.any(Number),
+				durationMs: expect.any(Number),
+				aborted: false,
+				error: null,
+			},
+		]);
+	});
+
+	it("should pass ReadableStreams through and decode bytes", async () => {
+		const ends = [];
+		const encoder = new TextEncoder();
+		// "é" is split across two chunks.
+		const bytes = encoder.encode("café");
+
+		const stream = teeStream(
+			toReadableStream([bytes.slice(0, 4), bytes.slice(4)]),
+			{ onEnd: (result) => ends.push(result) }
+		);
+
+		expect(stream).toBeInstanceOf(ReadableStream);
+		expect((await collect(stream)).length).toBe(2);
+		expect(ends[0].text).toBe("café");
+		expect(ends[0].aborted).toBe(false);
+	});
+
+	it("should build the tee with the class of the stream", async () => {
+		class PolyfilledStream extends ReadableStream {}
+		const stream = new PolyfilledStream({
+			start(controller) {
+				controller.enqueue("a");
+				controller.close();
+			},
+		});
+
+		expect(teeStream(stream, { onEnd: () => {} })).toBeInstanceOf(
+			PolyfilledStream
+		);
+	});
+
+	it("should pass readers on as async iterables without a ReadableStream class", async () => {
+		const ends = [];
+		const reader = toReadableStream(["a", "b"]).getReader();
+		// A stream-like object, as there is no global ReadableStream before Node 18.
+		const stream = Object.create(null);
+		stream.getReader = () => reader;
+		const { ReadableStream: GlobalReadableStream } = global;
+		delete global.ReadableStream;
+
+		let tee;
+		try {
+			tee = teeStream(stream, { onEnd: (result) => ends.push(result) });
+		} finally {
+			global.ReadableStream = GlobalReadableStream;
+		}
+
+		expect(await collect(tee)).toEqual(["a", "b"]);
+		expect(ends[0]).toEqual(
+			expect.objectContaining({ text: "ab", aborted: false })
+		);
+	});
+
+	it("should report streams the consumer stops reading", async () => {
+		const ends = [];
+
+		for await (const chunk of teeStream(tokens(["a", "b", "c"]), {
+			onEnd: (result) => ends.push(result),
+		})) {
+			if (chunk === "b") break;
+		}
+
+		expect(ends).toEqual([
+			expect.objectContaining({ text: "ab", aborted: true }),
+		]);
+	});
+
+	it("should report cancelled ReadableStreams", async () => {
+		const ends = [];
+		const stream = teeStream(toReadableStream(["a", "b"]), {
+			onEnd: (result) => ends.push(result),
+		});
+
+		const reader = stream.getReader();
+		await reader.read();
+		await reader.cancel(new Error("Client went away."));
+
+		expect(ends).toEqual([
+			expect.objectContaining({
+				text: "a",
+				aborted: true,
+				error: new Error("Client went away."),
+			}),
+		]);
+	});
+
+	it("should report streams that fail", async () => {
+		const ends = [];
+
+		await expect(
+			collect(
+				teeStream(tokens(["a", "b"], { failAfter: 1 }), {
+					onEnd: (result) => ends.push(result),
+				})
+			)
+		).rejects.toThrow("Connection reset.");
+
+		expect(ends).toEqual([
+			expect.objectContaining({
+				text: "a",
+				aborted: true,
+				error: new Error("Connection reset."),
+			}),
+		]);
+	});
+});
+
+describe("readStream", () => {
+	it("should read a stream to the end", async () => {
+		const startTime = Date.now() - 100;
+
+		const result = await readStream(tokens(["a", "b"]), { startTime });
+
+		expect(result.text).toBe("ab");
+		expect(result.timeToFirstTokenMs).toBeGreaterThanOrEqual(100);
+		expect(result.durationMs).toBeGreaterThanOrEqual(
+			result.timeToFirstTokenMs
+		);
+	});
+
+	it("should have no time to first token for empty streams", async () => {
+		const result = await readStream(toReadableStream([]));
+
+		expect(result).toEqual({
+			text: "",
+			timeToFirstTokenMs: null,
+			durationMs: expect.any(Number),
+		});
+	});
+});
@@ -0,0 +1,293 @@
+import {
+	Foresight,
+	ForesightAuthError,
+	ForesightNotFoundError,
+	ForesightThresholdError,
+	MetricType,
+} from "../index.js";
+import { FakeForesight } from "../testing.js";
+
+const apiToken = "test-token";
+
+const makeClient = (fake, options = {}) =>
+	new Foresight({
+		apiToken,
+		axiosInstance: fake.createAxiosInstance(),
+		retryBaseDelayMs: 0,
+		logger: null,
+		...options,
+	});
+
+describe("FakeForesight", () => {
+	let fake;
+	let foresight;
+
+	beforeEach(() => {
+		fake = new FakeForesight({
+			scores: { GROUNDEDNESS: 0.9, REFERENCE_FACT_RECALL: 0.4 },
+		});
+		foresight = makeClient(fake);
+	});
+
+	afterEach(async () => {
+		await foresight.close();
+	});
+
+	it("should run an evaluation end to end", async () => {
+		await foresight.createSimpleEvalset({
+			evalsetId: "evalset",
+			queries: ["q1", "q2"],
+			referenceAnswers: ["a1", "a2"],
+		});
+		const report = await foresight.generateAnswersAndRunEval({
+			generateFn: (query) => ({
+				generatedResponse: `answer to ${query}`,
+				contexts: ["context"],
+			}),
+			runConfig: {
+				evalsetId: "evalset",
+				experimentId: "experiment",
+				metrics: [
+					MetricType.GROUNDEDNESS,
+					MetricType.REFERENCE_FACT_RECALL,
+				],
+			},
+		});
+		expect(report.succeeded.length).toBe(2);
+
+		const details = await foresight.getEvalrunDetails({
+			experimentId: "experiment",
+		});
+		expect(details.entries.map((entry) => entry.input.query)).toEqual([
+			"q1",
+			"q2",
+		]);
+		expect(details.entries[0].output).toEqual({
+			generatedResponse: "answer to q1",
+			sourceDocids: [],
+			contexts: ["context"],
+			debugInfo: null,
+		});
+		expect(details.entries[0].metricValues).toEqual({
+			GROUNDEDNESS: 0.9,
+			REFERENCE_FACT_RECALL: 0.4,
+		});
+
+		await expect(
+			foresight.assertEvalrun({
+				experimentId: "experiment",
+				thresholds: { GROUNDEDNESS: { mean: 0.8 } },
+				pollIntervalMs: 0,
+			})
+		).resolves.toBeDefined();
+		await expect(
+			foresight.assertEvalrun({
+				experimentId: "experiment",
+				thresholds: { REFERENCE_FACT_RECALL: { mean: 0.8 } },
+				pollIntervalMs: 0,
+			})
+		).rejects.toThrow(ForesightThresholdError);
+	});
+
+	it("should gate runs with skipped entries", async () => {
+		await foresight.createSimpleEvalset({
+			evalsetId: "evalset",
+			queries: ["q1", "q2", "q3"],
+		});
+		const report = await foresight.generateAnswersAndRunEval({
+			generateFn: (query) => {
+				if (query === "q2") throw new Error("The model is down.");
+				return {
+					generatedResponse: `answer to ${query}`,
+					contexts: [],
+				};
+			},
+			runConfig: {
+				evalsetId: "evalset",
+				experimentId: "experiment",
+				metrics: [MetricType.GROUNDEDNESS],
+			},
+			onError: "skip",
+		});
+		expect(report.failed.length).toBe(1);
+
+		await expect(
+			foresight.assertEvalrun({
+				experimentId: "experiment",
+				thresholds: { GROUNDEDNESS: { mean: 0.8 } },
+				timeoutMs: 1000,
+				pollIntervalMs: 0,
+			})
+		).resolves.toBeDefined();
+	});
+
+	it("should store logged entries in a daily eval run", async () => {
+		await foresight.log({
+			query: "q",
+			response: "r",
+			contexts: ["c"],
+			tag: "prod",
+		});
+		await foresight.flush();
+
+		const [summary] = await foresight.getEvalrunSummaries({});
+		expect(summary.experimentId).toMatch(/^prod_logs_groundedness_\d{8}$/);
+		expect(summary.numEntries).toBe(1);
+		expect(summary.metrics).toEqual({ GROUNDEDNESS: 0.9 });
+
+		expect(
+			fake.requests.map(({ method, path }) => `${method} ${path}`)
+		).toEqual(["put /api/eval/log", "get /api/eval/run/summaries"]);
+		expect(fake.requests[0].body.log_entries[0]).toMatchObject({
+			query: "q",
+			inference_output: { generated_response: "r", contexts: ["c"] },
+		});
+	});
+
+	it("should compute scores with a function", async () => {
+		fake = new FakeForesight({
+			scores: ({ generatedResponse }) =>
+				generatedResponse.includes("good") ? 1 : 0,
+		});
+		foresight = makeClient(fake);
+		await foresight.createSimpleEvalset({
+			evalsetId: "evalset",
+			queries: ["good", "bad"],
+		});
+		await foresight.generateAnswersAndRunEval({
+			generateFn: (query) => ({
+				generatedResponse: `a ${query} answer`,
+				contexts: [],
+			}),
+			runConfig: {
+				evalsetId: "evalset",
+				experimentId: "experiment",
+				metrics: [MetricType.GROUNDEDNESS],
+			},
+		});
+
+		const details = fake.getEvalrunDetails("experiment");
+		expect(
+			details.entries.map((entry) => entry.metric_values.GROUNDEDNESS)
+		).toEqual([1, 0]);
+	});
+
+	it("should give stable default scores", () => {
+		fake = new FakeForesight();
+		const log = () =>
+			fake.handle({
+				method: "PUT",
+				path: "/api/eval/log",
+				body: {
+					log_entries: [
+						{
+							query: "q",
+							reference_answer: null,
+							inference_output: { generated_response: "r" },
+						},
+					],
+					metrics: ["GROUNDEDNESS", "REFERENCE_FACT_RECALL"],
+				},
+			});
+		const score = () => {
+			const { experiment_id: experimentId } = log().data;
+			return fake.getEvalrunDetails(experimentId).entries[0]
+				.metric_values;
+		};
+
+		const first = score();
+		fake.reset();
+		expect(score()).toEqual(first);
+		expect(first.GROUNDEDNESS).toBeGreaterThanOrEqual(0);
+		expect(first.GROUNDEDNESS).toBeLessThanOrEqual(1);
+		expect(first.REFERENCE_FACT_RECALL).toBeNull();
+	});
+
+	it("should iterate over capped pages", async () => {
+		fake = new FakeForesight({ maxPageSize: 2 });
+		foresight = makeClient(fake);
+		await foresight.createSimpleEvalset({
+			evalsetId: "evalset",
+			queries: ["q1", "q2", "q3", "q4", "q5"],
+		});
+		await foresight.generateAnswersAndRunEval({
+			generateFn: (query) => ({ generatedResponse: query, contexts: [] }),
+			runConfig: {
+				evalsetId: "evalset",
+				experimentId: "experiment",
+				metrics: [MetricType.GROUNDEDNESS],
+			},
+		});
+		fake.requests = [];
+
+		const queries = [];
+		for await (const entry of foresight.iterEvalrunDetails({
+			experimentId: "experiment",
+			pageSize: 3,
+		}))
+			queries.push(entry.input.query);
+
+		expect(queries).toEqual(["q1", "q2", "q3", "q4", "q5"]);
+		expect(fake.requests.map(({ query }) => query.offset)).toEqual([
+			undefined,
+			"2",
+			"4",
+			"5",
+		]);
+	});
+
+	it("should answer with errors like the API", async () => {
+		await expect(
+			foresight.getEvalset({ evalsetId: "missing" })
+		).rejects.toThrow(ForesightNotFoundError);
+
+		fake = new FakeForesight({ apiToken: "other-token" });
+		const unauthorized = makeClient(fake);
+		await expect(
+			unauthorized.getEvalset({ evalsetId: "missing" })
+		).rejects.toThrow(ForesightAuthError);
+		await unauthorized.close();
+	});
+
+	it("should fail planned requests", async () => {
+		await foresight.createSimpleEvalset({
+			evalsetId: "evalset",
+			queries: ["q1"],
+		});
+		fake.failNext("/api/eval/set", {
+			method: "GET",
+			status: 503,
+			times: 2,
+		});
+
+		const evalset = await foresight.getEvalset({ evalsetId: "evalset" });
+
+		expect(evalset.entries.map((entry) => entry.query)).toEqual(["q1"]);
+		expect(
+			fake.requests.filter(({ method }) => method === "get").length
+		).toBe(3);
+	});
+
+	it("should serve the API over HTTP", async () => {
+		const { url, close } = await fake.listen();
+		const client = new Foresight({ apiToken, apiUrl: url, logger: null });
+		try {
+			await client.createSimpleEvalset({
+				evalsetId: "evalset",
+				queries: ["q1", "q2"],
+			});
+
+			const evalset = await client.getEvalset({ evalsetId: "evalset" });
+			expect(evalset.entries.map((entry) => entry.query)).toEqual([
+				"q1",
+				"q2",
+			]);
+			await expect(
+				client.getEvalset({ evalsetId: "missing" })
+			).rejects.toThrow(ForesightNotFoundError);
+		} finally {
+			await client.close();
+			await close();
+		}
+	});
+});
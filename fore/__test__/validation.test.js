@@ -0,0 +1,102 @@
+import { ForesightValidationError } from "../index.js";
+import {
+	findSchemaErrors,
+	RESPONSE_SCHEMAS,
+	validateInput,
+} from "../src/validation.js";
+
+describe("findSchemaErrors", () => {
+	const schema = {
+		type: "object",
+		properties: {
+			name: { type: "string", nonEmpty: true },
+			size: { type: "integer", min: 1 },
+			tags: { type: "array", optional: true, items: { type: "string" } },
+			scores: {
+				type: "object",
+				optional: true,
+				values: { type: "number" },
+			},
+		},
+	};
+
+	it("should accept matching values", () => {
+		expect(
+			findSchemaErrors(
+				{ name: "n", size: 2, tags: ["a"], scores: { a: 0.5 } },
+				schema,
+				"params"
+			)
+		).toEqual([]);
+		expect(
+			findSchemaErrors({ name: "n", size: 1 }, schema, "params")
+		).toEqual([]);
+	});
+
+	it("should report every invalid field with its path", () => {
+		expect(
+			findSchemaErrors(
+				{ name: "", size: 0.5, tags: ["a", 1], scores: { a: "high" } },
+				schema,
+				"params"
+			)
+		).toEqual([
+			{ field: "params.name", message: "params.name must not be empty." },
+			{
+				field: "params.size",
+				message: "params.size must be an integer, got number.",
+			},
+			{
+				field: "params.tags[1]",
+				message: "params.tags[1] must be a string, got number.",
+			},
+			{
+				field: "params.scores.a",
+				message: "params.scores.a must be a number, got string.",
+			},
+		]);
+	});
+
+	it("should check the shapes of API responses", () => {
+		expect(
+			findSchemaErrors(
+				{ e1: "q1", e2: null },
+				RESPONSE_SCHEMAS["get /api/eval/run/queries"],
+				"response"
+			)
+		).toEqual([
+			{
+				field: "response.e2",
+				message: "response.e2 must be a string, got null.",
+			},
+		]);
+	});
+});
+
+describe("validateInput", () => {
+	it("should list at most 10 invalid fields in the message", () => {
+		const values = Array.from({ length: 12 }, (_, i) => i);
+
+		let error;
+		try {
+			validateInput(
+				values,
+				{ type: "array", items: { type: "string" } },
+				"Invalid queries:",
+				"queries"
+			);
+		} catch (e) {
+			error = e;
+		}
+
+		expect(error).toBeInstanceOf(ForesightValidationError);
+		expect(error.fieldErrors.length).toBe(12);
+		expect(error.message.split("\n")).toEqual([
+			"Invalid queries:",
+			...values
+				.slice(0, 10)
+				.map((i) => `- queries[${i}] must be a string, got number.`),
+			"...and 2 more.",
+		]);
+	});
+});
@@ -0,0 +1,6 @@
+// The entry point of the `fore` command. The build adds the shebang line.
+import { runCli } from "../src/cli.js";
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+	process.exitCode = exitCode;
+});
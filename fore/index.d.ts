@@ -0,0 +1,747 @@
+/// <reference types="node" />
+
+import type { AxiosInstance } from "axios";
+import type { Writable } from "stream";
+
+/** The metrics the foresight service can compute. */
+export declare const MetricType: {
+	readonly GROUNDEDNESS: "GROUNDEDNESS";
+	readonly REFERENCE_FACT_RECALL: "REFERENCE_FACT_RECALL";
+};
+export type MetricType = (typeof MetricType)[keyof typeof MetricType];
+
+/** Metric names. Metrics that are not in MetricType are accepted as well. */
+export type MetricName = MetricType | (string & {});
+
+/** Receives the client's messages. console, pino and winston loggers fit. */
+export interface Logger {
+	debug?(...args: unknown[]): void;
+	info?(...args: unknown[]): void;
+	warn?(...args: unknown[]): void;
+	error?(...args: unknown[]): void;
+	log?(...args: unknown[]): void;
+}
+
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+
+export interface ForesightOptions {
+	/** The API token to use for requests. */
+	apiToken: string;
+	/** The URL of the API to use for requests. */
+	apiUrl?: string;
+	/** The URL of the UI. */
+	uiUrl?: string;
+	/** The number of log entries of a tag to accumulate before flushing. */
+	maxEntriesBeforeAutoFlush?: number;
+	/** The default timeout of a request in milliseconds. */
+	timeoutMs?: number;
+	/** How many times a failed idempotent request is retried. */
+	maxRetries?: number;
+	/** The delay before the first retry in milliseconds. */
+	retryBaseDelayMs?: number;
+	/** The upper limit of the delay between two retries in milliseconds. */
+	retryMaxDelayMs?: number;
+	/** Whether log() awaits auto flushes ("inline") or never waits ("background"). */
+	flushMode?: "inline" | "background";
+	/** The interval of background flushes in milliseconds. */
+	flushIntervalMs?: number;
+	/** The max number of unsent log entries kept in memory. */
+	maxQueueSize?: number;
+	/** What log() does when the queue is full. */
+	overflowPolicy?: "drop-oldest" | "drop-newest" | "error";
+	/** In background mode, flushes the remaining entries on `beforeExit` and SIGTERM. */
+	flushOnExit?: boolean;
+	/** The path of a JSONL file where unsent log entries are kept. */
+	spoolPath?: string | null;
+	/** Receives the client's messages with structured fields. Defaults to console. */
+	logger?: Logger;
+	/** The lowest level to log. */
+	logLevel?: LogLevel;
+	/** Leaves queries, responses and other user content out of the logs. */
+	redactBodies?: boolean;
+	/** Scrubs personal data from every payload before it is sent. */
+	redaction?: RedactionOptions | null;
+	/** The axios instance requests are sent with. */
+	axiosInstance?: AxiosInstance;
+	/** Checks the shape of API responses and throws a ForesightResponseError if they do not match. */
+	validateResponses?: boolean;
+	/** Records requests and responses to a file, or replays them without network access. */
+	cassette?: CassetteOptions | null;
+}
+
+export interface CassetteOptions {
+	/** The path of the cassette file. */
+	path: string;
+	/** "record" sends requests and saves them, "replay" answers them from the file. */
+	mode: "record" | "replay";
+	/** Fields whose values are not compared in replay mode. Defaults to entry_id, timestamp and
+	 * the timings in the debugInfo: timeToFirstTokenMs, durationMs and latencyMs. */
+	ignoreFields?: string[];
+}
+
+/** A request as stored in a cassette, with snake_case bodies. */
+export interface RecordedRequest {
+	method: string;
+	path: string;
+	params: Record<string, string>;
+	/** The request headers, with the Authorization header redacted. */
+	headers: Record<string, unknown>;
+	body: any;
+}
+
+/** A custom redaction rule, with a pattern or a function. */
+export type RedactionRule =
+	| {
+			name: string;
+			pattern: RegExp;
+			/** Replaces every match, defaults to the name in capitals, e.g. "[EMPLOYEE_ID]". */
+			replacement?: string;
+	  }
+	| {
+			name: string;
+			/** Returns the redacted text. Counts one redaction per changed value. */
+			redact: (text: string, field: string | null) => string;
+	  };
+
+export interface RedactionOptions {
+	/** The rules to apply, in order. Defaults to ["email", "creditCard", "phone"]. */
+	rules?: ("email" | "creditCard" | "phone" | RedactionRule)[];
+	/** Fields sent as they are, with everything in them, e.g. "contexts". */
+	allowFields?: string[];
+}
+
+/** The number of redactions by rule. */
+export type RedactionCounts = Record<string, number>;
+
+export interface RequestOptions {
+	/** The timeout of the request in milliseconds, defaults to the client's `timeoutMs`. */
+	timeoutMs?: number | null;
+}
+
+export interface EvalsetMetadata {
+	evalsetId: string;
+	numEntries: number;
+	[key: string]: unknown;
+}
+
+export interface EvalsetEntry {
+	entryId: string;
+	query: string;
+	referenceAnswer: string | null;
+	creationTime?: string;
+}
+
+export interface Evalset {
+	evalsetId: string;
+	entries: EvalsetEntry[];
+}
+
+/** An evalset entry to create or change. */
+export interface EvalsetEntryInput {
+	query: string;
+	referenceAnswer?: string | null;
+	entryId?: string | null;
+}
+
+export interface ColumnMapping {
+	query?: string;
+	referenceAnswer?: string;
+	entryId?: string;
+}
+
+export interface EvalsetFileOptions {
+	/** The path of the file. */
+	path: string;
+	/** The format of the file, defaults to its extension. */
+	format?: "csv" | "jsonl" | "json" | null;
+	/** The columns (or JSON keys) holding the fields. */
+	columnMapping?: ColumnMapping;
+}
+
+export interface EvalsetDiff {
+	added: {
+		query: string;
+		referenceAnswer: string | null;
+		entryId: string | null;
+	}[];
+	updated: {
+		entryId: string;
+		query: string;
+		referenceAnswer: string | null;
+		previous: { query: string; referenceAnswer: string | null };
+	}[];
+	removed: {
+		entryId: string;
+		query: string;
+		referenceAnswer: string | null;
+	}[];
+	unchanged: number;
+}
+
+export interface RunConfig {
+	/** The identifier of the evalset to evaluate on. */
+	evalsetId: string;
+	/** The identifier of the eval run. */
+	experimentId: string;
+	/** The metrics to compute. */
+	metrics: MetricType[];
+}
+
+/** A streamed response: strings, bytes or LLM chunks, e.g. OpenAI or Anthropic events. */
+export type StreamedResponse = ReadableStream<any> | AsyncIterable<any>;
+
+/** What generateFn returns for a query. */
+export interface InferenceOutput {
+	/** The response of your AI system, complete or streamed. */
+	generatedResponse: string | StreamedResponse;
+	/** The contexts the response is based on. */
+	contexts: string[];
+	/** Optional debug information about how the response was generated. */
+	debugInfo?: Record<string, unknown> | null;
+}
+
+/** Answers a query, synchronously or asynchronously. The signal is aborted
+ * when the call times out; there is none on Node 14. Wrapped functions called with these options do
+ * not log, see Foresight.wrap. */
+export type GenerateFn = (
+	query: string,
+	options: { signal?: AbortSignal; evalRun: true }
+) => InferenceOutput | Promise<InferenceOutput>;
+
+export interface RunReport {
+	experimentId: string;
+	succeeded: string[];
+	failed: {
+		entryId: string;
+		error: string;
+		attempts: number;
+		recorded: boolean;
+	}[];
+	skipped: string[];
+	responses: unknown[];
+	/** The redactions in the uploaded answers, if the client redacts payloads. */
+	redactions?: RedactionCounts;
+}
+
+export interface GenerateAnswersOptions {
+	generateFn: GenerateFn;
+	runConfig: RunConfig;
+	/** The max number of inference outputs to upload in one batch. */
+	batchSize?: number;
+	/** The max number of generateFn calls running at a time. */
+	concurrency?: number;
+	/** The time limit of a single generateFn call in milliseconds. */
+	timeoutMs?: number | null;
+	/** Skips the entries that already have an uploaded output. */
+	resume?: boolean;
+	/** The number of times a failed generateFn call is retried. */
+	retries?: number;
+	/** The delay before retrying a failed generateFn call in milliseconds. */
+	retryDelayMs?: number;
+	/** What to do with an entry whose generateFn call still fails after all retries. */
+	onError?: "abort" | "skip" | "record";
+}
+
+export interface LogOptions {
+	query: string;
+	response: string;
+	contexts?: string[] | null;
+	tag?: string;
+	referenceAnswer?: string | null;
+	debugInfo?: Record<string, unknown> | null;
+	entryId?: string | null;
+	timestamp?: Date | string | null;
+	metrics?: MetricType[] | null;
+}
+
+/** The options of log() with a streamed response. */
+export interface StreamLogOptions extends Omit<LogOptions, "response"> {
+	response: StreamedResponse;
+	/** Whether a stream that fails or is cancelled before it ends is logged. Defaults to "skip". */
+	onStreamAbort?: "skip" | "log";
+	/** Gets the text of a chunk. */
+	extractChunkText?: (chunk: any) => string;
+}
+
+export interface WrapOptions<Args extends any[], Result> {
+	/** The tag of the log entries. */
+	tag?: string | null;
+	/** The metrics to compute for the log entries. */
+	metrics?: MetricType[] | null;
+	/** Gets the query from the arguments of a call. */
+	extractQuery?: (...args: Args) => string | null;
+	/** Gets the answer from the result and the arguments of a call. */
+	extractResponse?: (result: Result, ...args: Args) => string | null;
+	/** Gets the contexts from the result and the arguments of a call. */
+	extractContexts?: (result: Result, ...args: Args) => string[];
+	/** The share of calls to log, between 0 and 1. Defaults to 1. */
+	sampleRate?: number;
+}
+
+export interface FlushResult {
+	sent: number;
+	response: unknown;
+	error: ForesightError | null;
+	/** The redactions in the sent entries, if the client redacts payloads. */
+	redactions?: RedactionCounts;
+}
+
+export interface EvalRunEntry {
+	input: {
+		query: string;
+		referenceAnswer?: string | null;
+		entryId?: string;
+	};
+	output?: {
+		generatedResponse: string;
+		sourceDocids?: string[];
+		contexts: string[];
+		debugInfo?: Record<string, unknown> | null;
+	};
+	metricValues: Partial<Record<MetricName, number | null>>;
+}
+
+export interface EvalRunDetails {
+	experimentId: string;
+	entries: EvalRunEntry[];
+}
+
+export interface EvalRunSummary {
+	experimentId: string;
+	evalsetId?: string;
+	creationTime?: string;
+	[key: string]: unknown;
+}
+
+export interface EvalRunDetailsOptions extends RequestOptions {
+	experimentId: string;
+	sortBy?: string | null;
+	limit?: number | null;
+	offset?: number;
+}
+
+export interface EvalRunSummariesOptions extends RequestOptions {
+	evalsetId?: string;
+	experimentIdContains?: string;
+	sortBy?: "experiment_id" | "evalset_id" | "creation_time" | null;
+	sortAscending?: boolean;
+	limit?: number | null;
+	offset?: number;
+}
+
+export interface MetricStats {
+	count: number;
+	missing: number;
+	mean: number | null;
+	median: number | null;
+	p10: number | null;
+	p90: number | null;
+	min: number | null;
+	max: number | null;
+	std: number | null;
+	histogram: { start: number; end: number; count: number }[];
+	worst: { value: number; entry: EvalRunEntry }[];
+}
+
+export interface EvalRunStats {
+	experimentId: string | null;
+	numEntries: number;
+	metrics: Record<string, MetricStats>;
+}
+
+export interface EntryChange {
+	key: string;
+	query: string;
+	baseline: number;
+	candidate: number;
+	delta: number;
+}
+
+export interface EvalRunComparison {
+	baselineExperimentId: string | null;
+	candidateExperimentId: string | null;
+	numMatched: number;
+	unmatchedBaseline: string[];
+	unmatchedCandidate: string[];
+	/** The metrics of only one of the runs, which are not compared. */
+	unmatchedMetrics: string[];
+	metrics: Record<
+		string,
+		{
+			numPairs: number;
+			baselineMean: number | null;
+			candidateMean: number | null;
+			delta: number | null;
+			improved: EntryChange[];
+			regressed: EntryChange[];
+			t: number | null;
+			pValue: number | null;
+			significant: boolean;
+			regression: boolean;
+		}
+	>;
+	passed: boolean;
+}
+
+export interface CompareOptions {
+	/** How entries of both runs are matched. */
+	matchBy?: "entryId" | "query";
+	/** How much an entry's metric value has to change to count as improved or regressed. */
+	threshold?: number;
+	/** The significance level of the paired t-test. */
+	alpha?: number;
+}
+
+export interface EvalRunProgress {
+	experimentId: string;
+	scored: number;
+	total: number;
+	unscorable: number;
+	elapsedMs: number;
+}
+
+export interface WaitForEvalrunOptions {
+	experimentId: string;
+	/** The metrics to wait for, defaults to every metric found in the entries. */
+	metrics?: MetricName[] | null;
+	timeoutMs?: number;
+	pollIntervalMs?: number;
+	maxPollIntervalMs?: number;
+	onProgress?: ((progress: EvalRunProgress) => void) | null;
+	signal?: AbortSignal | null;
+}
+
+export interface MetricThresholds {
+	mean?: number;
+	median?: number;
+	p10?: number;
+	p90?: number;
+	min?: number;
+	max?: number;
+	/** The lowest value allowed for each entry. */
+	entry?: number;
+	/** How many entries may fall below `entry`. */
+	maxFailingEntries?: number;
+}
+
+export type Thresholds = Partial<Record<MetricName, MetricThresholds>>;
+
+export interface ThresholdCheck {
+	metric: string;
+	check: string;
+	threshold: number;
+	actual: number | null;
+	passed: boolean;
+}
+
+export interface ThresholdResult {
+	experimentId: string | null;
+	passed: boolean;
+	checks: ThresholdCheck[];
+	failingEntries: Record<
+		string,
+		{ entryId: string; query: string; value: number }[]
+	>;
+	/** The entries without a value, by metric. */
+	missingEntries: Record<string, { entryId: string; query: string }[]>;
+}
+
+export interface EvaluateThresholdsOptions {
+	/** Adds a check per metric that fails if an entry has no value for it. */
+	failOnMissing?: boolean;
+}
+
+export interface ExportOptions {
+	format?: "csv" | "jsonl";
+	/** The path of the file to write. */
+	path?: string | null;
+	/** A stream to write to instead of a file. The stream is not ended. */
+	stream?: Writable | null;
+}
+
+export interface ReportOptions {
+	format?: "markdown" | "html";
+	/** The number of worst entries to show per metric. */
+	worstN?: number;
+}
+
+export interface FlatEvalRunRow {
+	entryId: string | null;
+	query: string | null;
+	referenceAnswer: string | null;
+	generatedResponse: string | null;
+	contexts: string[];
+	[metric: string]: string | number | string[] | null;
+}
+
+export declare class Foresight {
+	constructor(options: ForesightOptions);
+
+	/** The number of log entries dropped because the queue was full. */
+	numDroppedLogEntries: number;
+
+	createSimpleEvalset(
+		params: {
+			evalsetId: string;
+			queries: string[];
+			referenceAnswers?: (string | null)[] | null;
+		} & RequestOptions
+	): Promise<EvalsetMetadata>;
+	createEvalsetFromFile(
+		params: { evalsetId: string } & EvalsetFileOptions & RequestOptions
+	): Promise<EvalsetMetadata>;
+	getEvalset(
+		params: { evalsetId: string } & RequestOptions
+	): Promise<Evalset>;
+
+	/** Gets the queries of an eval run, by entry id. */
+	getEvalrunQueries(
+		params: { experimentId: string } & RequestOptions
+	): Promise<Record<string, string>>;
+	createEvalrun(
+		params: { runConfig: RunConfig } & RequestOptions
+	): Promise<unknown>;
+	generateAnswersAndRunEval(
+		params: GenerateAnswersOptions
+	): Promise<RunReport>;
+
+	log(params: LogOptions): Promise<void>;
+	/** Logs a streamed response once it ends, and returns the stream to deliver instead. */
+	log<Stream extends StreamedResponse>(
+		params: StreamLogOptions & { response: Stream }
+	): Promise<
+		Stream extends ReadableStream<infer Chunk>
+			? ReadableStream<Chunk>
+			: AsyncIterable<any>
+	>;
+	/** Wraps a RAG function so that its calls are logged, without changing its results. */
+	wrap<Args extends any[], Result>(
+		fn: (...args: Args) => Result,
+		options?: WrapOptions<Args, Awaited<Result>>
+	): (...args: Args) => Result;
+	flush(): Promise<Record<string, FlushResult>>;
+	close(): Promise<void>;
+
+	getEvalrunDetails(params: EvalRunDetailsOptions): Promise<EvalRunDetails>;
+	getEvalrunStats(params: {
+		experimentId: string;
+		numBins?: number;
+		worstN?: number;
+	}): Promise<EvalRunStats>;
+	exportEvalrunDetails(
+		params: { experimentId: string } & ExportOptions
+	): Promise<{ numEntries: number }>;
+	getEvalrunReport(
+		params: { experimentId: string } & ReportOptions
+	): Promise<string>;
+	compareEvalruns(
+		params: {
+			baselineExperimentId: string;
+			candidateExperimentId: string;
+		} & CompareOptions
+	): Promise<EvalRunComparison>;
+	waitForEvalrun(params: WaitForEvalrunOptions): Promise<EvalRunDetails>;
+	assertEvalrun(
+		params: {
+			experimentId: string;
+			thresholds: Thresholds;
+		} & EvaluateThresholdsOptions &
+			Omit<
+				WaitForEvalrunOptions,
+				"experimentId" | "metrics" | "maxPollIntervalMs"
+			>
+	): Promise<ThresholdResult>;
+	getEvalrunSummaries(
+		params?: EvalRunSummariesOptions
+	): Promise<EvalRunSummary[]>;
+	iterEvalrunDetails(params: {
+		experimentId: string;
+		sortBy?: string;
+		pageSize?: number;
+		maxItems?: number | null;
+	}): AsyncGenerator<EvalRunEntry>;
+	iterEvalrunSummaries(
+		params?: Omit<
+			EvalRunSummariesOptions,
+			"limit" | "offset" | "timeoutMs"
+		> & {
+			pageSize?: number;
+			maxItems?: number | null;
+		}
+	): AsyncGenerator<EvalRunSummary>;
+}
+
+export declare function summarizeEvalrun(
+	details: EvalRunDetails | EvalRunEntry[],
+	options?: { numBins?: number; worstN?: number }
+): EvalRunStats;
+export declare function compareEvalrunDetails(
+	baseline: EvalRunDetails,
+	candidate: EvalRunDetails,
+	options?: CompareOptions
+): EvalRunComparison;
+export declare function diffEvalset(
+	current: Evalset | EvalsetEntry[],
+	desired: EvalsetEntryInput[],
+	options?: { matchBy?: "entryId" | "query" }
+): EvalsetDiff;
+export declare function flattenEvalrunDetails(
+	details: EvalRunDetails | EvalRunEntry[]
+): { columns: string[]; rows: FlatEvalRunRow[] };
+export declare function writeEvalrunDetails(
+	details: EvalRunDetails | EvalRunEntry[],
+	options: ExportOptions
+): Promise<{ numEntries: number }>;
+export declare function renderEvalrunReport(
+	details: EvalRunDetails | EvalRunEntry[],
+	options?: ReportOptions
+): string;
+export declare function evaluateThresholds(
+	details: EvalRunDetails,
+	thresholds: Thresholds,
+	options?: EvaluateThresholdsOptions
+): ThresholdResult;
+export declare function toJUnitXml(result: ThresholdResult): string;
+export declare function toMarkdown(result: ThresholdResult): string;
+
+export interface IntegrationOptions<Input, Output, Source> {
+	/** The tag of the log entries. */
+	tag?: string | null;
+	/** The metrics to compute for the log entries. */
+	metrics?: MetricType[] | null;
+	/** Gets the query from the inputs of a run. */
+	extractQuery?: (input: Input) => string | null;
+	/** Gets the answer from the outputs of a run. */
+	extractResponse?: (output: Output) => string | null;
+	/** Gets the contexts from retrieved documents or nodes. */
+	extractContexts?: (sources: Source[]) => string[];
+}
+
+/** The handler methods of a LangChain.js callback handler, for `callbacks`. */
+export interface LangChainHandler {
+	handleChainStart(
+		chain: unknown,
+		inputs: Record<string, unknown>,
+		runId: string,
+		parentRunId?: string
+	): void;
+	handleChainEnd(outputs: unknown, runId: string): Promise<void>;
+	handleChainError(error: unknown, runId: string): void;
+	handleRetrieverStart(
+		retriever: unknown,
+		query: string,
+		runId: string,
+		parentRunId?: string
+	): void;
+	handleRetrieverEnd(
+		documents: {
+			pageContent: string;
+			metadata?: Record<string, unknown>;
+		}[],
+		runId: string
+	): void;
+	handleRetrieverError(error: unknown, runId: string): void;
+	handleToolStart(
+		tool: unknown,
+		input: string,
+		runId: string,
+		parentRunId?: string
+	): void;
+	handleToolEnd(output: unknown, runId: string): void;
+	handleToolError(error: unknown, runId: string): void;
+}
+
+/** Logs the top-level chain runs of LangChain.js with their retrieved documents. */
+export declare function createLangChainHandler(
+	foresight: Foresight,
+	options?: IntegrationOptions<
+		Record<string, unknown>,
+		unknown,
+		{ pageContent: string; metadata?: Record<string, unknown> }
+	>
+): LangChainHandler;
+
+/** Logs the queries of LlamaIndex.TS query and chat engines. */
+export declare function createLlamaIndexHandler(
+	foresight: Foresight,
+	options?: IntegrationOptions<unknown, unknown, unknown>
+): {
+	handlers: Record<
+		"query-start" | "retrieve-end" | "query-end",
+		(event: unknown) => void
+	>;
+	/** Registers the handlers and returns a function that removes them. */
+	attach(callbackManager: {
+		on(event: string, handler: (event: any) => void): unknown;
+		off(event: string, handler: (event: any) => void): unknown;
+	}): () => void;
+};
+
+export interface ForesightErrorDetails {
+	status?: number | null;
+	endpoint?: string | null;
+	serverMessage?: string | null;
+	responseData?: unknown;
+	cause?: unknown;
+}
+
+/** The base class of all errors thrown by the foresight client. */
+export declare class ForesightError extends Error {
+	constructor(message: string, details?: ForesightErrorDetails);
+	status: number | null;
+	endpoint: string | null;
+	serverMessage: string | null;
+	responseData: unknown;
+	cause: unknown;
+	/** The run report, on errors of generateAnswersAndRunEval. */
+	report?: RunReport;
+}
+/** The API token is missing, invalid or not allowed to access the resource (401/403). */
+export declare class ForesightAuthError extends ForesightError {}
+/** The requested evalset or eval run does not exist (404). */
+export declare class ForesightNotFoundError extends ForesightError {}
+/** An invalid field of an input or response. */
+export interface FieldError {
+	/** The path of the field, e.g. "runConfig.metrics[0]". */
+	field: string;
+	message: string;
+}
+
+/** The request was rejected as invalid, by the server (4xx) or before it was sent. */
+export declare class ForesightValidationError extends ForesightError {
+	/** The invalid fields of the input, when it was checked by the client. */
+	fieldErrors?: FieldError[];
+	/** The invalid rows of an evalset file. */
+	rowErrors?: { row: number; line: number | null; message: string }[];
+}
+/** Too many requests were sent (429). */
+export declare class ForesightRateLimitError extends ForesightError {
+	constructor(
+		message: string,
+		details?: ForesightErrorDetails & { retryAfterMs?: number | null }
+	);
+	retryAfterMs: number | null;
+}
+/** The server failed to handle the request (5xx). */
+export declare class ForesightServerError extends ForesightError {}
+/** The server could not be reached or did not answer in time. */
+export declare class ForesightNetworkError extends ForesightError {}
+/** The metrics of an eval run were not computed in time. */
+export declare class ForesightTimeoutError extends ForesightError {}
+/** Waiting was cancelled through an AbortSignal, or a streamed response was aborted. */
+export declare class ForesightAbortError extends ForesightError {}
+/** An eval run did not meet its metric thresholds. */
+export declare class ForesightThresholdError extends ForesightError {
+	constructor(message: string, result: ThresholdResult);
+	result: ThresholdResult;
+}
+/** A response of the API does not have the expected shape, see `validateResponses`. */
+export declare class ForesightResponseError extends ForesightError {
+	fieldErrors: FieldError[];
+}
+/** A request does not match the recorded requests of a cassette in replay mode. */
+export declare class ForesightCassetteError extends ForesightError {
+	actual: RecordedRequest;
+	/** The closest recorded request, if any is left. */
+	expected: RecordedRequest | null;
+}
@@ -1,4 +1,57 @@
 import Foresight from "./src/client.js";
+import { compareEvalrunDetails } from "./src/compare.js";
+import {
+	ForesightError,
+	ForesightAuthError,
+	ForesightNotFoundError,
+	ForesightValidationError,
+	ForesightRateLimitError,
+	ForesightResponseError,
+	ForesightServerError,
+	ForesightNetworkError,
+	ForesightTimeoutError,
+	ForesightAbortError,
+	ForesightThresholdError,
+	ForesightCassetteError,
+} from "./src/errors.js";
+import { diffEvalset } from "./src/evalsetSync.js";
+import {
+	flattenEvalrunDetails,
+	renderEvalrunReport,
+	writeEvalrunDetails,
+} from "./src/export.js";
+import { evaluateThresholds, toJUnitXml, toMarkdown } from "./src/gate.js";
+import {
+	createLangChainHandler,
+	createLlamaIndexHandler,
+} from "./src/integrations.js";
+import { summarizeEvalrun } from "./src/stats.js";
 import { MetricType } from "./src/utils.js";
 
-export { Foresight, MetricType };
+export {
+	Foresight,
+	MetricType,
+	summarizeEvalrun,
+	compareEvalrunDetails,
+	diffEvalset,
+	flattenEvalrunDetails,
+	writeEvalrunDetails,
+	renderEvalrunReport,
+	evaluateThresholds,
+	toJUnitXml,
+	toMarkdown,
+	createLangChainHandler,
+	createLlamaIndexHandler,
+	ForesightError,
+	ForesightAuthError,
+	ForesightNotFoundError,
+	ForesightValidationError,
+	ForesightRateLimitError,
+	ForesightResponseError,
+	ForesightServerError,
+	ForesightNetworkError,
+	ForesightTimeoutError,
+	ForesightAbortError,
+	ForesightThresholdError,
+	ForesightCassetteError,
+};
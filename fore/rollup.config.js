@@ -1,21 +1,63 @@
+import fs from "fs";
 import { terser } from "rollup-plugin-terser";
 import autoExternal from "rollup-plugin-auto-external";
 
 const inputFile = "index.js";
 const outputFile = `dist/fore`;
+const typesFile = "index.d.ts";
 
-const buildConfig = (format, extension) => ({
+// Copies the hand-written type declarations next to a bundle.
+const declarations = (fileName, source = typesFile) => ({
+	name: "declarations",
+	generateBundle() {
+		this.emitFile({
+			type: "asset",
+			fileName,
+			source: fs.readFileSync(source, "utf8"),
+		});
+	},
+});
+
+const buildConfig = (format, extension, typesExtension) => ({
 	input: inputFile,
 	output: {
 		file: `${outputFile}.${format}.${extension ?? "js"}`,
 		format,
 	},
-	plugins: [autoExternal(), terser()],
+	plugins: [autoExternal(), terser(), declarations(`fore.${typesExtension}`)],
+});
+
+// `fore-ai/testing`, the fake backend for tests
+const buildTestingConfig = (format, extension, typesExtension) => ({
+	input: "testing.js",
+	output: {
+		file: `${outputFile}-testing.${format}.${extension ?? "js"}`,
+		format,
+	},
+	external: ["http"],
+	plugins: [
+		autoExternal(),
+		terser(),
+		declarations(`fore-testing.${typesExtension}`, "testing.d.ts"),
+	],
 });
 
 export default [
 	// ES6 bundle
-	buildConfig("es"),
+	buildConfig("es", undefined, "d.ts"),
 	// ES5|CJS bundle
-	buildConfig("cjs", "cjs"),
+	buildConfig("cjs", "cjs", "d.cts"),
+	buildTestingConfig("es", undefined, "d.ts"),
+	buildTestingConfig("cjs", "cjs", "d.cts"),
+	// `fore` command
+	{
+		input: "bin/fore.js",
+		output: {
+			file: `${outputFile}-cli.js`,
+			format: "es",
+			banner: "#!/usr/bin/env node",
+		},
+		external: ["fs", "os", "path", "readline"],
+		plugins: [autoExternal(), terser()],
+	},
 ];
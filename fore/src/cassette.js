@@ -0,0 +1,372 @@
+"use strict";
+
+import axios from "axios";
+import { ForesightCassetteError, ForesightValidationError } from "./errors.js";
+
+export const CASSETTE_MODES = ["record", "replay"];
+const CASSETTE_VERSION = 1;
+const REDACTED = "[REDACTED]";
+// Fields that change between runs, e.g. generated ids and the timings log() and wrap
+// add to the debugInfo, matched with any value.
+const DEFAULT_IGNORE_FIELDS = [
+	"entry_id",
+	"timestamp",
+	"timeToFirstTokenMs",
+	"durationMs",
+	"latencyMs",
+];
+const DIFF_CONTEXT_LINES = 3;
+
+/** Turns the config of an axios request into the request stored in a cassette.
+ * @param {object} config - The axios request config.
+ * @returns {{method: string, path: string, params: object, headers: object, body: any}}
+ */
+const toRecordedRequest = (config) => {
+	const url = new URL(config.url, config.baseURL || "http://localhost");
+	const params = Object.fromEntries(url.searchParams);
+	for (const [key, value] of Object.entries(config.params || {})) {
+		if (value != null) params[key] = String(value);
+	}
+	const headers = Object.fromEntries(
+		Object.entries(
+			config.headers && config.headers.toJSON
+				? config.headers.toJSON()
+				: config.headers || {}
+		).map(([name, value]) => [
+			name,
+			name.toLowerCase() === "authorization" ? REDACTED : value,
+		])
+	);
+	const body =
+		typeof config.data === "string" && config.data
+			? JSON.parse(config.data)
+			: config.data != null
+				? config.data
+				: null;
+	return {
+		method: config.method.toLowerCase(),
+		path: url.pathname,
+		params,
+		headers,
+		body,
+	};
+};
+
+/** Parses a response body, which adapters return unparsed, so that cassettes stay readable.
+ * @param {any} data - The response body.
+ * @returns {any} - The parsed JSON, or the body itself if it is not JSON.
+ */
+const parseJson = (data) => {
+	if (typeof data !== "string") return data;
+	try {
+		return JSON.parse(data);
+	} catch (_) {
+		return data;
+	}
+};
+
+/** Replaces the values of ignored fields, so that requests can be compared.
+ * @param {any} value - A request body or its query parameters.
+ * @param {Set<string>} ignoreFields - The fields to ignore.
+ * @returns {any}
+ */
+const normalize = (value, ignoreFields) => {
+	if (Array.isArray(value))
+		return value.map((item) => normalize(item, ignoreFields));
+	if (value && typeof value === "object") {
+		return Object.fromEntries(
+			Object.keys(value)
+				.sort()
+				.map((key) => [
+					key,
+					ignoreFields.has(key)
+						? "<ignored>"
+						: normalize(value[key], ignoreFields),
+				])
+		);
+	}
+	return value;
+};
+
+/** Diffs two texts line by line.
+ * @param {string} expected - The expected text.
+ * @param {string} actual - The actual text.
+ * @returns {string} - The differing lines, prefixed with "-" (expected) or "+" (actual),
+ *  with a few lines of context.
+ */
+export const diffLines = (expected, actual) => {
+	const left = expected.split("\n");
+	const right = actual.split("\n");
+
+	// Common leading and trailing lines are kept out of the quadratic part.
+	let start = 0;
+	while (
+		start < left.length &&
+		start < right.length &&
+		left[start] === right[start]
+	)
+		start++;
+	let end = 0;
+	while (
+		end < left.length - start &&
+		end < right.length - start &&
+		left[left.length - 1 - end] === right[right.length - 1 - end]
+	)
+		end++;
+	const leftMiddle = left.slice(start, left.length - end);
+	const rightMiddle = right.slice(start, right.length - end);
+
+	// Longest common subsequence lengths of the suffixes.
+	const lengths = Array.from({ length: leftMiddle.length + 1 }, () =>
+		new Array(rightMiddle.length + 1).fill(0)
+	);
+	for (let i = leftMiddle.length - 1; i >= 0; i--) {
+		for (let j = rightMiddle.length - 1; j >= 0; j--) {
+			lengths[i][j] =
+				leftMiddle[i] === rightMiddle[j]
+					? lengths[i + 1][j + 1] + 1
+					: Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+		}
+	}
+
+	const lines = left.slice(0, start).map((text) => ({ type: " ", text }));
+	let i = 0;
+	let j = 0;
+	while (i < leftMiddle.length || j < rightMiddle.length) {
+		if (
+			i < leftMiddle.length &&
+			j < rightMiddle.length &&
+			leftMiddle[i] === rightMiddle[j]
+		) {
+			lines.push({ type: " ", text: leftMiddle[i++] });
+			j++;
+		} else if (
+			i < leftMiddle.length &&
+			(j === rightMiddle.length || lengths[i + 1][j] >= lengths[i][j + 1])
+		) {
+			lines.push({ type: "-", text: leftMiddle[i++] });
+		} else {
+			lines.push({ type: "+", text: rightMiddle[j++] });
+		}
+	}
+	lines.push(
+		...left.slice(left.length - end).map((text) => ({ type: " ", text }))
+	);
+
+	// Unchanged lines are shown only near changed ones.
+	const shown = new Array(lines.length).fill(false);
+	lines.forEach((line, index) => {
+		if (line.type === " ") return;
+		for (
+			let k = Math.max(0, index - DIFF_CONTEXT_LINES);
+			k <= Math.min(lines.length - 1, index + DIFF_CONTEXT_LINES);
+			k++
+		)
+			shown[k] = true;
+	});
+	const output = [];
+	lines.forEach((line, index) => {
+		if (shown[index]) output.push(`${line.type} ${line.text}`);
+		else if (output[output.length - 1] !== "  ...") output.push("  ...");
+	});
+	return output.join("\n");
+};
+
+/** Records the requests of a client and their responses to a JSON file, and
+ * replays them later without network access, e.g. for offline tests and demos.
+ * The Authorization header is never recorded. The file is only created or read
+ * on the first request, so that the file system is not needed before.
+ *
+ * In replay mode, every request is answered with the response of the first unused
+ * recorded request with the same method, path, query parameters and body, so that
+ * concurrent requests may come in any order. Values of the ignored fields, e.g.
+ * generated entry ids, are not compared.
+ * @class Cassette
+ */
+class Cassette {
+	/**
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.path - The path of the cassette file.
+	 *  @param {string} params.mode - "record" to send requests and save them with their responses,
+	 *    replacing the file, or "replay" to answer requests from the file.
+	 *  @param {string[]?} params.ignoreFields - Fields of bodies and query parameters whose values
+	 *    are not compared in replay mode, named as they are sent: in snake_case, but as given
+	 *    for the keys of a debugInfo.
+	 * @throws {ForesightValidationError} - If the mode is unknown.
+	 * */
+	constructor({ path, mode, ignoreFields = DEFAULT_IGNORE_FIELDS }) {
+		if (!CASSETTE_MODES.includes(mode)) {
+			throw new ForesightValidationError(
+				`cassette.mode must be one of ${CASSETTE_MODES.join(", ")}.`
+			);
+		}
+		this.path = path;
+		this.mode = mode;
+		this.ignoreFields = new Set(ignoreFields);
+		this._opening = null;
+	}
+
+	/** Loads the file system module and creates or reads the cassette file, once,
+	 * before the first request.
+	 * @throws {ForesightValidationError} - If the file of a replay is missing.
+	 */
+	_open() {
+		if (!this._opening) {
+			this._opening = import("fs").then(({ default: fs }) => {
+				this.fs = fs;
+				if (this.mode === "record") {
+					this.interactions = [];
+					this._save();
+					return;
+				}
+				if (!fs.existsSync(this.path)) {
+					throw new ForesightValidationError(
+						`Cassette ${this.path} does not exist, record it first.`
+					);
+				}
+				this.interactions = JSON.parse(
+					fs.readFileSync(this.path, "utf8")
+				).interactions;
+				this._used = new Set();
+			});
+		}
+		return this._opening;
+	}
+
+	/** Wraps the adapter of an axios instance, to record or replay its requests.
+	 * @param {function|string|string[]} nextAdapter - The adapter that sends requests while recording,
+	 *  e.g. the `defaults.adapter` of the instance.
+	 * @returns {function(object): Promise<object>} - The axios adapter.
+	 */
+	adapter(nextAdapter) {
+		return async (config) => {
+			await this._open();
+			return this.mode === "record"
+				? this._record(config, axios.getAdapter(nextAdapter))
+				: this._replay(config);
+		};
+	}
+
+	async _record(config, send) {
+		const request = toRecordedRequest(config);
+		try {
+			const response = await send(config);
+			this._append(request, response);
+			return response;
+		} catch (error) {
+			if (error.response) this._append(request, error.response);
+			else this._append(request, null, error);
+			throw error;
+		}
+	}
+
+	_append(request, response, error = null) {
+		this.interactions.push({
+			request,
+			response: response
+				? {
+						status: response.status,
+						statusText: response.statusText,
+						headers:
+							response.headers && response.headers.toJSON
+								? response.headers.toJSON()
+								: response.headers || {},
+						data: parseJson(response.data),
+					}
+				: null,
+			error: error ? { message: error.message, code: error.code } : null,
+		});
+		this._save();
+	}
+
+	_save() {
+		this.fs.writeFileSync(
+			this.path,
+			JSON.stringify(
+				{ version: CASSETTE_VERSION, interactions: this.interactions },
+				null,
+				2
+			) + "\n"
+		);
+	}
+
+	/** The parts of a request that must match in replay mode, as comparable JSON. */
+	_toComparable({ method, path, params, body }) {
+		return JSON.stringify(
+			normalize({ method, path, params, body }, this.ignoreFields),
+			null,
+			2
+		);
+	}
+
+	async _replay(config) {
+		const request = toRecordedRequest(config);
+		const comparable = this._toComparable(request);
+		const unused = this.interactions
+			.map((interaction, index) => ({ interaction, index }))
+			.filter(({ index }) => !this._used.has(index));
+		const match = unused.find(
+			({ interaction }) =>
+				this._toComparable(interaction.request) === comparable
+		);
+
+		if (!match) {
+			const endpoint = `${request.method.toUpperCase()} ${request.path}`;
+			const closest =
+				unused.find(
+					({ interaction }) =>
+						interaction.request.method === request.method &&
+						interaction.request.path === request.path
+				) || unused[0];
+			if (!closest) {
+				throw new ForesightCassetteError(
+					`No recorded request left in ${this.path} for ${endpoint}.`,
+					{ endpoint: request.path, actual: request }
+				);
+			}
+			throw new ForesightCassetteError(
+				`${endpoint} does not match the recorded requests in ${this.path}. ` +
+					`Closest recorded request (-) and actual request (+):\n` +
+					diffLines(
+						this._toComparable(closest.interaction.request),
+						comparable
+					),
+				{
+					endpoint: request.path,
+					actual: request,
+					expected: closest.interaction.request,
+				}
+			);
+		}
+
+		this._used.add(match.index);
+		const { response, error } = match.interaction;
+		if (!response) {
+			throw new axios.AxiosError(error.message, error.code, config);
+		}
+		const replayed = {
+			...response,
+			data:
+				response.data != null
+					? JSON.parse(JSON.stringify(response.data))
+					: response.data,
+			headers: { ...response.headers },
+			config,
+			request: {},
+		};
+		if (response.status >= 400) {
+			throw new axios.AxiosError(
+				`Request failed with status code ${response.status}`,
+				response.status >= 500
+					? axios.AxiosError.ERR_BAD_RESPONSE
+					: axios.AxiosError.ERR_BAD_REQUEST,
+				config,
+				replayed.request,
+				replayed
+			);
+		}
+		return replayed;
+	}
+}
+
+export default Cassette;
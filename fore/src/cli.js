@@ -0,0 +1,500 @@
+"use strict";
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import Foresight from "./client.js";
+import {
+	ForesightAuthError,
+	ForesightNetworkError,
+	ForesightNotFoundError,
+	ForesightRateLimitError,
+	ForesightServerError,
+	ForesightThresholdError,
+	ForesightTimeoutError,
+	ForesightValidationError,
+} from "./errors.js";
+import { toJUnitXml, toMarkdown, validateThresholds } from "./gate.js";
+
+/** The exit codes of the `fore` command. */
+export const ExitCode = {
+	OK: 0,
+	ERROR: 1,
+	USAGE: 2,
+	AUTH: 3,
+	NOT_FOUND: 4,
+	VALIDATION: 5,
+	RATE_LIMIT: 6,
+	SERVER: 7,
+	NETWORK: 8,
+	THRESHOLDS: 9,
+	TIMEOUT: 10,
+};
+
+const MAX_CELL_WIDTH = 60;
+
+const USAGE = `Usage: fore <command> [options]
+
+Commands:
+  evalset create <evalsetId> --query <query>... [--reference <answer>...]
+  evalset create <evalsetId> --file <queries.json>
+  evalset get <evalsetId>
+  run create <experimentId> --evalset <evalsetId> --metric <metric>...
+  run queries <experimentId>
+  run details <experimentId> [--limit <n>] [--sort-by <field>]
+  run summaries [--evalset <evalsetId>] [--contains <text>] [--limit <n>] [--offset <n>]
+  run assert <experimentId> --threshold <METRIC.check=value>... [--junit <path>]
+             [--markdown <path>] [--timeout <seconds>] [--poll-interval <seconds>]
+             [--fail-on-missing]
+  log flush-file <entries.jsonl> [--tag <tag>]
+
+Options:
+  --format <table|json>  Output format (default: table).
+  --token <token>        API token. Defaults to $FORE_API_TOKEN or the config file.
+  --api-url <url>        API URL. Defaults to $FORE_API_URL or the config file.
+  --config <path>        Config file with {"apiToken", "apiUrl"}. Defaults to
+                         $FORE_CONFIG or ~/.config/fore/config.json.
+  --verbose              Print the client's log messages to stderr.
+  -h, --help             Show this help.
+
+Exit codes: 0 success, 1 error, 2 usage, 3 auth, 4 not found, 5 validation,
+6 rate limited, 7 server error, 8 network error, 9 thresholds not met,
+10 timed out waiting for metrics.
+`;
+
+/** An invalid command line. */
+class UsageError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "UsageError";
+	}
+}
+
+/** Splits command line arguments into positionals and options.
+ * Options are given as `--name value`, `--name=value` or, for flags, `--name`.
+ * Options given several times keep all their values.
+ * @param {string[]} argv - The arguments, without the node and script paths.
+ * @returns {{positionals: string[], options: {[name: string]: string[]|true}}}
+ */
+export const parseArgs = (argv) => {
+	const flags = ["help", "verbose", "fail-on-missing"];
+	const positionals = [];
+	const options = {};
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === "-h") {
+			options.help = true;
+		} else if (arg.startsWith("--")) {
+			const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+			if (flags.includes(name)) {
+				options[name] = true;
+				continue;
+			}
+
+			const value = inlineValue !== undefined ? inlineValue : argv[++i];
+			if (value === undefined)
+				throw new UsageError(`Missing value for --${name}.`);
+			options[name] = [...(options[name] || []), value];
+		} else {
+			positionals.push(arg);
+		}
+	}
+
+	return { positionals, options };
+};
+
+/** Gets the last value of an option.
+ * @param {object} options - The parsed options.
+ * @param {string} name - The option name.
+ * @param {string?} defaultValue - The value if the option is not given.
+ * @returns {string|null}
+ */
+const getOption = (options, name, defaultValue = null) =>
+	options[name] ? options[name][options[name].length - 1] : defaultValue;
+
+/** Gets an option as a number.
+ * @param {object} options - The parsed options.
+ * @param {string} name - The option name.
+ * @param {number?} defaultValue - The value if the option is not given.
+ * @returns {number|null}
+ * @throws {UsageError} - If the value is not a number.
+ */
+const getNumberOption = (options, name, defaultValue) => {
+	const value = getOption(options, name);
+	if (value === null) return defaultValue;
+
+	const number = Number(value);
+	if (Number.isNaN(number))
+		throw new UsageError(`--${name} must be a number.`);
+	return number;
+};
+
+/** Gets a required positional argument.
+ * @param {string[]} positionals - The positional arguments of the command.
+ * @param {number} index - The index of the argument.
+ * @param {string} name - The argument name, for the error message.
+ * @returns {string}
+ * @throws {UsageError} - If the argument is missing.
+ */
+const getPositional = (positionals, index, name) => {
+	if (positionals[index] === undefined)
+		throw new UsageError(`Missing <${name}>.`);
+	return positionals[index];
+};
+
+/** Reads the config file, if there is one.
+ * @param {string} configPath - The path of the config file.
+ * @returns {object} - The config, or an empty object.
+ */
+const readConfig = (configPath) => {
+	if (!fs.existsSync(configPath)) return {};
+	return JSON.parse(fs.readFileSync(configPath, "utf8"));
+};
+
+/** Reads a JSONL file.
+ * @param {string} filePath - The path of the file.
+ * @returns {object[]} - The parsed lines.
+ * @throws {ForesightValidationError} - If a line is not valid JSON.
+ */
+const readJsonl = (filePath) =>
+	fs
+		.readFileSync(filePath, "utf8")
+		.split("\n")
+		.map((line, index) => {
+			if (!line.trim()) return null;
+			try {
+				return JSON.parse(line);
+			} catch (error) {
+				throw new ForesightValidationError(
+					`${filePath}:${index + 1}: ${error.message}`
+				);
+			}
+		})
+		.filter((record) => record !== null);
+
+/** Parses thresholds given as `METRIC.check=value`, e.g. `GROUNDEDNESS.mean=0.8`.
+ * @param {string[]} values - The values of the --threshold option.
+ * @returns {object} - The thresholds by metric.
+ * @throws {UsageError} - If a threshold is malformed, or the thresholds make no checks,
+ *  see validateThresholds.
+ */
+const parseThresholds = (values) => {
+	const thresholds = {};
+	for (const value of values) {
+		const match = /^([^.=]+)\.([^=]+)=(.+)$/.exec(value);
+		if (!match || Number.isNaN(Number(match[3])))
+			throw new UsageError(
+				`Invalid threshold ${value}, expected METRIC.check=number.`
+			);
+
+		const [, metric, check, threshold] = match;
+		thresholds[metric] = {
+			...thresholds[metric],
+			[check]: Number(threshold),
+		};
+	}
+	try {
+		validateThresholds(thresholds);
+	} catch (error) {
+		throw new UsageError(error.message);
+	}
+	return thresholds;
+};
+
+/** The commands, by their first two words. Each command gets the client and
+ * the parsed arguments left after the command words, and returns the data to
+ * print. */
+const COMMANDS = {
+	"evalset create": async (client, { positionals, options }) => {
+		const evalsetId = getPositional(positionals, 0, "evalsetId");
+		let queries = options.query || null;
+		let referenceAnswers = options.reference || null;
+
+		const file = getOption(options, "file");
+		if (file) {
+			({ queries, referenceAnswers = null } = JSON.parse(
+				fs.readFileSync(file, "utf8")
+			));
+		}
+		if (!queries) throw new UsageError("Give --query or --file.");
+
+		return client.createSimpleEvalset({
+			evalsetId,
+			queries,
+			referenceAnswers,
+		});
+	},
+
+	"evalset get": async (client, { positionals }) =>
+		client.getEvalset({
+			evalsetId: getPositional(positionals, 0, "evalsetId"),
+		}),
+
+	"run create": async (client, { positionals, options }) => {
+		const evalsetId = getOption(options, "evalset");
+		if (!evalsetId) throw new UsageError("Missing --evalset.");
+		if (!options.metric) throw new UsageError("Missing --metric.");
+
+		return client.createEvalrun({
+			runConfig: {
+				evalsetId,
+				experimentId: getPositional(positionals, 0, "experimentId"),
+				metrics: options.metric,
+			},
+		});
+	},
+
+	"run queries": async (client, { positionals }) =>
+		client.getEvalrunQueries({
+			experimentId: getPositional(positionals, 0, "experimentId"),
+		}),
+
+	"run details": async (client, { positionals, options }) =>
+		client.getEvalrunDetails({
+			experimentId: getPositional(positionals, 0, "experimentId"),
+			sortBy: getOption(options, "sort-by", "input.query"),
+			limit: getNumberOption(options, "limit", 100),
+		}),
+
+	"run summaries": async (client, { options }) =>
+		client.getEvalrunSummaries({
+			evalsetId: getOption(options, "evalset"),
+			experimentIdContains: getOption(options, "contains"),
+			limit: getNumberOption(options, "limit", 50),
+			offset: getNumberOption(options, "offset", 0),
+		}),
+
+	"run assert": async (client, { positionals, options }) => {
+		if (!options.threshold) throw new UsageError("Missing --threshold.");
+
+		const junitPath = getOption(options, "junit");
+		const markdownPath = getOption(options, "markdown");
+		const writeReports = (result) => {
+			if (junitPath) fs.writeFileSync(junitPath, toJUnitXml(result));
+			if (markdownPath)
+				fs.writeFileSync(markdownPath, toMarkdown(result));
+		};
+
+		try {
+			const result = await client.assertEvalrun({
+				experimentId: getPositional(positionals, 0, "experimentId"),
+				thresholds: parseThresholds(options.threshold),
+				failOnMissing: Boolean(options["fail-on-missing"]),
+				timeoutMs: getNumberOption(options, "timeout", 600) * 1000,
+				pollIntervalMs:
+					getNumberOption(options, "poll-interval", 5) * 1000,
+			});
+			writeReports(result);
+			return result.checks;
+		} catch (error) {
+			// The reports are most useful when the gate fails.
+			if (error instanceof ForesightThresholdError)
+				writeReports(error.result);
+			throw error;
+		}
+	},
+
+	"log flush-file": async (client, { positionals, options }) => {
+		const file = getPositional(positionals, 0, "entries.jsonl");
+		const tag = getOption(options, "tag");
+
+		for (const entry of readJsonl(file))
+			await client.log({ ...entry, tag: tag || entry.tag });
+
+		const results = await client.flush();
+		const failed = Object.values(results).find(({ error }) => error);
+		if (failed) throw failed.error;
+
+		return Object.entries(results).map(([tag, { sent }]) => ({
+			tag,
+			sent,
+		}));
+	},
+};
+
+/** Flattens nested objects into one level with dotted keys.
+ * @param {any} value - The value to flatten.
+ * @param {string} prefix - The key of the value.
+ * @param {object} result - The object the flattened keys are added to.
+ * @returns {object} - The flattened object.
+ */
+const flatten = (value, prefix = "", result = {}) => {
+	if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+		for (const [key, child] of Object.entries(value))
+			flatten(child, prefix ? `${prefix}.${key}` : key, result);
+	} else {
+		result[prefix || "value"] = value;
+	}
+	return result;
+};
+
+/** Turns command output into table rows.
+ * @param {any} data - The command output.
+ * @returns {object[]} - The rows.
+ */
+const toRows = (data) => {
+	if (Array.isArray(data)) return data.map((item) => flatten(item));
+	if (data && Array.isArray(data.entries))
+		return data.entries.map((entry) => flatten(entry));
+	if (data && typeof data === "object") {
+		const values = Object.values(data);
+		// Maps like {entryId: query} read best as key/value rows.
+		if (values.every((value) => typeof value !== "object"))
+			return Object.entries(data).map(([key, value]) => ({
+				key,
+				value,
+			}));
+		return [flatten(data)];
+	}
+	return [{ value: data }];
+};
+
+/** Formats a table cell.
+ * @param {any} value - The cell value.
+ * @returns {string}
+ */
+const formatCell = (value) => {
+	if (value === undefined || value === null) return "";
+	const text = (
+		typeof value === "string" ? value : JSON.stringify(value)
+	).replace(/\s+/g, " ");
+	return text.length > MAX_CELL_WIDTH
+		? `${text.slice(0, MAX_CELL_WIDTH - 1)}…`
+		: text;
+};
+
+/** Renders rows as a plain text table.
+ * @param {object[]} rows - The rows.
+ * @returns {string}
+ */
+export const renderTable = (rows) => {
+	if (rows.length === 0) return "(no results)\n";
+
+	const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+	const cells = rows.map((row) =>
+		columns.map((column) => formatCell(row[column]))
+	);
+	const widths = columns.map((column, i) =>
+		Math.max(column.length, ...cells.map((row) => row[i].length))
+	);
+	const renderLine = (values) =>
+		values
+			.map((value, i) => value.padEnd(widths[i]))
+			.join("  ")
+			.trimEnd() + "\n";
+
+	return (
+		renderLine(columns) +
+		renderLine(widths.map((width) => "-".repeat(width))) +
+		cells.map(renderLine).join("")
+	);
+};
+
+/** Maps an error to the exit code of the command.
+ * @param {Error} error - The error.
+ * @returns {number}
+ */
+export const getExitCode = (error) => {
+	if (error instanceof UsageError) return ExitCode.USAGE;
+	if (error instanceof ForesightAuthError) return ExitCode.AUTH;
+	if (error instanceof ForesightNotFoundError) return ExitCode.NOT_FOUND;
+	if (error instanceof ForesightValidationError) return ExitCode.VALIDATION;
+	if (error instanceof ForesightRateLimitError) return ExitCode.RATE_LIMIT;
+	if (error instanceof ForesightServerError) return ExitCode.SERVER;
+	if (error instanceof ForesightNetworkError) return ExitCode.NETWORK;
+	if (error instanceof ForesightThresholdError) return ExitCode.THRESHOLDS;
+	if (error instanceof ForesightTimeoutError) return ExitCode.TIMEOUT;
+	return ExitCode.ERROR;
+};
+
+/** Runs the `fore` command.
+ * @param {string[]} argv - The arguments, without the node and script paths.
+ * @param {object} [io] - The environment of the command, replaceable for tests.
+ *  @param {object} io.env - The environment variables.
+ *  @param {object} io.stdout - The stream the output is written to.
+ *  @param {object} io.stderr - The stream errors are written to.
+ *  @param {object?} io.axiosInstance - The axios instance of the client.
+ * @returns {Promise<number>} - The exit code.
+ */
+export const runCli = async (
+	argv,
+	{
+		env = process.env,
+		stdout = process.stdout,
+		stderr = process.stderr,
+		axiosInstance,
+	} = {}
+) => {
+	try {
+		const { positionals, options } = parseArgs(argv);
+		const commandName = positionals.slice(0, 2).join(" ");
+		const command = COMMANDS[commandName];
+
+		if (options.help || positionals[0] === "help") {
+			stdout.write(USAGE);
+			return ExitCode.OK;
+		}
+		if (!command) {
+			throw new UsageError(
+				positionals.length
+					? `Unknown command: ${commandName}.`
+					: "Missing command."
+			);
+		}
+
+		const format = getOption(options, "format", "table");
+		if (!["table", "json"].includes(format))
+			throw new UsageError("--format must be table or json.");
+
+		const config = readConfig(
+			getOption(options, "config") ||
+				env.FORE_CONFIG ||
+				path.join(os.homedir(), ".config", "fore", "config.json")
+		);
+		const apiToken =
+			getOption(options, "token") ||
+			env.FORE_API_TOKEN ||
+			config.apiToken;
+		if (!apiToken) {
+			throw new UsageError(
+				"No API token. Set FORE_API_TOKEN, pass --token or add apiToken to the config file."
+			);
+		}
+
+		// Log messages go to stderr so that they do not mix with the output.
+		const write = (message, fields) =>
+			stderr.write(
+				(fields ? `${message} ${JSON.stringify(fields)}` : message) +
+					"\n"
+			);
+		const client = new Foresight({
+			apiToken,
+			apiUrl:
+				getOption(options, "api-url") ||
+				env.FORE_API_URL ||
+				config.apiUrl ||
+				undefined,
+			logger: { debug: write, info: write, warn: write, error: write },
+			logLevel: options.verbose ? "debug" : "silent",
+			axiosInstance,
+		});
+
+		const data = await command(client, {
+			positionals: positionals.slice(2),
+			options,
+		});
+
+		stdout.write(
+			format === "json"
+				? JSON.stringify(data, null, 2) + "\n"
+				: renderTable(toRows(data))
+		);
+		return ExitCode.OK;
+	} catch (error) {
+		stderr.write(`fore: ${error.message}\n`);
+		if (error instanceof UsageError) stderr.write("\n" + USAGE);
+		return getExitCode(error);
+	}
+};
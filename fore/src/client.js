@@ -2,12 +2,117 @@
 
 import axios from "axios";
 import { v4 as uuidv4 } from "uuid";
-import { camelizeKeys } from "./utils.js";
+import {
+	ForesightAbortError,
+	ForesightError,
+	ForesightNotFoundError,
+	ForesightThresholdError,
+	ForesightTimeoutError,
+	ForesightValidationError,
+	fromAxiosError,
+	parseRetryAfter,
+	toForesightError,
+} from "./errors.js";
+import Cassette from "./cassette.js";
+import { compareEvalrunDetails } from "./compare.js";
+import {
+	describeCheck,
+	evaluateThresholds,
+	validateThresholds,
+} from "./gate.js";
+import { readEvalsetFile } from "./evalsetFile.js";
+import { renderEvalrunReport, writeEvalrunDetails } from "./export.js";
+import {
+	defaultExtractContexts,
+	defaultExtractQuery,
+	defaultExtractResponse,
+} from "./integrations.js";
+import ClientLogger, { LOG_LEVELS } from "./logger.js";
+import LogSpool from "./logSpool.js";
+import Redactor, { addRedactionCounts } from "./redaction.js";
+import { summarizeEvalrun } from "./stats.js";
+import {
+	defaultExtractChunkText,
+	isStream,
+	readStream,
+	teeStream,
+} from "./streaming.js";
+import {
+	GENERATE_ANSWERS,
+	INFERENCE_OUTPUT,
+	LOG_ENTRY,
+	RESPONSE_SCHEMAS,
+	RUN_CONFIG,
+	SIMPLE_EVALSET,
+	validateInput,
+	validateResponse,
+} from "./validation.js";
+import {
+	camelizeKeys,
+	getRetryDelayMs,
+	runWithConcurrency,
+	sleep,
+	withTimeout,
+} from "./utils.js";
 
 const GATEWAY_URL = "https://foresight-gateway.foreai.co";
 const UI_URL = "https://foresight.foreai.co";
 const MAX_ENTRIES_BEFORE_FLUSH = 10;
+const TIMEOUT_MS = 60 * 1000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+// Methods that can be sent again without changing the result, see RFC 9110.
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
 const DEFAULT_TAG_NAME = "default";
+const FAILURE_POLICIES = ["abort", "skip", "record"];
+const FLUSH_MODES = ["inline", "background"];
+const OVERFLOW_POLICIES = ["drop-oldest", "drop-newest", "error"];
+const STREAM_ABORT_POLICIES = ["skip", "log"];
+const FLUSH_INTERVAL_MS = 10 * 1000;
+const MAX_QUEUE_SIZE = 10000;
+const METRICS_TIMEOUT_MS = 10 * 60 * 1000;
+const METRICS_POLL_INTERVAL_MS = 5 * 1000;
+const METRICS_MAX_POLL_INTERVAL_MS = 60 * 1000;
+
+// The clients that flush on exit. One set of process handlers serves all of them, so
+// that SIGTERM is only raised again once every one of them is closed.
+const clientsToCloseOnExit = new Set();
+let exitHandlers = null;
+
+/** Closes every client that flushes on exit.
+ * @returns {Promise<void>}
+ */
+const closeClientsOnExit = async () => {
+	await Promise.all(
+		[...clientsToCloseOnExit].map((client) => client.close())
+	);
+};
+
+/** Installs the process handlers that close the clients on exit, once. */
+const installExitHandlers = () => {
+	if (exitHandlers) return;
+
+	const onSigterm = async () => {
+		await closeClientsOnExit();
+		// Without other listeners, exit the way SIGTERM would have.
+		if (process.listenerCount("SIGTERM") === 0)
+			process.kill(process.pid, "SIGTERM");
+	};
+	exitHandlers = { beforeExit: closeClientsOnExit, SIGTERM: onSigterm };
+	process.once("beforeExit", exitHandlers.beforeExit);
+	process.once("SIGTERM", exitHandlers.SIGTERM);
+};
+
+/** Removes the process handlers once no client flushes on exit anymore. */
+const removeExitHandlers = () => {
+	if (!exitHandlers || clientsToCloseOnExit.size > 0) return;
+
+	for (const [event, handler] of Object.entries(exitHandlers))
+		process.removeListener(event, handler);
+	exitHandlers = null;
+};
 
 /** The main client class for the foresight API.
  * @class Foresight
@@ -19,26 +124,140 @@ class Foresight {
 	 *  @param {string?} params.apiUrl - The URL of the API to use for requests.
 	 *  @param {string?} params.uiUrl - The URL of the UI to use for requests.
 	 *  @param {number?} params.maxEntriesBeforeAutoFlush - The number of log entries to accumulate before flushing.
+	 *  @param {number?} params.timeoutMs - The default timeout of a request in milliseconds.
+	 *  @param {number?} params.maxRetries - How many times a failed idempotent request is retried.
+	 *    Only network errors and 429, 502, 503 and 504 responses are retried.
+	 *  @param {number?} params.retryBaseDelayMs - The delay before the first retry. It doubles with
+	 *    every further retry, with random jitter, unless the server sends a Retry-After header.
+	 *  @param {number?} params.retryMaxDelayMs - The upper limit of the delay between two retries.
+	 *    A request whose Retry-After asks for a longer delay is not retried.
+	 *  @param {string?} params.flushMode - How log entries are sent. Possible values are:
+	 *   - "inline": log() awaits the flush when `maxEntriesBeforeAutoFlush` is reached.
+	 *   - "background": log() never waits for a flush. Entries are flushed in the background when
+	 *     `maxEntriesBeforeAutoFlush` is reached, every `flushIntervalMs` and on process exit.
+	 *  @param {number?} params.flushIntervalMs - The interval of background flushes.
+	 *  @param {number?} params.maxQueueSize - The max number of unsent log entries kept in memory.
+	 *  @param {string?} params.overflowPolicy - What log() does when the queue is full. Possible values are:
+	 *   - "drop-oldest": Drops the oldest entry of the same tag (or of the largest tag) to make room.
+	 *   - "drop-newest": Drops the new entry.
+	 *   - "error": Throws a ForesightError.
+	 *  @param {boolean?} params.flushOnExit - In background mode, flushes the remaining entries on
+	 *    `beforeExit` and SIGTERM.
+	 *  @param {string?} params.spoolPath - The path of a JSONL file where unsent log entries are kept,
+	 *    so that they are sent after a crash or restart. The file is read in the background, log()
+	 *    and flush() wait for it.
+	 *  @param {object?} params.logger - Receives the client's messages through its `debug`, `info`,
+	 *    `warn` and `error` methods, as `(message, fields)`, or as `(fields, message)` for pino.
+	 *    Fields include the `method`, `endpoint`, `status`, `experimentId`, `tag` and `durationMs`.
+	 *    Defaults to console.
+	 *  @param {string?} params.logLevel - The lowest level to log: "debug", "info", "warn", "error"
+	 *    or "silent". Failures of methods that throw are logged at "debug", since the caller gets
+	 *    the error.
+	 *  @param {boolean?} params.redactBodies - Leaves queries, responses and other user content out
+	 *    of the logs. The API token is always left out.
+	 *  @param {object?} params.redaction - Scrubs personal data from every payload before it is sent,
+	 *    and from log entries before they are queued or spooled.
+	 *    An object with the `rules` to apply, by default ["email", "creditCard", "phone"], and the
+	 *    `allowFields` to send as they are, see Redactor. No redaction if null.
+	 *  @param {boolean?} params.validateResponses - Checks the shape of API responses and throws a
+	 *    ForesightResponseError if they do not match, e.g. after a change of the API.
+	 *  @param {object?} params.cassette - Records every request and response to a file, or replays
+	 *    them from it without network access. An object with the `path` of the file, the `mode`,
+	 *    "record" or "replay", and the `ignoreFields` to leave out of request matching, see Cassette.
 	 * @returns {Foresight} - A new Foresight client.
-	 * @throws {Error} - An error from the API request.
+	 * @throws {ForesightError} - An error from the API request.
 	 * */
 	constructor({
 		apiToken,
 		apiUrl = GATEWAY_URL,
 		uiUrl = UI_URL,
 		maxEntriesBeforeAutoFlush = MAX_ENTRIES_BEFORE_FLUSH,
+		timeoutMs = TIMEOUT_MS,
+		maxRetries = MAX_RETRIES,
+		retryBaseDelayMs = RETRY_BASE_DELAY_MS,
+		retryMaxDelayMs = RETRY_MAX_DELAY_MS,
+		flushMode = "inline",
+		flushIntervalMs = FLUSH_INTERVAL_MS,
+		maxQueueSize = MAX_QUEUE_SIZE,
+		overflowPolicy = "drop-oldest",
+		flushOnExit = true,
+		spoolPath = null,
+		logger = console,
+		logLevel = "info",
+		redactBodies = false,
+		redaction = null,
 		axiosInstance,
+		validateResponses = false,
+		cassette = null,
 	}) {
+		if (!FLUSH_MODES.includes(flushMode)) {
+			throw new ForesightValidationError(
+				`flushMode must be one of ${FLUSH_MODES.join(", ")}.`
+			);
+		}
+		if (!LOG_LEVELS.includes(logLevel)) {
+			throw new ForesightValidationError(
+				`logLevel must be one of ${LOG_LEVELS.join(", ")}.`
+			);
+		}
+		if (!OVERFLOW_POLICIES.includes(overflowPolicy)) {
+			throw new ForesightValidationError(
+				`overflowPolicy must be one of ${OVERFLOW_POLICIES.join(", ")}.`
+			);
+		}
+
 		this.apiToken = apiToken;
 		this.apiUrl = apiUrl;
 		this.uiUrl = uiUrl;
 		this.maxEntriesBeforeAutoFlush = maxEntriesBeforeAutoFlush;
 
 		this.axiosInstance = axiosInstance || axios.create();
-		this.timeoutSeconds = 60;
+		this.timeoutMs = timeoutMs;
+		this.maxRetries = maxRetries;
+		this.retryBaseDelayMs = retryBaseDelayMs;
+		this.retryMaxDelayMs = retryMaxDelayMs;
+		this.flushMode = flushMode;
+		this.maxQueueSize = maxQueueSize;
+		this.overflowPolicy = overflowPolicy;
+		this.numDroppedLogEntries = 0;
+		this.logging = new ClientLogger({
+			logger,
+			level: logLevel,
+			redactBodies,
+			secrets: [apiToken],
+		});
+		this.validateResponses = validateResponses;
+		this.redactor = redaction ? new Redactor(redaction) : null;
+		this.cassette = cassette ? new Cassette(cassette) : null;
+
 		this.tagToLogEntries = {};
-		this.logging = console;
-		this.logging.info("Foresight client initialized");
+		this.tagToMetrics = {};
+		// The redactions in the queued entries, by tag, reported by the flush that sends them.
+		this.tagToRedactions = {};
+		this.spool = null;
+		this._spoolReady = null;
+		if (spoolPath) {
+			this._spoolReady = this._openSpool(spoolPath);
+			// Failures are thrown by the calls that wait for the spool.
+			this._spoolReady.catch(() => {});
+		}
+
+		this._flushing = Promise.resolve();
+		this._inFlightLogEntries = {};
+		this._backgroundFlush = null;
+		this._flushTimer = null;
+		if (flushMode === "background") {
+			this._flushTimer = setInterval(
+				() => this._flushInBackground(),
+				flushIntervalMs
+			);
+			// The timer alone should not keep the process alive.
+			if (this._flushTimer.unref) this._flushTimer.unref();
+
+			if (flushOnExit) this._registerExitHandlers();
+		}
+
+		this.logging.debug("Foresight client initialized.", { apiUrl });
 
 		// Add a response interceptor to modify the response data before it is returned to the caller
 		// camelizeKeys is used to convert snake_case keys to camelCase
@@ -62,58 +281,158 @@ class Foresight {
 	}
 
 	/** Makes an HTTP request to the API.
+	 * Failed requests are retried if they are idempotent or marked with `retry`.
 	 * @param {object} input - The parameters object.
 	 *  @param {string} input.method - The HTTP method to use.
 	 *  @param {string} input.endpoint - The API endpoint to call.
 	 *  @param {object|null} [input.params=null] - The query parameters to include in the request.
 	 *  @param {object|null} [input.inputJson=null] - The JSON payload to include in the request.
+	 *  @param {number?} [input.timeoutMs] - The timeout of the request, defaults to the client's `timeoutMs`.
+	 *  @param {boolean?} [input.retry] - Whether the request may be retried. Defaults to true
+	 *    for idempotent methods only.
+	 *  @param {boolean?} [input.redacted] - Whether the payload is already redacted.
+	 *  @param {object?} [input.redactionCounts] - Receives the number of redactions in the payload
+	 *    by rule, if the client redacts payloads.
 	 * @returns {Promise<object>} - The response data from the API.
-	 * @throws {Error} - An error from the API request.
+	 * @throws {ForesightError} - A ForesightError subclass matching the failure, see errors.js.
+	 *  With `validateResponses`, a ForesightResponseError if the data does not have the expected shape.
 	 * */
-	async _makeRequest({ method, endpoint, params = null, inputJson = null }) {
-		try {
-			const response = await this.axiosInstance.request({
-				method,
-				url: `${this.apiUrl}${endpoint}`,
-				headers: { Authorization: `Bearer ${this.apiToken}` },
-				params,
-				data: inputJson,
-				timeout: this.timeoutSeconds * 1000,
-			});
+	async _makeRequest({
+		method,
+		endpoint,
+		params = null,
+		inputJson = null,
+		timeoutMs = null,
+		retry = null,
+		redacted = false,
+		redactionCounts = null,
+	}) {
+		let data = inputJson;
+		if (this.redactor && inputJson !== null && !redacted) {
+			const redacted = this.redactor.redact(inputJson);
+			data = redacted.payload;
+			if (redactionCounts)
+				addRedactionCounts(redactionCounts, redacted.counts);
+		}
 
-			return response.data;
-		} catch (error) {
-			if (error.response)
-				this.logging.error(
-					"api:error:",
-					`${error.response.status} : ${error.response.statusText}`
+		const canRetry =
+			retry !== null
+				? retry
+				: IDEMPOTENT_METHODS.includes(method.toLowerCase());
+
+		let response;
+		for (let attempt = 0; ; attempt++) {
+			const startTime = Date.now();
+			try {
+				response = await this.axiosInstance.request({
+					method,
+					url: `${this.apiUrl}${endpoint}`,
+					headers: { Authorization: `Bearer ${this.apiToken}` },
+					params,
+					data,
+					timeout: timeoutMs !== null ? timeoutMs : this.timeoutMs,
+					adapter: this.cassette
+						? this.cassette.adapter(
+								this.axiosInstance.defaults.adapter
+							)
+						: undefined,
+				});
+				this.logging.debug("Request succeeded.", {
+					httpMethod: method,
+					endpoint,
+					status: response.status,
+					durationMs: Date.now() - startTime,
+				});
+				break;
+			} catch (error) {
+				// Cassette errors, e.g. a request missing from it, fail at once, a retry
+				// would not fix them.
+				if (error instanceof ForesightError) throw error;
+				const status = error.response ? error.response.status : null;
+				const retryAfterMs = parseRetryAfter(
+					error.response &&
+						error.response.headers &&
+						error.response.headers["retry-after"]
 				);
-			throw error;
+				// A server asking for a longer wait than retryMaxDelayMs gets its error thrown,
+				// with the wait in `retryAfterMs`, instead of stalling the call.
+				const isRetryable =
+					(status === null || RETRYABLE_STATUSES.includes(status)) &&
+					(retryAfterMs === null ||
+						retryAfterMs <= this.retryMaxDelayMs);
+
+				if (canRetry && isRetryable && attempt < this.maxRetries) {
+					const delayMs = getRetryDelayMs({
+						attempt,
+						baseDelayMs: this.retryBaseDelayMs,
+						maxDelayMs: this.retryMaxDelayMs,
+						retryAfterMs,
+					});
+					this.logging.warn("Request failed, retrying.", {
+						httpMethod: method,
+						endpoint,
+						status: status || undefined,
+						error: error.message,
+						durationMs: Date.now() - startTime,
+						attempt: attempt + 1,
+						delayMs,
+					});
+					await sleep(delayMs);
+					continue;
+				}
+
+				this.logging.debug("Request failed.", {
+					httpMethod: method,
+					endpoint,
+					status: status || undefined,
+					error: error.message,
+					durationMs: Date.now() - startTime,
+				});
+				throw fromAxiosError(error, endpoint);
+			}
 		}
+
+		const schema =
+			this.validateResponses &&
+			RESPONSE_SCHEMAS[`${method.toLowerCase()} ${endpoint}`];
+		if (schema) validateResponse(response.data, schema, endpoint);
+		return response.data;
 	}
 
 	/** Creates a simple evalset from a list of queries and references.
 	 * @param {object} params - The parameters object.
 	 *  @param {string} params.evalsetId - String identifier of the evaluation set.
 	 *  @param {string[]} params.queries - A list of queries.
-	 *  @param {string[]?} params.referenceAnswers - Optional list of references/ground truth.
+	 *  @param {string[]?} params.referenceAnswers - Optional list of references/ground truth, with
+	 *    null for queries that have none.
+	 *  @param {number?} params.timeoutMs - The timeout of the request in milliseconds, defaults to the client's `timeoutMs`.
 	 * @returns {Promise<{
 	 *  evalsetId: string,
 	 *  numEntries: int
 	 * }>} - an EvalsetMetadata object or raises an HTTPError on failure.
-	 * @throws {Error} - An error from the API request.
+	 * @throws {ForesightValidationError} - If the input is invalid, with `{field, message}`
+	 *  objects in `error.fieldErrors`.
+	 * @throws {ForesightError} - An error from the API request.
 	 * */
-	async createSimpleEvalset({ evalsetId, queries, referenceAnswers = null }) {
+	async createSimpleEvalset({
+		evalsetId,
+		queries,
+		referenceAnswers = null,
+		timeoutMs = null,
+	}) {
 		try {
-			if (evalsetId == null || queries == null) {
-				throw new Error("evalsetId and queries are required.");
-			}
-
+			validateInput(
+				{ evalsetId, queries, referenceAnswers },
+				SIMPLE_EVALSET,
+				"Invalid input to createSimpleEvalset:"
+			);
 			if (
 				referenceAnswers &&
 				queries.length !== referenceAnswers.length
 			) {
-				throw new Error("Number of queries and references must match.");
+				throw new ForesightValidationError(
+					"Number of queries and references must match."
+				);
 			}
 
 			const entries = queries.map((query, index) => ({
@@ -124,28 +443,95 @@ class Foresight {
 				entry_id: uuidv4(),
 			}));
 
-			const evalset = {
-				evalset_id: evalsetId,
-				evalset_entries: entries,
-			};
+			return await this._createEvalset({ evalsetId, entries, timeoutMs });
+		} catch (error) {
+			this.logging.debug("createSimpleEvalset failed.", {
+				method: "createSimpleEvalset",
+				evalsetId,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
 
-			const response = await this._makeRequest({
-				method: "post",
-				endpoint: "/api/eval/set",
-				inputJson: evalset,
+	/** Creates an evalset from a CSV, JSONL or JSON file, e.g. a golden set kept in git.
+	 * CSV files need a header row, JSONL files hold one object per line and JSON files
+	 * an array of objects. Rows are validated before anything is uploaded, see readEvalsetFile.
+	 * @example
+	 * await foresight.createEvalsetFromFile({
+	 *   evalsetId: "golden-set",
+	 *   path: "evalsets/golden.csv",
+	 *   columnMapping: { query: "question", referenceAnswer: "answer", entryId: "id" },
+	 * });
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.evalsetId - String identifier of the evaluation set.
+	 *  @param {string} params.path - The path of the file.
+	 *  @param {string?} params.format - "csv", "jsonl" or "json". Defaults to the file extension.
+	 *  @param {object?} params.columnMapping - The columns (or JSON keys) holding the fields:
+	 *    `{query: "query", referenceAnswer: "reference_answer", entryId: "entry_id"}` by default.
+	 *    Entry ids are kept if the file has them, and generated otherwise.
+	 *  @param {number?} params.timeoutMs - The timeout of the request in milliseconds, defaults to the client's `timeoutMs`.
+	 * @returns {Promise<{
+	 *  evalsetId: string,
+	 *  numEntries: int
+	 * }>} - an EvalsetMetadata object or raises an HTTPError on failure.
+	 * @throws {ForesightValidationError} - If rows are invalid, with `{row, line, message}`
+	 *  objects in `error.rowErrors`.
+	 * @throws {ForesightError} - An error from the API request.
+	 * */
+	async createEvalsetFromFile({
+		evalsetId,
+		path,
+		format = null,
+		columnMapping = {},
+		timeoutMs = null,
+	}) {
+		try {
+			if (evalsetId == null || path == null) {
+				throw new ForesightValidationError(
+					"evalsetId and path are required."
+				);
+			}
+
+			const entries = await readEvalsetFile({
+				path,
+				format,
+				columnMapping,
 			});
-			this.logging.info(`Eval set with evalsetId ${evalsetId} created.`);
-			return response;
+			return await this._createEvalset({ evalsetId, entries, timeoutMs });
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("createSimpleEvalset:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.debug("createEvalsetFromFile failed.", {
+				method: "createEvalsetFromFile",
+				evalsetId,
+				error: error.message,
+			});
+			throw toForesightError(error);
 		}
 	}
 
+	/** Uploads a new evalset.
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.evalsetId - String identifier of the evaluation set.
+	 *  @param {{query: string, reference_answer: string|null, entry_id: string}[]} params.entries - The entries.
+	 *  @param {number?} params.timeoutMs - The timeout of the request in milliseconds.
+	 * @returns {Promise<object>} - The EvalsetMetadata.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async _createEvalset({ evalsetId, entries, timeoutMs }) {
+		const response = await this._makeRequest({
+			method: "post",
+			endpoint: "/api/eval/set",
+			inputJson: { evalset_id: evalsetId, evalset_entries: entries },
+			timeoutMs,
+		});
+		this.logging.info("Evalset created.", { evalsetId });
+		return response;
+	}
+
 	/** Gets the evaluation set with metadata.
 	 * @param {object} params - The parameters object.
 	 *  @param {string} params.evalsetId - String identifier of the evaluation set.
+	 *  @param {number?} params.timeoutMs - The timeout of the request in milliseconds, defaults to the client's `timeoutMs`.
 	 * @returns {Promise<{
 	 *  evalsetId: string,
 	 *  entries: [{
@@ -155,39 +541,48 @@ class Foresight {
 	 *      referenceAnswer: string
 	 *  }]
 	 * }>} - an Evalset object or raises an HTTPError on failure.
-	 * @throws {Error} - An error from the API request.
+	 * @throws {ForesightError} - An error from the API request.
 	 * */
-	async getEvalset({ evalsetId }) {
+	async getEvalset({ evalsetId, timeoutMs = null }) {
 		try {
 			return await this._makeRequest({
 				method: "get",
 				endpoint: "/api/eval/set",
 				params: { evalset_id: evalsetId },
+				timeoutMs,
 			});
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("getEvalset:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.debug("getEvalset failed.", {
+				method: "getEvalset",
+				evalsetId,
+				error: error.message,
+			});
+			throw toForesightError(error);
 		}
 	}
 
 	/** Gets the queries associated with an eval run.
 	 * @param {object} params - The parameters object.
 	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 *  @param {number?} params.timeoutMs - The timeout of the request in milliseconds, defaults to the client's `timeoutMs`.
 	 * @returns {Promise<{[entryId: string]: string}>} - An object with (entryId, query) pairs, or raises an HTTPError on failure.
-	 * @throws {Error} - An error from the API request.
+	 * @throws {ForesightError} - An error from the API request.
 	 * */
-	async getEvalrunQueries({ experimentId }) {
+	async getEvalrunQueries({ experimentId, timeoutMs = null }) {
 		try {
 			return await this._makeRequest({
 				method: "get",
 				endpoint: "/api/eval/run/queries",
 				params: { experiment_id: experimentId },
+				timeoutMs,
 			});
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("getEvalrunQueries:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.debug("getEvalrunQueries failed.", {
+				method: "getEvalrunQueries",
+				experimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
 		}
 	}
 
@@ -196,11 +591,20 @@ class Foresight {
 	 *   @param {string} runConfig.evalsetId - The identifier for the evalset to use for the evaluation.
 	 *   @param {string} runConfig.experimentId - The identifier for the evaluation run.
 	 *   @param {MetricType[]} runConfig.metrics - The metrics to be computed for the evaluation.
+	 * @param {number?} timeoutMs - The timeout of the request in milliseconds, defaults to the client's `timeoutMs`.
 	 * @returns {Promise<string>} - the HTTP response on success or raises an HTTPError on failure.
-	 * @throws {Error} - An error from the API request.
+	 * @throws {ForesightValidationError} - If the input is invalid, with `{field, message}`
+	 *  objects in `error.fieldErrors`.
+	 * @throws {ForesightError} - An error from the API request.
 	 * */
-	async createEvalrun({ runConfig }) {
+	async createEvalrun({ runConfig, timeoutMs = null }) {
 		try {
+			validateInput(
+				runConfig,
+				RUN_CONFIG,
+				"Invalid input to createEvalrun:",
+				"runConfig"
+			);
 			const response = await this._makeRequest({
 				method: "post",
 				endpoint: "/api/eval/run",
@@ -209,170 +613,798 @@ class Foresight {
 					experiment_id: runConfig.experimentId,
 					metrics: runConfig.metrics,
 				},
+				timeoutMs,
 			});
 
-			this.logging.info(
-				`Eval run with experimentId ${runConfig.experimentId} created.`
-			);
+			this.logging.info("Eval run created.", {
+				experimentId: runConfig.experimentId,
+				evalsetId: runConfig.evalsetId,
+			});
 			return response;
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("createEvalrun:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.debug("createEvalrun failed.", {
+				method: "createEvalrun",
+				experimentId: runConfig && runConfig.experimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Gets the entry ids of an eval run that already have an uploaded output.
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 * @returns {Promise<Set<string>|null>} - The uploaded entry ids, or null if the run does not exist.
+	 * @throws {ForesightError} - An error from the API request.
+	 * */
+	async _getUploadedEntryIds({ experimentId }) {
+		const entryIds = new Set();
+		try {
+			for await (const entry of this.iterEvalrunDetails({
+				experimentId,
+			})) {
+				if (entry.input && entry.input.entryId && entry.output)
+					entryIds.add(entry.input.entryId);
+			}
+		} catch (error) {
+			if (error instanceof ForesightNotFoundError) return null;
+			throw error;
+		}
+
+		return entryIds;
+	}
+
+	/** Reads the generatedResponse of a generateFn output to the end, if it is streamed.
+	 * @param {any} output - The output of generateFn.
+	 * @param {string} entryId - The entry the output is for.
+	 * @param {number} startTime - When generateFn was called, in milliseconds.
+	 * @returns {Promise<any>} - The output, with the assembled text as generatedResponse and the
+	 *  time to first token and the total duration in its debugInfo.
+	 * @throws {ForesightAbortError} - If the stream fails before it ends.
+	 */
+	async _readStreamedOutput(output, entryId, startTime) {
+		if (!output || !isStream(output.generatedResponse)) return output;
+
+		let streamed;
+		try {
+			streamed = await readStream(output.generatedResponse, {
+				startTime,
+			});
+		} catch (error) {
+			throw new ForesightAbortError(
+				`The response stream of entry ${entryId} was aborted: ${error.message}`,
+				{ cause: error }
+			);
+		}
+		return {
+			...output,
+			generatedResponse: streamed.text,
+			debugInfo: {
+				...output.debugInfo,
+				timeToFirstTokenMs: streamed.timeToFirstTokenMs,
+				durationMs: streamed.durationMs,
+			},
+		};
+	}
+
+	/** Calls generateFn on a query, retrying failed or timed out attempts.
+	 * @param {object} params - The parameters object.
+	 *  @param {function} params.generateFn - A function that takes a query and `{signal, evalRun}`,
+	 *    and returns an InferenceOutput.
+	 *  @param {string} params.entryId - The entry id of the query.
+	 *  @param {string} params.query - The query to generate an answer for.
+	 *  @param {number?} params.timeoutMs - The time limit for a single attempt, after which the
+	 *    signal passed to generateFn is aborted. No limit if null.
+	 *  @param {number} params.retries - The number of retries after the first failed attempt.
+	 *  @param {number} params.retryDelayMs - The delay between two attempts.
+	 * @returns {Promise<{output: object, attempts: number}>} - The snake_case inference output
+	 *  and the number of attempts it took.
+	 * @throws {Error} - The error of the last attempt, with the number of attempts as `attempts`.
+	 *  A ForesightValidationError if generateFn returned an invalid output, which is not retried.
+	 * */
+	async _generateOutput({
+		generateFn,
+		entryId,
+		query,
+		timeoutMs,
+		retries,
+		retryDelayMs,
+	}) {
+		for (let attempt = 1; ; attempt++) {
+			try {
+				const startTime = Date.now();
+				// Timed out calls are only told to stop: one that ignores the signal keeps
+				// running next to its retry and the calls of other entries. Node 14 has
+				// no AbortController, generateFn gets no signal there.
+				const controller =
+					typeof AbortController !== "undefined"
+						? new AbortController()
+						: null;
+				const options = { evalRun: true };
+				if (controller) options.signal = controller.signal;
+				const output = await withTimeout(
+					Promise.resolve()
+						.then(() => generateFn(query, options))
+						.then((result) =>
+							this._readStreamedOutput(result, entryId, startTime)
+						),
+					timeoutMs,
+					`generateFn timed out after ${timeoutMs}ms for entry ${entryId}.`,
+					(error) => controller && controller.abort(error)
+				);
+				validateInput(
+					output,
+					INFERENCE_OUTPUT,
+					`generateFn returned an invalid InferenceOutput for entry ${entryId}:`,
+					"output"
+				);
+
+				const { generatedResponse, contexts, debugInfo } = output;
+				return {
+					output: {
+						generated_response: generatedResponse,
+						contexts,
+						debug_info: debugInfo,
+					},
+					attempts: attempt,
+				};
+			} catch (error) {
+				// An invalid output is a bug in generateFn, retrying would not help.
+				if (
+					attempt > retries ||
+					error instanceof ForesightValidationError
+				) {
+					error.attempts = attempt;
+					throw error;
+				}
+
+				this.logging.info("generateFn failed, retrying.", {
+					entryId,
+					attempt,
+					error: error.message,
+				});
+				await sleep(retryDelayMs);
+			}
 		}
 	}
 
 	/** Creates an eval run entry, generates answers and runs the eval.
 	 * This method calls the generate_fn on each query in the evalset, triggers
 	 * the metric computation and caches all results in a new eval run.
+	 * Answers are uploaded in batches of `batchSize` as soon as they are
+	 * generated, so a failure part way through keeps the uploaded answers and
+	 * the run can be continued with `resume`. A batch that fails to upload does
+	 * not stop the later ones, its entries are reported as failed.
 	 * @param {object} params - The parameters object.
 	 *  @param {function} params.generateFn - A function that takes a query and returns an InferenceOutput.
+	 *    It also gets `{signal, evalRun: true}`: an AbortSignal that is aborted when the call
+	 *    times out (missing on Node 14, which has no AbortController), and a flag that keeps
+	 *    wrapped functions given these options from logging.
 	 *  @param {object} params.runConfig - The configuration for running the eval.
 	 *   @param {string} params.runConfig.evalsetId - The identifier for the evalset to use for the evaluation.
 	 *   @param {string} params.runConfig.experimentId - The identifier for the evaluation run.
 	 *   @param {MetricType[]} params.runConfig.metrics - The metrics to be computed for the evaluation.
 	 *  @param {number} params.batchSize - The max number of inference outputs to upload in one batch.
-	 * @returns {Promise<string>} - the HTTP response on success or raises an HTTPError on failure.
-	 * @throws {Error} - An error from the API request.
+	 *  @param {number} params.concurrency - The max number of generateFn calls running at a time.
+	 *  @param {number?} params.timeoutMs - The time limit for a single generateFn call. No limit if null.
+	 *    A timed out call that ignores its signal keeps running, so more than `concurrency` calls
+	 *    may run at a time after a timeout.
+	 *  @param {boolean} params.resume - If true and the eval run already exists, skips the entries
+	 *    that already have an uploaded output instead of creating the run again.
+	 *  @param {number} params.retries - The number of times a failed generateFn call is retried.
+	 *  @param {number} params.retryDelayMs - The delay before retrying a failed generateFn call.
+	 *  @param {string} params.onError - What to do with an entry whose generateFn call still fails
+	 *    after all retries. Possible values are:
+	 *   - "abort": Uploads the answers generated so far and throws. The error carries the run report
+	 *     as `report`. A failed upload also throws, once the other batches are uploaded.
+	 *   - "skip": Does not upload an output for the entry.
+	 *   - "record": Uploads an empty output with the error message in its debug info.
+	 * @returns {Promise<{
+	 *  experimentId: string,
+	 *  succeeded: string[],
+	 *  failed: [{
+	 *      entryId: string,
+	 *      error: string,
+	 *      attempts: number,
+	 *      recorded: boolean
+	 *  }],
+	 *  skipped: string[],
+	 *  responses: any[],
+	 *  redactions: {[rule: string]: number}?
+	 * }>} - a run report with the entry ids whose answer was uploaded, that failed to be generated
+	 *  or uploaded (`recorded` if their error was uploaded), and that were not
+	 *  generated (uploaded before the run was resumed, or not started when the run was aborted),
+	 *  along with the responses of the upload requests and, if the client redacts payloads, the
+	 *  number of redactions in the uploaded answers by rule.
+	 * @throws {ForesightValidationError} - If the input is invalid, with `{field, message}`
+	 *  objects in `error.fieldErrors`.
+	 * @throws {ForesightError} - An error from the API request.
 	 * */
-	async generateAnswersAndRunEval({ generateFn, runConfig, batchSize = 10 }) {
+	async generateAnswersAndRunEval({
+		generateFn,
+		runConfig,
+		batchSize = 10,
+		concurrency = 1,
+		timeoutMs = null,
+		resume = false,
+		retries = 0,
+		retryDelayMs = 0,
+		onError = "abort",
+	}) {
+		let report = null;
 		try {
-			await this.createEvalrun({ runConfig });
+			if (!FAILURE_POLICIES.includes(onError)) {
+				throw new ForesightValidationError(
+					`onError must be one of ${FAILURE_POLICIES.join(", ")}.`
+				);
+			}
+			validateInput(
+				{
+					generateFn,
+					runConfig,
+					batchSize,
+					concurrency,
+					timeoutMs,
+					retries,
+					retryDelayMs,
+				},
+				GENERATE_ANSWERS,
+				"Invalid input to generateAnswersAndRunEval:"
+			);
+
 			const experimentId = runConfig.experimentId;
-			const queries = await this.getEvalrunQueries({ experimentId });
+			report = {
+				experimentId,
+				succeeded: [],
+				failed: [],
+				skipped: [],
+				responses: [],
+			};
+			if (this.redactor) report.redactions = {};
 
-			if (!queries) {
-				this.logging.error(
-					"No queries found for experimentId: %s",
-					experimentId
-				);
+			const uploadedEntryIds = resume
+				? await this._getUploadedEntryIds({ experimentId })
+				: null;
 
-				return;
+			if (uploadedEntryIds === null) {
+				await this.createEvalrun({ runConfig });
+			} else {
+				this.logging.info("Resuming eval run.", {
+					experimentId,
+					numUploaded: uploadedEntryIds.size,
+				});
 			}
 
-			const outputs = {};
+			const queries = await this.getEvalrunQueries({ experimentId });
 
-			for (const [entryId, query] of Object.entries(queries)) {
-				const { generatedResponse, contexts, debugInfo } = await generateFn(query);
+			if (!queries) {
+				this.logging.warn("No queries found for the eval run.", {
+					experimentId,
+				});
 
-				outputs[entryId] = {
-					generated_response: generatedResponse,
-					contexts,
-					debug_info: debugInfo
-				};
+				return report;
 			}
 
-			let response;
-			for (let i = 0; i < Object.keys(outputs).length; i += batchSize) {
-				const outputsChunk = Object.fromEntries(
-					Object.keys(outputs)
-						.slice(i, i + batchSize)
-						.map((k) => [k, outputs[k]])
-				);
+			const pendingQueries = Object.entries(queries).filter(
+				([entryId]) =>
+					!uploadedEntryIds || !uploadedEntryIds.has(entryId)
+			);
 
-				const outputRequest = {
-					experiment_id: experimentId,
-					entry_id_to_inference_output: outputsChunk,
-				};
+			let outputs = {};
+			// The generateFn attempts of the entries of `outputs` that got an answer.
+			let answerAttempts = {};
+			let uploadError = null;
+			let uploads = Promise.resolve();
 
-				response = await this._makeRequest({
-					method: "put",
-					endpoint: "/api/eval/run/entries",
-					inputJson: outputRequest,
+			// Uploads are chained so that batches are sent one at a time and
+			// in the order they were filled. Entries only succeed once their
+			// batch is uploaded; a failed batch does not stop the later ones.
+			const uploadOutputs = () => {
+				const outputsChunk = outputs;
+				const attemptsChunk = answerAttempts;
+				outputs = {};
+				answerAttempts = {};
+				uploads = uploads.then(async () => {
+					try {
+						const response = await this._makeRequest({
+							method: "put",
+							endpoint: "/api/eval/run/entries",
+							inputJson: {
+								experiment_id: experimentId,
+								entry_id_to_inference_output: outputsChunk,
+							},
+							redactionCounts: report.redactions,
+						});
+						report.responses.push(response);
+						report.succeeded.push(...Object.keys(attemptsChunk));
+					} catch (error) {
+						uploadError = uploadError || error;
+						this.logging.error("Uploading answers failed.", {
+							experimentId,
+							numEntries: Object.keys(outputsChunk).length,
+							error: error.message,
+						});
+						for (const entryId of Object.keys(outputsChunk)) {
+							const failure = report.failed.find(
+								(failed) => failed.entryId === entryId
+							);
+							if (failure) {
+								failure.recorded = false;
+								continue;
+							}
+							report.failed.push({
+								entryId,
+								error: `Uploading the answer failed: ${error.message}`,
+								attempts: attemptsChunk[entryId],
+								recorded: false,
+							});
+						}
+					}
 				});
+				return uploads;
+			};
+
+			try {
+				await runWithConcurrency(
+					pendingQueries,
+					concurrency,
+					async ([entryId, query]) => {
+						try {
+							const { output, attempts } =
+								await this._generateOutput({
+									generateFn,
+									entryId,
+									query,
+									timeoutMs,
+									retries,
+									retryDelayMs,
+								});
+							outputs[entryId] = output;
+							answerAttempts[entryId] = attempts;
+						} catch (error) {
+							report.failed.push({
+								entryId,
+								error: error.message,
+								attempts: error.attempts,
+								recorded: onError === "record",
+							});
+
+							if (onError === "abort") {
+								throw new ForesightError(
+									`generateFn failed for entry ${entryId}: ${error.message}`,
+									{ cause: error }
+								);
+							}
+
+							this.logging.warn("generateFn failed.", {
+								experimentId,
+								entryId,
+								attempts: error.attempts,
+								error: error.message,
+							});
+
+							if (onError === "record") {
+								outputs[entryId] = {
+									generated_response: "",
+									contexts: [],
+									debug_info: { error: error.message },
+								};
+							}
+						}
+
+						if (Object.keys(outputs).length >= batchSize)
+							await uploadOutputs();
+					}
+				);
+			} finally {
+				// Upload whatever was generated, also when generation failed,
+				// so that the run can be resumed from there.
+				if (Object.keys(outputs).length > 0) uploadOutputs();
+				await uploads;
+
+				const generatedEntryIds = new Set([
+					...report.succeeded,
+					...report.failed.map(({ entryId }) => entryId),
+				]);
+				report.skipped = Object.keys(queries).filter(
+					(entryId) => !generatedEntryIds.has(entryId)
+				);
 			}
+			if (uploadError && onError === "abort") throw uploadError;
 
-			this.logging.info(
-				"Eval run started successfully. Visit %s to view results.",
-				this.uiUrl
-			);
+			this.logging.info("Eval run started.", {
+				experimentId,
+				succeeded: report.succeeded.length,
+				failed: report.failed.length,
+				url: this.uiUrl,
+			});
 
-			return response;
+			return report;
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error(
-				"generateAnswersAndRunEval:error:",
-				errorResponse
-			);
-			throw new Error(errorResponse);
+			this.logging.debug("generateAnswersAndRunEval failed.", {
+				method: "generateAnswersAndRunEval",
+				experimentId: runConfig && runConfig.experimentId,
+				error: error.message,
+			});
+			const foresightError = toForesightError(error);
+			// Invalid input fails before the run starts, without a report.
+			if (report) foresightError.report = report;
+			throw foresightError;
 		}
 	}
 
 	/** Flush the log entries and run evals on them.
-	 * Currently only Groundedness evals are run on the log entries.
-	 * @returns {Promise<string>} - The HTTP response on success or raises an HTTPError on failure.
+	 * Groundedness evals are run on the log entries, unless other metrics were
+	 * given to log() for their tag.
+	 * Every tag is sent, also when sending an earlier tag failed. The entries
+	 * of a failed tag are kept and sent again by the next flush.
+	 * Flushes run one after the other: a flush called while another one is
+	 * running starts when it is done, and only sends the entries that were
+	 * logged in the meantime.
+	 * @returns {Promise<{[tag: string]: {
+	 *  sent: number,
+	 *  response: any,
+	 *  error: ForesightError|null,
+	 *  redactions: {[rule: string]: number}?
+	 * }}>} - The number of entries sent, the HTTP response and the error, if any, for each tag
+	 *  that had entries to flush. If the client redacts payloads, `redactions` counts the
+	 *  redactions in the sent entries by rule.
 	 */
 	async flush() {
+		const flushing = this._flushing.then(() => this._flushOnce());
+		this._flushing = flushing.catch(() => {});
+		return flushing;
+	}
+
+	/** Sends the log entries of every tag, see flush().
+	 * @returns {Promise<object>} - The results by tag.
+	 */
+	async _flushOnce() {
+		if (this._spoolReady) await this._spoolReady;
 		try {
-			const hasEntriesToFlush = Object.values(this.tagToLogEntries).some(
-				(logEntries) => logEntries.length > 0
+			const tags = Object.keys(this.tagToLogEntries).filter(
+				(tag) => this.tagToLogEntries[tag].length > 0
 			);
 
-			if (!hasEntriesToFlush) {
+			if (tags.length === 0) {
 				this.logging.info("No log entries to flush.");
-				return;
+				return {};
 			}
 
-			let response;
-			for (const [tag, logEntries] of Object.entries(
-				this.tagToLogEntries
-			)) {
+			const results = {};
+			for (const tag of tags) {
+				// The entries are taken out of the queue while they are sent,
+				// so that entries logged in the meantime are neither sent
+				// twice nor cleared without being sent.
+				const logEntries = this.tagToLogEntries[tag];
+				this.tagToLogEntries[tag] = [];
+				this._inFlightLogEntries[tag] = logEntries;
+
 				const logRequest = { log_entries: logEntries };
 				if (tag !== DEFAULT_TAG_NAME)
 					logRequest.experiment_id_prefix = tag;
+				if (this.tagToMetrics[tag])
+					logRequest.metrics = this.tagToMetrics[tag];
 
-				response = await this._makeRequest({
-					method: "put",
-					endpoint: "/api/eval/log",
-					inputJson: logRequest,
-				});
+				const startTime = Date.now();
+				// log() redacted the entries, the counts are taken along with them.
+				const redactions = this.redactor
+					? this.tagToRedactions[tag] || {}
+					: undefined;
+				if (this.redactor) this.tagToRedactions[tag] = {};
+				try {
+					const response = await this._makeRequest({
+						method: "put",
+						endpoint: "/api/eval/log",
+						inputJson: logRequest,
+						// The server gives entries without an id a new one, so a retry
+						// of a request it already stored would log them twice.
+						retry: logEntries.every((entry) => entry.entry_id),
+						redacted: true,
+					});
+					results[tag] = {
+						sent: logEntries.length,
+						response,
+						error: null,
+					};
+					if (redactions) results[tag].redactions = redactions;
 
-				this.logging.log(
-					"Log entries flushed successfully for tag %s. Visit %s to view results.",
-					tag,
-					this.uiUrl
-				);
+					this.logging.info("Log entries flushed.", {
+						tag,
+						sent: logEntries.length,
+						redactions,
+						durationMs: Date.now() - startTime,
+						url: this.uiUrl,
+					});
+				} catch (error) {
+					// Keep the entries, ahead of the ones logged in the
+					// meantime, for the next flush.
+					this.tagToLogEntries[tag] = [
+						...logEntries,
+						...this.tagToLogEntries[tag],
+					];
+					if (redactions)
+						addRedactionCounts(
+							this.tagToRedactions[tag],
+							redactions
+						);
+					results[tag] = {
+						sent: 0,
+						response: null,
+						error: toForesightError(error),
+					};
 
-				// Clear log entries after flushing
-				this.tagToLogEntries[tag] = [];
+					this.logging.error("Flushing log entries failed.", {
+						tag,
+						status: results[tag].error.status || undefined,
+						error: error.message,
+						durationMs: Date.now() - startTime,
+					});
+				} finally {
+					delete this._inFlightLogEntries[tag];
+				}
 			}
 
-			return response;
+			return results;
+		} finally {
+			this._rewriteSpool();
+		}
+	}
+
+	/** Writes the unsent log entries, including the ones being sent, to the spool file. */
+	_rewriteSpool() {
+		if (!this.spool) return;
+
+		const tagToLogEntries = { ...this.tagToLogEntries };
+		for (const [tag, logEntries] of Object.entries(
+			this._inFlightLogEntries
+		)) {
+			tagToLogEntries[tag] = [
+				...logEntries,
+				...(tagToLogEntries[tag] || []),
+			];
+		}
+		this.spool.rewrite(tagToLogEntries, this.tagToMetrics);
+	}
+
+	/** Starts a flush without waiting for it, unless one is already running.
+	 * The entries that could not be sent are kept for the next flush.
+	 * @returns {Promise<void>} - Resolves when the flush is done.
+	 */
+	_flushInBackground() {
+		if (this._backgroundFlush) return this._backgroundFlush;
+		if (this._numQueuedLogEntries() === 0) return Promise.resolve();
+
+		// flush() logs the errors of the tags it could not send.
+		this._backgroundFlush = this.flush()
+			.catch((error) =>
+				this.logging.error("Background flush failed.", {
+					error: error.message,
+				})
+			)
+			.then(() => {
+				this._backgroundFlush = null;
+			});
+
+		return this._backgroundFlush;
+	}
+
+	/** Flushes the remaining log entries when the process is about to exit. */
+	_registerExitHandlers() {
+		if (typeof process === "undefined" || !process.once) return;
+
+		clientsToCloseOnExit.add(this);
+		installExitHandlers();
+	}
+
+	/** Opens the spool file and queues the entries left in it.
+	 * @param {string} spoolPath - The path of the spool file.
+	 * @returns {Promise<void>}
+	 */
+	async _openSpool(spoolPath) {
+		const spool = await LogSpool.open(spoolPath);
+		const spooled = spool.load();
+		this.tagToLogEntries = spooled.tagToLogEntries;
+		this.tagToMetrics = spooled.tagToMetrics;
+		this.spool = spool;
+	}
+
+	/** Stops background flushing and flushes the remaining log entries.
+	 * Entries that cannot be sent stay in the spool file, if there is one.
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		if (this._flushTimer) {
+			clearInterval(this._flushTimer);
+			this._flushTimer = null;
+		}
+		if (clientsToCloseOnExit.delete(this)) removeExitHandlers();
+
+		try {
+			if (this._spoolReady) await this._spoolReady;
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("flush:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.error("Reading the spool file failed.", {
+				error: error.message,
+			});
 		}
+		if (this._backgroundFlush) await this._backgroundFlush;
+		await this._flushInBackground();
+	}
+
+	/** Counts the log entries that have not been sent yet.
+	 * @returns {number}
+	 */
+	_numQueuedLogEntries() {
+		return Object.values(this.tagToLogEntries).reduce(
+			(total, logEntries) => total + logEntries.length,
+			0
+		);
+	}
+
+	/** Makes room for a new log entry according to the overflow policy.
+	 * @param {string} tag - The tag of the new entry.
+	 * @returns {boolean} - Whether the new entry should be added.
+	 * @throws {ForesightError} - If the queue is full and the policy is "error".
+	 */
+	_makeRoomForLogEntry(tag) {
+		if (this._numQueuedLogEntries() < this.maxQueueSize) return true;
+
+		if (this.overflowPolicy === "error") {
+			throw new ForesightError(
+				`The log queue is full (${this.maxQueueSize} entries).`
+			);
+		}
+
+		this.numDroppedLogEntries++;
+		this.logging.warn(
+			`The log queue is full, dropping the ${
+				this.overflowPolicy === "drop-oldest" ? "oldest" : "newest"
+			} entry.`,
+			{ tag, maxQueueSize: this.maxQueueSize }
+		);
+		if (
+			this.overflowPolicy === "drop-newest" ||
+			this._numQueuedLogEntries() === 0
+		)
+			return false;
+
+		let dropTag = tag;
+		if (!(this.tagToLogEntries[tag] || []).length) {
+			dropTag = Object.keys(this.tagToLogEntries).reduce((a, b) =>
+				this.tagToLogEntries[a].length >= this.tagToLogEntries[b].length
+					? a
+					: b
+			);
+		}
+		this.tagToLogEntries[dropTag] = this.tagToLogEntries[dropTag].slice(1);
+		this._rewriteSpool();
+		return true;
 	}
 
 	/** Add log entries for evaluation. This only adds the entries
 	 * in memory, but does not send any requests to foresight service.
 	 * To send the request, flush needs to be called.
 	 * If the number of entries is greater than `maxEntriesBeforeAutoFlush`, then flushes the log entries as
-	 * well.
+	 * well. In background flush mode this flush is not awaited.
+	 *
+	 * The response may be streamed, as a ReadableStream or an async iterable of strings, bytes or
+	 * LLM chunks. log() then returns a stream of the same chunks to deliver to the user instead,
+	 * and adds the entry with the assembled text once the stream ends, with the time to first
+	 * token and the total duration, from the call of log(), in `debugInfo`.
 	 * @param {object} params - The parameters object.
 	 *  @param {string} params.query - The query for evaluation.
-	 *  @param {string} params.response - The response from your AI system.
-	 *  @param {string[]} params.contexts - List of contexts relevant to the query.
+	 *  @param {string|ReadableStream|AsyncIterable} params.response - The response from your AI system.
+	 *  @param {string[]?} params.contexts - List of contexts relevant to the query.
 	 *  @param {string} params.tag - An optional tag for the request. e.g. "great-model-v01".
 	 *    This will be prepended to the name of the eval run (experiment_id).
 	 *    The complete eval run experiment_id will be of the form: "great-model-v01_logs_groundedness_YYYYMMDD.
+	 *  @param {string?} params.referenceAnswer - An optional reference/ground truth answer for the query.
+	 *  @param {object?} params.debugInfo - Optional debug information about how the response was generated.
+	 *  @param {string?} params.entryId - An optional identifier for the entry. Flushes are only
+	 *    retried if all their entries have one, the server would store the others twice.
+	 *  @param {Date|string?} params.timestamp - When the query was answered, defaults to now.
+	 *  @param {MetricType[]?} params.metrics - The metrics to compute for the entries of the tag,
+	 *    e.g. REFERENCE_FACT_RECALL for entries logged with a reference answer. The metrics given
+	 *    last for a tag are used for all its entries. Groundedness is computed if none are given.
+	 *  @param {string?} params.onStreamAbort - What to do with a streamed response that fails or is
+	 *    cancelled by its consumer before it ends. Possible values are:
+	 *   - "skip": Adds no entry.
+	 *   - "log": Adds an entry with the text received so far and `streamAborted: true` in `debugInfo`.
+	 *  @param {function(any): string} [params.extractChunkText] - Gets the text of a chunk of a streamed
+	 *    response, see defaultExtractChunkText.
+	 * @returns {Promise<ReadableStream|AsyncIterable|undefined>} - With a streamed response, the stream
+	 *  to deliver instead of it: a ReadableStream for a ReadableStream and an async iterable otherwise.
+	 *  Failures to log the assembled entry are reported to the logger as warnings.
+	 * @throws {ForesightValidationError} - If the input is invalid, with `{field, message}`
+	 *  objects in `error.fieldErrors`.
+	 * @throws {ForesightError} - An error from the API request.
 	 */
-	async log({ query, response, contexts, tag }) {
+	async log({
+		query,
+		response,
+		contexts,
+		tag,
+		referenceAnswer = null,
+		debugInfo = null,
+		entryId = null,
+		timestamp = null,
+		metrics = null,
+		onStreamAbort = "skip",
+		extractChunkText = defaultExtractChunkText,
+	}) {
 		try {
+			if (isStream(response)) {
+				return this._logStream({
+					query,
+					response,
+					contexts,
+					tag,
+					referenceAnswer,
+					debugInfo,
+					entryId,
+					timestamp,
+					metrics,
+					onStreamAbort,
+					extractChunkText,
+				});
+			}
+
+			validateInput(
+				{
+					query,
+					response,
+					contexts,
+					tag,
+					referenceAnswer,
+					debugInfo,
+					entryId,
+					timestamp,
+					metrics,
+				},
+				LOG_ENTRY,
+				"Invalid input to log:"
+			);
+
 			const inferenceOutput = {
 				generated_response: response,
 				contexts: contexts,
 			};
+			if (debugInfo != null) inferenceOutput.debug_info = debugInfo;
 
-			const logEntry = {
+			let logEntry = {
 				query: query,
 				inference_output: inferenceOutput,
+				timestamp: new Date(timestamp || Date.now()).toISOString(),
 			};
+			if (referenceAnswer != null)
+				logEntry.reference_answer = referenceAnswer;
+			if (entryId != null) logEntry.entry_id = entryId;
 
+			if (this._spoolReady) await this._spoolReady;
 			tag = tag || DEFAULT_TAG_NAME;
+			if (!this._makeRoomForLogEntry(tag)) return;
+
+			// Entries are redacted before they are queued, so that the spool file
+			// and the debug log never hold what the redaction rules remove.
+			if (this.redactor) {
+				const { payload, counts } = this.redactor.redact(logEntry);
+				logEntry = payload;
+				this.tagToRedactions[tag] = addRedactionCounts(
+					this.tagToRedactions[tag] || {},
+					counts
+				);
+			}
+			if (metrics) this.tagToMetrics[tag] = metrics;
 			const entriesForTag = this.tagToLogEntries[tag] || [];
 			this.tagToLogEntries[tag] = [...entriesForTag, logEntry];
+			if (this.spool)
+				this.spool.append(tag, logEntry, this.tagToMetrics[tag]);
+			this.logging.debug("Log entry added.", {
+				tag,
+				entryId: entryId != null ? entryId : undefined,
+				query: logEntry.query,
+				response: logEntry.inference_output.generated_response,
+			});
 
 			if (
 				this.tagToLogEntries[tag].length >=
@@ -380,13 +1412,193 @@ class Foresight {
 			) {
 				// Auto flush if the number of entries is greater than a
 				// certain threshold.
-				await this.flush();
+				if (this.flushMode === "background") this._flushInBackground();
+				else await this.flush();
 			}
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("log:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.debug("log failed.", {
+				method: "log",
+				tag,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Logs a streamed response once it ends, see log().
+	 * @param {object} params - The parameters of log(), with a streamed `response`.
+	 * @returns {ReadableStream|AsyncIterable} - The stream to deliver instead of the response.
+	 * @throws {ForesightValidationError} - If the input is invalid.
+	 */
+	_logStream({
+		response,
+		debugInfo,
+		timestamp,
+		onStreamAbort,
+		extractChunkText,
+		...params
+	}) {
+		if (!STREAM_ABORT_POLICIES.includes(onStreamAbort)) {
+			throw new ForesightValidationError(
+				`onStreamAbort must be one of ${STREAM_ABORT_POLICIES.join(", ")}.`
+			);
+		}
+		// The other fields are checked now, so that the caller gets the error.
+		validateInput(
+			{ ...params, response: "", debugInfo, timestamp },
+			LOG_ENTRY,
+			"Invalid input to log:"
+		);
+
+		const startTime = Date.now();
+		return teeStream(response, {
+			extractChunkText,
+			startTime,
+			onEnd: ({
+				text,
+				timeToFirstTokenMs,
+				durationMs,
+				aborted,
+				error,
+			}) => {
+				const fields = {
+					tag: params.tag,
+					timeToFirstTokenMs,
+					durationMs,
+					error: error ? error.message || String(error) : undefined,
+				};
+				if (aborted && onStreamAbort === "skip") {
+					this.logging.info(
+						"Response stream aborted, entry not logged.",
+						fields
+					);
+					return;
+				}
+
+				const streamInfo = { timeToFirstTokenMs, durationMs };
+				if (aborted) streamInfo.streamAborted = true;
+				this.log({
+					...params,
+					response: text,
+					debugInfo: { ...debugInfo, ...streamInfo },
+					timestamp: timestamp || new Date(startTime),
+				}).catch((logError) => {
+					this.logging.warn("Logging a streamed response failed.", {
+						...fields,
+						error: logError.message,
+					});
+				});
+			},
+		});
+	}
+
+	/** Wraps a RAG function so that its calls are logged with log().
+	 * The wrapped function takes the same arguments and returns the same value, or
+	 * the same promise result, as `fn`. Logging never delays or breaks a call: failures
+	 * to extract or log an entry are reported to the logger as warnings, and calls that
+	 * throw are not logged. The latency of the call is added to the `debugInfo`.
+	 * With the default extractors, a function returning `{generatedResponse, contexts}`
+	 * can be used as `generateFn` of generateAnswersAndRunEval. Calls whose last argument
+	 * has `evalRun: true`, as the options given to generateFn, are not logged, so that eval
+	 * queries do not show up as production traffic.
+	 * @example
+	 * const answer = foresight.wrap(ragPipeline, { tag: "rag-v2", sampleRate: 0.1 });
+	 * const { generatedResponse } = await answer("What is fore?");
+	 * @param {function} fn - The function to wrap, sync or async.
+	 * @param {object} [options] - The options object.
+	 *  @param {string?} options.tag - The tag of the log entries, see log().
+	 *  @param {MetricType[]?} options.metrics - The metrics to compute, see log().
+	 *  @param {function(...any): string} [options.extractQuery] - Gets the query from the
+	 *    arguments of a call. By default the first argument, or its `input`, `question` or `query`.
+	 *  @param {function(any, ...any): string} [options.extractResponse] - Gets the answer from the
+	 *    result and the arguments of a call. By default the result itself, or its
+	 *    `generatedResponse`, `answer`, `output`, `text`, `result` or `response`.
+	 *  @param {function(any, ...any): string[]} [options.extractContexts] - Gets the contexts from
+	 *    the result and the arguments of a call. By default the texts of the result's `contexts`,
+	 *    `context`, `sourceDocuments` or `sourceNodes`.
+	 *  @param {number?} options.sampleRate - The share of calls to log, between 0 and 1.
+	 * @returns {function} - The wrapped function.
+	 * @throws {ForesightValidationError} - If `fn` is not a function or `sampleRate` is invalid.
+	 */
+	wrap(
+		fn,
+		{
+			tag = null,
+			metrics = null,
+			extractQuery = (query) => defaultExtractQuery(query),
+			extractResponse = defaultExtractResponse,
+			extractContexts = defaultExtractContexts,
+			sampleRate = 1,
+		} = {}
+	) {
+		if (typeof fn !== "function") {
+			throw new ForesightValidationError(
+				"wrap needs a function to wrap."
+			);
+		}
+		if (
+			typeof sampleRate !== "number" ||
+			!(sampleRate >= 0 && sampleRate <= 1)
+		) {
+			throw new ForesightValidationError(
+				"sampleRate must be a number between 0 and 1."
+			);
 		}
+
+		const client = this;
+		const onError = (error) => {
+			client.logging.warn("Logging a wrapped call failed.", {
+				tag,
+				error: error.message,
+			});
+		};
+		const logCall = (args, result, latencyMs) => {
+			try {
+				const resultDebugInfo =
+					result && typeof result.debugInfo === "object"
+						? result.debugInfo
+						: null;
+				const response = extractResponse(result, ...args);
+				// Logging would consume the stream the caller is about to read.
+				if (isStream(response)) {
+					throw new ForesightValidationError(
+						"wrap cannot log streamed responses, pass the stream to log() instead."
+					);
+				}
+				client
+					.log({
+						query: extractQuery(...args),
+						response,
+						contexts: extractContexts(result, ...args),
+						tag,
+						metrics,
+						debugInfo: { ...resultDebugInfo, latencyMs },
+					})
+					.catch(onError);
+			} catch (error) {
+				onError(error);
+			}
+		};
+
+		return function wrapped(...args) {
+			const options = args[args.length - 1];
+			if (
+				(options && options.evalRun === true) ||
+				(sampleRate < 1 && !(Math.random() < sampleRate))
+			) {
+				return fn.apply(this, args);
+			}
+			const startTime = Date.now();
+			const result = fn.apply(this, args);
+			if (result && typeof result.then === "function") {
+				return result.then((value) => {
+					logCall(args, value, Date.now() - startTime);
+					return value;
+				});
+			}
+			logCall(args, result, Date.now() - startTime);
+			return result;
+		};
 	}
 
 	/** Gets the details of an evaluation run.
@@ -394,17 +1606,25 @@ class Foresight {
 	 *  @param {string} params.experimentId - String identifier of the evaluation run.
 	 *  @param {string?} params.sortBy - The field to sort by.
 	 *  @param {number?} params.limit - The maximum number of entries to return.
-	 *  @param {boolean?} params.convertToDataframe - If True, returns a DataFrame instead of a
-	 * EvalRunDetails object. Requires pandas to be installed.
-	 * @returns {Promise<any>} - an EvalRunDetails object or raises an HTTPError on failure.
-	 * If pandas is installed and convertToDataframe is set to True,
-	 * the results are converted to a DataFrame.
-	 * @throws {Error} - An error from the API request.
+	 *  @param {number?} params.offset - The offset of the entries to return.
+	 *  @param {number?} params.timeoutMs - The timeout of the request in milliseconds, defaults to the client's `timeoutMs`.
+	 * @returns {Promise<{
+	 *  experimentId: string,
+	 *  entries: [{
+	 *      input: {query: string, referenceAnswer: string, entryId: string},
+	 *      output: {generatedResponse: string, sourceDocids: string[], contexts: string[]},
+	 *      metricValues: {[metric: string]: number}
+	 *  }]
+	 * }>} - an EvalRunDetails object or raises an HTTPError on failure. Use
+	 *  exportEvalrunDetails to write the entries as flat CSV or JSONL rows.
+	 * @throws {ForesightError} - An error from the API request.
 	 */
 	async getEvalrunDetails({
 		experimentId,
 		sortBy = "input.query",
 		limit = 100,
+		offset = 0,
+		timeoutMs = null,
 	}) {
 		try {
 			const params = { experiment_id: experimentId };
@@ -412,17 +1632,360 @@ class Foresight {
 			if (limit !== null && sortBy !== null) {
 				params.sort_field_name = sortBy;
 				params.limit = limit.toString();
+				if (offset) params.offset = offset.toString();
 			}
 
 			return await this._makeRequest({
 				method: "get",
 				endpoint: "/api/eval/run/details",
 				params,
+				timeoutMs,
+			});
+		} catch (error) {
+			this.logging.debug("getEvalrunDetails failed.", {
+				method: "getEvalrunDetails",
+				experimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Computes statistics for every metric of an evaluation run, see summarizeEvalrun.
+	 * All entries of the run are fetched, page by page.
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 *  @param {number?} params.numBins - The number of histogram bins.
+	 *  @param {number?} params.worstN - The number of worst entries to return per metric.
+	 * @returns {Promise<object>} - The statistics by metric.
+	 * @throws {ForesightValidationError} - If numBins is not a positive integer.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async getEvalrunStats({ experimentId, numBins = 10, worstN = 5 }) {
+		try {
+			const details = await this._getAllEvalrunDetails({ experimentId });
+			return summarizeEvalrun(details, { numBins, worstN });
+		} catch (error) {
+			this.logging.debug("getEvalrunStats failed.", {
+				method: "getEvalrunStats",
+				experimentId,
+				error: error.message,
 			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Writes all entries of an evaluation run as flat CSV or JSONL rows with the query,
+	 * reference answer, generated response, contexts and each metric value, see
+	 * flattenEvalrunDetails.
+	 * @example
+	 * await foresight.exportEvalrunDetails({
+	 *   experimentId: "my-llm-v2",
+	 *   format: "csv",
+	 *   path: "my-llm-v2.csv",
+	 * });
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 *  @param {string?} params.format - "csv" or "jsonl".
+	 *  @param {string?} params.path - The path of the file to write.
+	 *  @param {import("stream").Writable?} params.stream - A stream to write to instead of a
+	 *    file, e.g. process.stdout. The stream is not ended.
+	 * @returns {Promise<{numEntries: number}>} - The number of entries written.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async exportEvalrunDetails({
+		experimentId,
+		format = "csv",
+		path = null,
+		stream = null,
+	}) {
+		try {
+			const details = await this._getAllEvalrunDetails({ experimentId });
+			return await writeEvalrunDetails(details, { format, path, stream });
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("getEvalrunDetails:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.debug("exportEvalrunDetails failed.", {
+				method: "exportEvalrunDetails",
+				experimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Renders a standalone Markdown or HTML report of an evaluation run, with the
+	 * statistics of every metric and its worst entries, e.g. to attach to a pull request.
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 *  @param {string?} params.format - "markdown" or "html".
+	 *  @param {number?} params.worstN - The number of worst entries to show per metric.
+	 * @returns {Promise<string>} - The report.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async getEvalrunReport({ experimentId, format = "markdown", worstN = 5 }) {
+		try {
+			const details = await this._getAllEvalrunDetails({ experimentId });
+			return renderEvalrunReport(details, { format, worstN });
+		} catch (error) {
+			this.logging.debug("getEvalrunReport failed.", {
+				method: "getEvalrunReport",
+				experimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Fetches all entries of an evaluation run, page by page.
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 * @returns {Promise<{experimentId: string, entries: object[]}>} - The EvalRunDetails with all entries.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async _getAllEvalrunDetails({ experimentId }) {
+		const entries = [];
+		for await (const entry of this.iterEvalrunDetails({ experimentId }))
+			entries.push(entry);
+
+		return { experimentId, entries };
+	}
+
+	/** Compares two evaluation runs, e.g. of two model versions on the same evalset,
+	 * see compareEvalrunDetails.
+	 * @example
+	 * const comparison = await foresight.compareEvalruns({
+	 *   baselineExperimentId: "my-llm-v1",
+	 *   candidateExperimentId: "my-llm-v2",
+	 * });
+	 * if (!comparison.passed) process.exit(1);
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.baselineExperimentId - String identifier of the baseline evaluation run.
+	 *  @param {string} params.candidateExperimentId - String identifier of the candidate evaluation run.
+	 *  @param {string?} params.matchBy - How entries of both runs are matched: "entryId" or "query".
+	 *  @param {number?} params.threshold - How much an entry's metric value has to change to count as
+	 *    improved or regressed.
+	 *  @param {number?} params.alpha - The significance level of the paired t-test.
+	 * @returns {Promise<object>} - The comparison by metric, with `passed` set to false if a
+	 *  metric got significantly worse.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async compareEvalruns({
+		baselineExperimentId,
+		candidateExperimentId,
+		matchBy = "entryId",
+		threshold = 0.05,
+		alpha = 0.05,
+	}) {
+		try {
+			const [baseline, candidate] = await Promise.all([
+				this._getAllEvalrunDetails({
+					experimentId: baselineExperimentId,
+				}),
+				this._getAllEvalrunDetails({
+					experimentId: candidateExperimentId,
+				}),
+			]);
+
+			return compareEvalrunDetails(baseline, candidate, {
+				matchBy,
+				threshold,
+				alpha,
+			});
+		} catch (error) {
+			this.logging.debug("compareEvalruns failed.", {
+				method: "compareEvalruns",
+				experimentId: candidateExperimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Waits until the metrics of an evaluation run are computed.
+	 * Metrics are computed asynchronously on the server after createEvalrun or
+	 * generateAnswersAndRunEval. The run is polled until every entry with a generated
+	 * response has a value for every metric. Entries without one, e.g. those skipped or
+	 * recorded by the `onError` policy of generateAnswersAndRunEval, are never scored and
+	 * are not waited for. The poll interval doubles, up to `maxPollIntervalMs`, while no
+	 * new entries get scored.
+	 * @example
+	 * const details = await foresight.waitForEvalrun({
+	 *   experimentId: "my-llm-v2",
+	 *   onProgress: ({ scored, total }) => console.log(`${scored}/${total} scored`),
+	 * });
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 *  @param {string[]?} params.metrics - The metrics to wait for. Defaults to every metric
+	 *    found in the entries of the run.
+	 *  @param {number?} params.timeoutMs - How long to wait in milliseconds.
+	 *  @param {number?} params.pollIntervalMs - How long to wait after the first check in milliseconds.
+	 *  @param {number?} params.maxPollIntervalMs - The longest wait between two checks in milliseconds.
+	 *  @param {function?} params.onProgress - Called after every check with
+	 *    `{experimentId, scored, total, unscorable, elapsedMs}`, where `total` leaves out
+	 *    the `unscorable` entries without a generated response.
+	 *  @param {AbortSignal?} params.signal - Cancels the wait.
+	 * @returns {Promise<{experimentId: string, entries: object[]}>} - The EvalRunDetails with all entries.
+	 * @throws {ForesightTimeoutError} - If the metrics are not computed in time.
+	 * @throws {ForesightAbortError} - If the wait is cancelled through `signal`.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async waitForEvalrun({
+		experimentId,
+		metrics = null,
+		timeoutMs = METRICS_TIMEOUT_MS,
+		pollIntervalMs = METRICS_POLL_INTERVAL_MS,
+		maxPollIntervalMs = METRICS_MAX_POLL_INTERVAL_MS,
+		onProgress = null,
+		signal = null,
+	}) {
+		try {
+			const startTime = Date.now();
+			const deadline = startTime + timeoutMs;
+			const throwIfAborted = () => {
+				if (signal && signal.aborted) {
+					throw new ForesightAbortError(
+						`Waiting for ${experimentId} was aborted.`,
+						{ cause: signal.reason }
+					);
+				}
+			};
+			let delayMs = pollIntervalMs;
+			let lastScored = 0;
+
+			for (;;) {
+				throwIfAborted();
+				const details = await this._getAllEvalrunDetails({
+					experimentId,
+				});
+				throwIfAborted();
+
+				const metricNames = metrics || [
+					...new Set(
+						details.entries.flatMap((entry) =>
+							Object.keys(entry.metricValues || {})
+						)
+					),
+				];
+				const isScored = (entry) =>
+					metricNames.length > 0 &&
+					metricNames.every(
+						(metric) =>
+							typeof (entry.metricValues || {})[metric] ===
+							"number"
+					);
+				// Entries without a generated response, e.g. skipped or failed ones,
+				// are never scored.
+				const unscorable = details.entries.filter(
+					(entry) =>
+						!isScored(entry) &&
+						!(entry.output && entry.output.generatedResponse)
+				).length;
+				const total = details.entries.length - unscorable;
+				const scored = details.entries.filter(isScored).length;
+				if (onProgress) {
+					onProgress({
+						experimentId,
+						scored,
+						total,
+						unscorable,
+						elapsedMs: Date.now() - startTime,
+					});
+				}
+				if (details.entries.length > 0 && scored === total)
+					return details;
+
+				const remainingMs = deadline - Date.now();
+				if (remainingMs <= 0) {
+					throw new ForesightTimeoutError(
+						`Metrics of ${experimentId} were not computed within ${timeoutMs} ms ` +
+							`(${scored} of ${total} entries scored).`
+					);
+				}
+
+				// Poll quickly again while entries are getting scored.
+				delayMs =
+					scored > lastScored
+						? pollIntervalMs
+						: Math.min(delayMs * 2, maxPollIntervalMs);
+				lastScored = scored;
+				await sleep(Math.min(delayMs, remainingMs), signal);
+			}
+		} catch (error) {
+			this.logging.debug("waitForEvalrun failed.", {
+				method: "waitForEvalrun",
+				experimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
+		}
+	}
+
+	/** Checks that an evaluation run meets metric thresholds, e.g. as a quality gate in CI.
+	 * Waits until the metrics are computed (see waitForEvalrun), then checks aggregate statistics and, with
+	 * `entry`, the value of every entry, see evaluateThresholds. Use toJUnitXml and
+	 * toMarkdown to turn the result into reports.
+	 * @example
+	 * await foresight.assertEvalrun({
+	 *   experimentId: "my-llm-v2",
+	 *   thresholds: { GROUNDEDNESS: { mean: 0.8, entry: 0.3, maxFailingEntries: 2 } },
+	 * });
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 *  @param {object} params.thresholds - The thresholds by metric, see evaluateThresholds.
+	 *  @param {boolean?} params.failOnMissing - Fails the gate if an entry has no value for a
+	 *    metric of the thresholds, e.g. because it was skipped. Such entries are only reported
+	 *    in `missingEntries` otherwise.
+	 *  @param {number?} params.timeoutMs - How long to wait for the metrics in milliseconds.
+	 *  @param {number?} params.pollIntervalMs - How long to wait after the first check of the
+	 *    metrics in milliseconds.
+	 *  @param {function?} params.onProgress - Called after every check of the metrics, see waitForEvalrun.
+	 *  @param {AbortSignal?} params.signal - Cancels the wait for the metrics.
+	 * @returns {Promise<object>} - The result of the threshold checks, if all of them passed.
+	 * @throws {ForesightThresholdError} - If a check failed, with the result in `error.result`.
+	 * @throws {ForesightTimeoutError} - If the metrics are not computed in time.
+	 * @throws {ForesightAbortError} - If the wait is cancelled through `signal`.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	async assertEvalrun({
+		experimentId,
+		thresholds,
+		failOnMissing = false,
+		timeoutMs = METRICS_TIMEOUT_MS,
+		pollIntervalMs = METRICS_POLL_INTERVAL_MS,
+		onProgress = null,
+		signal = null,
+	}) {
+		try {
+			validateThresholds(thresholds);
+
+			const details = await this.waitForEvalrun({
+				experimentId,
+				metrics: Object.keys(thresholds),
+				timeoutMs,
+				pollIntervalMs,
+				onProgress,
+				signal,
+			});
+			const result = evaluateThresholds(details, thresholds, {
+				failOnMissing,
+			});
+			if (result.passed) return result;
+
+			const failures = result.checks
+				.filter(({ passed }) => !passed)
+				.map(describeCheck);
+			throw new ForesightThresholdError(
+				`Eval run ${experimentId} failed ${failures.length} of ${
+					result.checks.length
+				} threshold checks: ${failures.join("; ")}.`,
+				result
+			);
+		} catch (error) {
+			this.logging.debug("assertEvalrun failed.", {
+				method: "assertEvalrun",
+				experimentId,
+				error: error.message,
+			});
+			throw toForesightError(error);
 		}
 	}
 
@@ -437,8 +2000,9 @@ class Foresight {
 	 *  @param {boolean?} params.sortAscending - Whether to sort in ascending order.
 	 *  @param {number?} params.limit - The maximum number of entries to return.
 	 *  @param {number?} params.offset - The offset of the entries to return.
-	 * @returns {Promise<any>} - an EvalRunDetails object or raises an HTTPError on failure.
-	 * @throws {Error} - An error from the API request.
+	 *  @param {number?} params.timeoutMs - The timeout of the request in milliseconds, defaults to the client's `timeoutMs`.
+	 * @returns {Promise<object[]>} - The list of eval run summaries.
+	 * @throws {ForesightError} - An error from the API request.
 	 */
 	async getEvalrunSummaries({
 		evalsetId,
@@ -447,6 +2011,7 @@ class Foresight {
 		sortAscending = false,
 		limit = 50,
 		offset = 0,
+		timeoutMs = null,
 	} = {}) {
 		try {
 			const params = {};
@@ -467,13 +2032,121 @@ class Foresight {
 				method: "get",
 				endpoint: "/api/eval/run/summaries",
 				params,
+				timeoutMs,
 			});
 		} catch (error) {
-			const errorResponse = error.message;
-			this.logging.error("getEvalrunSummaries:error:", errorResponse);
-			throw new Error(errorResponse);
+			this.logging.debug("getEvalrunSummaries failed.", {
+				method: "getEvalrunSummaries",
+				error: error.message,
+			});
+			throw toForesightError(error);
 		}
 	}
+
+	/** Yields the items of a paginated endpoint, fetching one page at a time.
+	 * The API may return fewer items than asked for, so only an empty page ends the items,
+	 * and the next page starts after the items received.
+	 * @param {object} params - The parameters object.
+	 *  @param {function} params.fetchPage - An async function called with ({limit, offset})
+	 *    that returns the items of a page.
+	 *  @param {number} params.pageSize - The number of items to request per page.
+	 *  @param {number?} params.maxItems - The max number of items to yield. No limit if null.
+	 * @returns {AsyncGenerator<any>}
+	 */
+	async *_paginate({ fetchPage, pageSize, maxItems }) {
+		let numYielded = 0;
+
+		for (let offset = 0; ;) {
+			const limit =
+				maxItems !== null
+					? Math.min(pageSize, maxItems - numYielded)
+					: pageSize;
+			if (limit <= 0) return;
+
+			const items = await fetchPage({ limit, offset });
+			if (items.length === 0) return;
+
+			for (const item of items) {
+				yield item;
+				numYielded++;
+			}
+			offset += items.length;
+		}
+	}
+
+	/** Iterates over the entries of an evaluation run, fetching them page by page.
+	 * @example
+	 * for await (const entry of foresight.iterEvalrunDetails({ experimentId })) {
+	 *   console.log(entry.input.query, entry.metricValues);
+	 * }
+	 * @param {object} params - The parameters object.
+	 *  @param {string} params.experimentId - String identifier of the evaluation run.
+	 *  @param {string?} params.sortBy - The field to sort by.
+	 *  @param {number?} params.pageSize - The number of entries to fetch per request.
+	 *  @param {number?} params.maxItems - The max number of entries to return. No limit if null.
+	 * @returns {AsyncGenerator<any>} - The entries of the EvalRunDetails.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	iterEvalrunDetails({
+		experimentId,
+		sortBy = "input.query",
+		pageSize = 100,
+		maxItems = null,
+	}) {
+		return this._paginate({
+			fetchPage: async ({ limit, offset }) => {
+				const details = await this.getEvalrunDetails({
+					experimentId,
+					sortBy,
+					limit,
+					offset,
+				});
+				return (details && details.entries) || [];
+			},
+			pageSize,
+			maxItems,
+		});
+	}
+
+	/** Iterates over the summaries of evaluation runs, fetching them page by page.
+	 * @example
+	 * for await (const summary of foresight.iterEvalrunSummaries({ evalsetId })) {
+	 *   console.log(summary.experimentId);
+	 * }
+	 * @param {object} params - The parameters object.
+	 *  @param {string?} params.evalsetId - String identifier of the evaluation set.
+	 *  @param {string?} params.experimentIdContains - To search by String identifier of the evaluation run.
+	 *  @param {string?} params.sortBy - The field to sort by, see getEvalrunSummaries.
+	 *  @param {boolean?} params.sortAscending - Whether to sort in ascending order.
+	 *  @param {number?} params.pageSize - The number of summaries to fetch per request.
+	 *  @param {number?} params.maxItems - The max number of summaries to return. No limit if null.
+	 * @returns {AsyncGenerator<any>} - The eval run summaries.
+	 * @throws {ForesightError} - An error from the API request.
+	 */
+	iterEvalrunSummaries({
+		evalsetId,
+		experimentIdContains,
+		sortBy = "creation_time",
+		sortAscending = false,
+		pageSize = 50,
+		maxItems = null,
+	} = {}) {
+		return this._paginate({
+			fetchPage: async ({ limit, offset }) => {
+				const summaries = await this.getEvalrunSummaries({
+					evalsetId,
+					experimentIdContains,
+					sortBy,
+					sortAscending,
+					limit,
+					offset,
+				});
+				return summaries || [];
+			},
+			pageSize,
+			maxItems,
+		});
+	}
 }
 
 export default Foresight;
@@ -0,0 +1,273 @@
+"use strict";
+
+import { ForesightValidationError } from "./errors.js";
+import { mean } from "./stats.js";
+
+const MATCH_BY = ["entryId", "query"];
+
+/** Computes the natural logarithm of the gamma function (Lanczos approximation).
+ * @param {number} x - A positive number.
+ * @returns {number}
+ */
+const logGamma = (x) => {
+	const coefficients = [
+		76.18009172947146, -86.50532032941678, 24.01409824083091,
+		-1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+	];
+	let series = 1.00000000019001;
+	coefficients.forEach((c, i) => {
+		series += c / (x + i + 1);
+	});
+	const tmp = x + 5.5;
+	return (
+		(x + 0.5) * Math.log(tmp) -
+		tmp +
+		Math.log((Math.sqrt(2 * Math.PI) * series) / x)
+	);
+};
+
+/** Evaluates the continued fraction of the incomplete beta function
+ * (modified Lentz's method).
+ * @param {number} x - The upper limit of integration, between 0 and 1.
+ * @param {number} a - The first shape parameter.
+ * @param {number} b - The second shape parameter.
+ * @returns {number}
+ */
+const betaContinuedFraction = (x, a, b) => {
+	const tiny = 1e-30;
+	let c = 1;
+	let d = 1 - ((a + b) * x) / (a + 1);
+	if (Math.abs(d) < tiny) d = tiny;
+	d = 1 / d;
+	let result = d;
+
+	for (let m = 1; m <= 200; m++) {
+		const m2 = 2 * m;
+		for (const numerator of [
+			(m * (b - m) * x) / ((a + m2 - 1) * (a + m2)),
+			(-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1)),
+		]) {
+			d = 1 + numerator * d;
+			if (Math.abs(d) < tiny) d = tiny;
+			c = 1 + numerator / c;
+			if (Math.abs(c) < tiny) c = tiny;
+			d = 1 / d;
+			result *= d * c;
+		}
+		if (Math.abs(d * c - 1) < 1e-12) break;
+	}
+
+	return result;
+};
+
+/** Computes the regularized incomplete beta function I_x(a, b).
+ * @param {number} x - The upper limit of integration, between 0 and 1.
+ * @param {number} a - The first shape parameter.
+ * @param {number} b - The second shape parameter.
+ * @returns {number}
+ */
+const incompleteBeta = (x, a, b) => {
+	if (x <= 0) return 0;
+	if (x >= 1) return 1;
+
+	const front = Math.exp(
+		logGamma(a + b) -
+			logGamma(a) -
+			logGamma(b) +
+			a * Math.log(x) +
+			b * Math.log(1 - x)
+	);
+	// The continued fraction converges fast only on one side of the mean.
+	return x < (a + 1) / (a + b + 2)
+		? (front * betaContinuedFraction(x, a, b)) / a
+		: 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+/** Runs a two-sided paired t-test on differences between paired values.
+ * @param {number[]} differences - The differences of the pairs.
+ * @returns {{t: number|null, pValue: number|null}} - The t statistic and p-value,
+ *  or nulls if there are fewer than two pairs.
+ */
+export const pairedTTest = (differences) => {
+	const n = differences.length;
+	if (n < 2) return { t: null, pValue: null };
+
+	const meanDifference = mean(differences);
+	const variance =
+		differences.reduce((total, d) => total + (d - meanDifference) ** 2, 0) /
+		(n - 1);
+
+	if (variance === 0) {
+		return meanDifference === 0
+			? { t: 0, pValue: 1 }
+			: { t: meanDifference > 0 ? Infinity : -Infinity, pValue: 0 };
+	}
+
+	const t = meanDifference / Math.sqrt(variance / n);
+	const df = n - 1;
+	return { t, pValue: incompleteBeta(df / (df + t * t), df / 2, 0.5) };
+};
+
+/** Gets the key an entry is matched on.
+ * @param {object} entry - An eval run entry.
+ * @param {string} matchBy - "entryId" or "query".
+ * @returns {string|undefined}
+ */
+const getEntryKey = (entry, matchBy) =>
+	entry.input &&
+	(matchBy === "entryId" ? entry.input.entryId : entry.input.query);
+
+/** Indexes the entries of an eval run by their key.
+ * @param {object[]} entries - The eval run entries.
+ * @param {string} matchBy - "entryId" or "query".
+ * @returns {Map<string, object>}
+ */
+const indexEntries = (entries, matchBy) => {
+	const keyToEntry = new Map();
+	for (const entry of entries) {
+		const key = getEntryKey(entry, matchBy);
+		if (key != null && !keyToEntry.has(key)) keyToEntry.set(key, entry);
+	}
+	return keyToEntry;
+};
+
+/** Compares the metrics of two eval runs, entry by entry.
+ * Higher metric values are considered better.
+ * @param {object} baseline - The EvalRunDetails of the baseline run.
+ * @param {object} candidate - The EvalRunDetails of the candidate run.
+ * @param {object} [options] - The options object.
+ *  @param {string?} options.matchBy - How entries of both runs are matched: "entryId" or "query".
+ *  @param {number?} options.threshold - How much an entry's metric value has to change to count as
+ *    improved or regressed.
+ *  @param {number?} options.alpha - The significance level of the paired t-test.
+ * @returns {{
+ *  baselineExperimentId: string|null,
+ *  candidateExperimentId: string|null,
+ *  numMatched: number,
+ *  unmatchedBaseline: string[],
+ *  unmatchedCandidate: string[],
+ *  unmatchedMetrics: string[],
+ *  metrics: {[metric: string]: {
+ *      numPairs: number,
+ *      baselineMean: number|null,
+ *      candidateMean: number|null,
+ *      delta: number|null,
+ *      improved: {key: string, query: string, baseline: number, candidate: number, delta: number}[],
+ *      regressed: {key: string, query: string, baseline: number, candidate: number, delta: number}[],
+ *      t: number|null,
+ *      pValue: number|null,
+ *      significant: boolean,
+ *      regression: boolean
+ *  }},
+ *  passed: boolean
+ * }} - The comparison by metric, for the metrics of both runs. The metrics of only one of
+ *  them are listed in `unmatchedMetrics`. A metric is a `regression` if its mean went down
+ *  significantly, and the comparison has `passed` if no metric is a regression. It has not
+ *  `passed` if no entries or metrics matched, or if a metric has no pair of values to compare.
+ * @throws {ForesightValidationError} - If matchBy is invalid.
+ */
+export const compareEvalrunDetails = (
+	baseline,
+	candidate,
+	{ matchBy = "entryId", threshold = 0.05, alpha = 0.05 } = {}
+) => {
+	if (!MATCH_BY.includes(matchBy))
+		throw new ForesightValidationError(
+			`matchBy must be one of ${MATCH_BY.join(", ")}.`
+		);
+
+	const baselineEntries = indexEntries(baseline.entries || [], matchBy);
+	const candidateEntries = indexEntries(candidate.entries || [], matchBy);
+	const matchedKeys = [...baselineEntries.keys()].filter((key) =>
+		candidateEntries.has(key)
+	);
+
+	const getMetricNames = (keyToEntry) => {
+		const names = new Set();
+		for (const key of matchedKeys)
+			Object.keys(keyToEntry.get(key).metricValues || {}).forEach(
+				(metric) => names.add(metric)
+			);
+		return names;
+	};
+	const baselineMetricNames = getMetricNames(baselineEntries);
+	const candidateMetricNames = getMetricNames(candidateEntries);
+	// Only metrics of both runs are compared, e.g. a metric added to the candidate
+	// has nothing to be compared with.
+	const metricNames = [...baselineMetricNames].filter((metric) =>
+		candidateMetricNames.has(metric)
+	);
+	const unmatchedMetrics = [
+		...baselineMetricNames,
+		...candidateMetricNames,
+	].filter(
+		(metric, index, names) =>
+			!metricNames.includes(metric) && names.indexOf(metric) === index
+	);
+
+	const metrics = {};
+	for (const metric of metricNames) {
+		const pairs = [];
+		for (const key of matchedKeys) {
+			const baselineEntry = baselineEntries.get(key);
+			const baselineValue = (baselineEntry.metricValues || {})[metric];
+			const candidateValue = (candidateEntries.get(key).metricValues ||
+				{})[metric];
+			if (typeof baselineValue !== "number") continue;
+			if (typeof candidateValue !== "number") continue;
+
+			pairs.push({
+				key,
+				query: baselineEntry.input.query,
+				baseline: baselineValue,
+				candidate: candidateValue,
+				delta: candidateValue - baselineValue,
+			});
+		}
+
+		const baselineMean = mean(pairs.map((pair) => pair.baseline));
+		const candidateMean = mean(pairs.map((pair) => pair.candidate));
+		const delta =
+			baselineMean === null ? null : candidateMean - baselineMean;
+		const { t, pValue } = pairedTTest(pairs.map((pair) => pair.delta));
+		const significant = pValue !== null && pValue < alpha;
+
+		metrics[metric] = {
+			numPairs: pairs.length,
+			baselineMean,
+			candidateMean,
+			delta,
+			improved: pairs
+				.filter((pair) => pair.delta > threshold)
+				.sort((a, b) => b.delta - a.delta),
+			regressed: pairs
+				.filter((pair) => pair.delta < -threshold)
+				.sort((a, b) => a.delta - b.delta),
+			t,
+			pValue,
+			significant,
+			regression: significant && delta < 0,
+		};
+	}
+
+	return {
+		baselineExperimentId: baseline.experimentId || null,
+		candidateExperimentId: candidate.experimentId || null,
+		numMatched: matchedKeys.length,
+		unmatchedBaseline: [...baselineEntries.keys()].filter(
+			(key) => !candidateEntries.has(key)
+		),
+		unmatchedCandidate: [...candidateEntries.keys()].filter(
+			(key) => !baselineEntries.has(key)
+		),
+		metrics,
+		unmatchedMetrics,
+		// Nothing compared is no evidence of passing, e.g. when entry ids are missing.
+		passed:
+			matchedKeys.length > 0 &&
+			metricNames.length > 0 &&
+			Object.values(metrics).every(
+				({ numPairs, regression }) => numPairs > 0 && !regression
+			),
+	};
+};
@@ -0,0 +1,235 @@
+"use strict";
+
+/** The base class of all errors thrown by the foresight client.
+ * @class ForesightError
+ */
+export class ForesightError extends Error {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {object} [details] - The details of the failed request.
+	 *  @param {number?} details.status - The HTTP status of the response, if any.
+	 *  @param {string?} details.endpoint - The API endpoint that was called.
+	 *  @param {string?} details.serverMessage - The error message sent by the server.
+	 *  @param {any} details.responseData - The raw body of the error response.
+	 *  @param {Error?} details.cause - The original error.
+	 * */
+	constructor(
+		message,
+		{
+			status = null,
+			endpoint = null,
+			serverMessage = null,
+			responseData = null,
+			cause = null,
+		} = {}
+	) {
+		super(message);
+		// Names are set explicitly because class names do not survive minification.
+		this.name = "ForesightError";
+		this.status = status;
+		this.endpoint = endpoint;
+		this.serverMessage = serverMessage;
+		this.responseData = responseData;
+		this.cause = cause;
+	}
+}
+
+/** The API token is missing, invalid or not allowed to access the resource (401/403). */
+export class ForesightAuthError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightAuthError";
+	}
+}
+
+/** The requested evalset or eval run does not exist (404). */
+export class ForesightNotFoundError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightNotFoundError";
+	}
+}
+
+/** The request was rejected as invalid, by the server (4xx) or before it was sent. */
+export class ForesightValidationError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightValidationError";
+	}
+}
+
+/** Too many requests were sent (429). */
+export class ForesightRateLimitError extends ForesightError {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {object} [details] - The details of the failed request, see ForesightError.
+	 *  @param {number?} details.retryAfterMs - How long the server asked to wait before retrying.
+	 * */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.name = "ForesightRateLimitError";
+		this.retryAfterMs =
+			details.retryAfterMs != null ? details.retryAfterMs : null;
+	}
+}
+
+/** The server failed to handle the request (5xx). */
+export class ForesightServerError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightServerError";
+	}
+}
+
+/** The server could not be reached or did not answer in time. */
+export class ForesightNetworkError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightNetworkError";
+	}
+}
+
+/** The metrics of an eval run were not computed in time. */
+export class ForesightTimeoutError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightTimeoutError";
+	}
+}
+
+/** Waiting was cancelled through an AbortSignal, or a streamed response was aborted. */
+export class ForesightAbortError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightAbortError";
+	}
+}
+
+/** An eval run did not meet its metric thresholds, see assertEvalrun. */
+export class ForesightThresholdError extends ForesightError {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {object} result - The result of the threshold checks, see evaluateThresholds.
+	 * */
+	constructor(message, result) {
+		super(message);
+		this.name = "ForesightThresholdError";
+		this.result = result;
+	}
+}
+
+/** A response of the API does not have the expected shape, see the `validateResponses` option. */
+export class ForesightResponseError extends ForesightError {
+	constructor(message, details) {
+		super(message, details);
+		this.name = "ForesightResponseError";
+	}
+}
+
+/** A request does not match the recorded requests of a cassette in replay mode, see Cassette. */
+export class ForesightCassetteError extends ForesightError {
+	/**
+	 * @param {string} message - The error message, with a diff of the requests.
+	 * @param {object} details - The details of the mismatch.
+	 *  @param {string} details.endpoint - The API endpoint that was called.
+	 *  @param {object} details.actual - The request that was made.
+	 *  @param {object?} details.expected - The closest recorded request, if any is left.
+	 * */
+	constructor(message, { endpoint, actual, expected = null }) {
+		super(message, { endpoint });
+		this.name = "ForesightCassetteError";
+		this.actual = actual;
+		this.expected = expected;
+	}
+}
+
+/** Extracts a readable message from the body of an error response.
+ * @param {any} data - The response body.
+ * @returns {string|null} - The message, or null if none was found.
+ */
+const getServerMessage = (data) => {
+	if (data == null || data === "") return null;
+	if (typeof data === "string") return data;
+
+	// The gateway reports errors as {detail: string} or, for invalid
+	// payloads, as {detail: [{loc: [...], msg: string}]}.
+	const detail = [data.detail, data.message, data.error].find(
+		(value) => value != null
+	);
+	if (typeof detail === "string") return detail;
+	if (Array.isArray(detail)) {
+		return detail
+			.map((item) =>
+				item && item.msg
+					? `${(item.loc || []).join(".")}: ${item.msg}`
+					: JSON.stringify(item)
+			)
+			.join("; ");
+	}
+
+	return JSON.stringify(data);
+};
+
+/** Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|undefined} value - The header value.
+ * @returns {number|null} - The delay in milliseconds, or null if there is none.
+ */
+export const parseRetryAfter = (value) => {
+	if (value == null || value === "") return null;
+
+	const seconds = Number(value);
+	if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+	const date = Date.parse(value);
+	if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+	return null;
+};
+
+/** Converts an error thrown by axios into the matching ForesightError.
+ * @param {Error} error - The axios error.
+ * @param {string} endpoint - The API endpoint that was called.
+ * @returns {ForesightError} - The converted error.
+ */
+export const fromAxiosError = (error, endpoint) => {
+	if (!error.response) {
+		return new ForesightNetworkError(
+			`Request to ${endpoint} failed: ${error.message}`,
+			{ endpoint, cause: error }
+		);
+	}
+
+	const { status, statusText, data, headers } = error.response;
+	const serverMessage = getServerMessage(data);
+	const message = `Request to ${endpoint} failed with status ${status}: ${
+		serverMessage || statusText || error.message
+	}`;
+	const details = {
+		status,
+		endpoint,
+		serverMessage,
+		responseData: data,
+		cause: error,
+	};
+
+	if (status === 401 || status === 403)
+		return new ForesightAuthError(message, details);
+	if (status === 404) return new ForesightNotFoundError(message, details);
+	if (status === 429) {
+		return new ForesightRateLimitError(message, {
+			...details,
+			retryAfterMs: parseRetryAfter(headers && headers["retry-after"]),
+		});
+	}
+	if (status >= 500) return new ForesightServerError(message, details);
+	return new ForesightValidationError(message, details);
+};
+
+/** Returns the error itself if it is a ForesightError, or wraps it in one.
+ * @param {Error} error - The error to convert.
+ * @returns {ForesightError} - The converted error.
+ */
+export const toForesightError = (error) =>
+	error instanceof ForesightError
+		? error
+		: new ForesightError(error.message, { cause: error });
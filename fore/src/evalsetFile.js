@@ -0,0 +1,324 @@
+"use strict";
+
+import { v4 as uuidv4 } from "uuid";
+import { ForesightValidationError } from "./errors.js";
+
+const FORMATS = ["csv", "jsonl", "json"];
+const DEFAULT_COLUMN_MAPPING = {
+	query: "query",
+	referenceAnswer: "reference_answer",
+	entryId: "entry_id",
+};
+const MAX_ERRORS_IN_MESSAGE = 10;
+
+/** Guesses the format of a file from its extension.
+ * @param {string} path - The path of the file.
+ * @returns {string|null} - "csv", "jsonl", "json" or null if unknown.
+ */
+const guessFormat = (path) => {
+	const extension = path.split(".").pop().toLowerCase();
+	if (extension === "ndjson") return "jsonl";
+	return FORMATS.includes(extension) ? extension : null;
+};
+
+/** Reads a text file line by line without loading it into memory.
+ * @param {string} path - The path of the file.
+ * @returns {AsyncGenerator<{line: string, lineNumber: number}>}
+ */
+async function* readLines(path) {
+	// Node-only modules, loaded on first use.
+	const [{ default: fs }, { default: readline }] = await Promise.all([
+		import("fs"),
+		import("readline"),
+	]);
+	const lines = readline.createInterface({
+		input: fs.createReadStream(path, { encoding: "utf8" }),
+		crlfDelay: Infinity,
+	});
+	let lineNumber = 0;
+	for await (const line of lines) {
+		lineNumber++;
+		// Spreadsheet exports often start with a byte order mark.
+		yield {
+			line: lineNumber === 1 ? line.replace(/^\uFEFF/, "") : line,
+			lineNumber,
+		};
+	}
+}
+
+/** Splits a CSV record into fields. Fields may be quoted with `"`, and
+ * quotes inside quoted fields are doubled.
+ * @param {string} text - The record.
+ * @returns {string[]|null} - The fields, or null if a quoted field is not
+ *  closed yet, i.e. the record continues on the next line.
+ */
+const parseCsvRecord = (text) => {
+	const fields = [];
+	let field = "";
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ",") {
+			fields.push(field);
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	return inQuotes ? null : [...fields, field];
+};
+
+/** Reads the rows of a CSV file with a header row.
+ * @param {string} path - The path of the file.
+ * @returns {AsyncGenerator<{row: number, line: number, record?: object, error?: string}>}
+ */
+async function* readCsvRows(path) {
+	let header = null;
+	let pending = null;
+	let row = 0;
+
+	for await (const { line, lineNumber } of readLines(path)) {
+		// A quoted field can span several lines.
+		const text = pending ? `${pending.text}\n${line}` : line;
+		const startLine = pending ? pending.lineNumber : lineNumber;
+		const fields = parseCsvRecord(text);
+		if (fields === null) {
+			pending = { text, lineNumber: startLine };
+			continue;
+		}
+		pending = null;
+
+		if (!text.trim()) continue;
+		if (!header) {
+			header = fields.map((field) => field.trim());
+			continue;
+		}
+
+		row++;
+		if (fields.length !== header.length) {
+			yield {
+				row,
+				line: startLine,
+				error: `expected ${header.length} columns, got ${fields.length}`,
+			};
+			continue;
+		}
+		yield {
+			row,
+			line: startLine,
+			record: Object.fromEntries(
+				header.map((column, i) => [column, fields[i]])
+			),
+		};
+	}
+
+	if (pending) {
+		yield {
+			row: row + 1,
+			line: pending.lineNumber,
+			error: "quoted field is not closed",
+		};
+	}
+}
+
+/** Reads the rows of a JSONL file, one JSON object per line.
+ * @param {string} path - The path of the file.
+ * @returns {AsyncGenerator<{row: number, line: number, record?: object, error?: string}>}
+ */
+async function* readJsonlRows(path) {
+	let row = 0;
+
+	for await (const { line, lineNumber } of readLines(path)) {
+		if (!line.trim()) continue;
+
+		row++;
+		let record;
+		try {
+			record = JSON.parse(line);
+		} catch (error) {
+			yield { row, line: lineNumber, error: error.message };
+			continue;
+		}
+		yield { row, line: lineNumber, record };
+	}
+}
+
+/** Reads the rows of a JSON file holding an array of objects.
+ * The file is parsed at once, so rows have no line numbers.
+ * @param {string} path - The path of the file.
+ * @returns {AsyncGenerator<{row: number, line: null, record?: object, error?: string}>}
+ */
+async function* readJsonRows(path) {
+	const { default: fs } = await import("fs");
+	let records;
+	try {
+		records = JSON.parse(await fs.promises.readFile(path, "utf8"));
+	} catch (error) {
+		if (!(error instanceof SyntaxError)) throw error;
+		throw new ForesightValidationError(`${path}: ${error.message}`);
+	}
+	if (!Array.isArray(records))
+		throw new ForesightValidationError(
+			`${path}: expected an array of objects.`
+		);
+
+	for (const [index, record] of records.entries())
+		yield { row: index + 1, line: null, record };
+}
+
+/** Formats the location of a row for error messages.
+ * @param {string} path - The path of the file.
+ * @param {{row: number, line: number|null}} location - The row.
+ * @returns {string}
+ */
+const formatLocation = (path, { row, line }) =>
+	line === null ? `${path} entry ${row}` : `${path}:${line}`;
+
+/** Tells whether a cell holds a non-blank value.
+ * @param {any} value - The cell value.
+ * @returns {boolean}
+ */
+const isPresent = (value) =>
+	value !== undefined && value !== null && String(value).trim() !== "";
+
+/** Reads and validates the entries of an evalset file.
+ * CSV and JSONL files are streamed line by line; JSON files are parsed at once.
+ * Every row needs a query. If some rows have a reference answer or an entry id,
+ * all rows need one, and entry ids must be unique. Without an entry id column,
+ * random entry ids are generated.
+ * @param {object} params - The parameters object.
+ *  @param {string} params.path - The path of the file.
+ *  @param {string?} params.format - "csv", "jsonl" or "json". Defaults to the file extension.
+ *  @param {object?} params.columnMapping - The columns (or JSON keys) holding the fields:
+ *    `{query: "query", referenceAnswer: "reference_answer", entryId: "entry_id"}` by default.
+ * @returns {Promise<{query: string, reference_answer: string|null, entry_id: string}[]>} - The
+ *  evalset entries, in the payload format of the API.
+ * @throws {ForesightValidationError} - If the format is unknown or rows are invalid. The
+ *  invalid rows are listed in `error.rowErrors` as `{row, line, message}`.
+ */
+export const readEvalsetFile = async ({
+	path,
+	format = null,
+	columnMapping = {},
+}) => {
+	const fileFormat = format || guessFormat(path);
+	if (!FORMATS.includes(fileFormat)) {
+		throw new ForesightValidationError(
+			`Unknown format of ${path}, set format to one of ${FORMATS.join(", ")}.`
+		);
+	}
+	const columns = { ...DEFAULT_COLUMN_MAPPING, ...columnMapping };
+	const readRows = {
+		csv: readCsvRows,
+		jsonl: readJsonlRows,
+		json: readJsonRows,
+	}[fileFormat];
+
+	const rows = [];
+	const rowErrors = [];
+	const addError = (location, message) =>
+		rowErrors.push({ row: location.row, line: location.line, message });
+
+	for await (const { row, line, record, error } of readRows(path)) {
+		if (error) {
+			addError({ row, line }, error);
+		} else if (
+			!record ||
+			typeof record !== "object" ||
+			Array.isArray(record)
+		) {
+			addError({ row, line }, "expected an object");
+		} else if (!isPresent(record[columns.query])) {
+			addError(
+				{ row, line },
+				`missing query (column "${columns.query}")`
+			);
+		} else {
+			rows.push({ row, line, record });
+		}
+	}
+
+	const hasReferences = rows.some(({ record }) =>
+		isPresent(record[columns.referenceAnswer])
+	);
+	const hasEntryIds = rows.some(({ record }) =>
+		isPresent(record[columns.entryId])
+	);
+	const entryIdToRow = new Map();
+	const entries = [];
+
+	for (const { row, line, record } of rows) {
+		const referenceAnswer = record[columns.referenceAnswer];
+		if (hasReferences && !isPresent(referenceAnswer)) {
+			addError(
+				{ row, line },
+				`empty reference answer (column "${columns.referenceAnswer}")`
+			);
+			continue;
+		}
+
+		let entryId = uuidv4();
+		if (hasEntryIds) {
+			entryId = record[columns.entryId];
+			if (!isPresent(entryId)) {
+				addError(
+					{ row, line },
+					`missing entry id (column "${columns.entryId}")`
+				);
+				continue;
+			}
+			entryId = String(entryId);
+			if (entryIdToRow.has(entryId)) {
+				addError(
+					{ row, line },
+					`duplicate entry id ${entryId}, first used at ${formatLocation(
+						path,
+						entryIdToRow.get(entryId)
+					)}`
+				);
+				continue;
+			}
+			entryIdToRow.set(entryId, { row, line });
+		}
+
+		entries.push({
+			query: String(record[columns.query]),
+			reference_answer: hasReferences ? String(referenceAnswer) : null,
+			entry_id: entryId,
+		});
+	}
+
+	if (rowErrors.length > 0) {
+		rowErrors.sort((a, b) => a.row - b.row);
+		const messages = rowErrors
+			.slice(0, MAX_ERRORS_IN_MESSAGE)
+			.map((error) => `${formatLocation(path, error)}: ${error.message}`);
+		if (rowErrors.length > MAX_ERRORS_IN_MESSAGE)
+			messages.push(
+				`...and ${rowErrors.length - MAX_ERRORS_IN_MESSAGE} more.`
+			);
+
+		const error = new ForesightValidationError(
+			`${rowErrors.length} invalid rows in ${path}:\n${messages.join("\n")}`
+		);
+		error.rowErrors = rowErrors;
+		throw error;
+	}
+	if (entries.length === 0)
+		throw new ForesightValidationError(`${path} has no entries.`);
+
+	return entries;
+};
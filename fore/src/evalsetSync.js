@@ -0,0 +1,109 @@
+"use strict";
+
+import { ForesightValidationError } from "./errors.js";
+
+const MATCH_BY = ["entryId", "query"];
+
+/** Normalizes a missing reference answer to null.
+ * @param {string|null|undefined} referenceAnswer - The reference answer.
+ * @returns {string|null}
+ */
+const normalizeReference = (referenceAnswer) =>
+	referenceAnswer === undefined || referenceAnswer === ""
+		? null
+		: referenceAnswer;
+
+/** Computes the changes that turn an evalset into the desired one.
+ * @example
+ * const diff = diffEvalset(await foresight.getEvalset({ evalsetId }), [
+ *   { entryId: "q1", query: "hardest programming language?", referenceAnswer: "Malbolge" },
+ * ]);
+ * @param {object|object[]} current - The Evalset from getEvalset, or its entries.
+ * @param {{query: string, referenceAnswer: string?, entryId: string?}[]} desired - The desired entries.
+ * @param {object} [options] - The options object.
+ *  @param {string?} options.matchBy - How entries are matched: "entryId" or "query". With "query",
+ *    only reference answers are updated and desired entries need no entry id.
+ * @returns {{
+ *  added: {query: string, referenceAnswer: string|null, entryId: string|null}[],
+ *  updated: {entryId: string, query: string, referenceAnswer: string|null,
+ *    previous: {query: string, referenceAnswer: string|null}}[],
+ *  removed: {entryId: string, query: string, referenceAnswer: string|null}[],
+ *  unchanged: number
+ * }} - The entries to add, update and remove, and the number of entries that stay as they are.
+ * @throws {ForesightValidationError} - If matchBy is invalid, or desired entries lack the key
+ *  they are matched by or share it.
+ */
+export const diffEvalset = (current, desired, { matchBy = "entryId" } = {}) => {
+	if (!MATCH_BY.includes(matchBy))
+		throw new ForesightValidationError(
+			`matchBy must be one of ${MATCH_BY.join(", ")}.`
+		);
+
+	const currentEntries = Array.isArray(current)
+		? current
+		: (current && current.entries) || [];
+	const keyToCurrent = new Map(
+		currentEntries.map((entry) => [entry[matchBy], entry])
+	);
+
+	const desiredKeys = new Set();
+	const added = [];
+	const updated = [];
+	let unchanged = 0;
+
+	desired.forEach((entry, index) => {
+		const key = entry[matchBy];
+		if (key == null || key === "") {
+			throw new ForesightValidationError(
+				`Entry ${index + 1} has no ${matchBy}` +
+					(matchBy === "entryId"
+						? ", give entry ids or set matchBy to query."
+						: ".")
+			);
+		}
+		if (desiredKeys.has(key))
+			throw new ForesightValidationError(
+				`Duplicate ${matchBy} ${key} in the desired entries.`
+			);
+		desiredKeys.add(key);
+
+		const referenceAnswer = normalizeReference(entry.referenceAnswer);
+		const existing = keyToCurrent.get(key);
+		if (!existing) {
+			added.push({
+				query: entry.query,
+				referenceAnswer,
+				entryId: entry.entryId != null ? entry.entryId : null,
+			});
+			return;
+		}
+
+		const previousReference = normalizeReference(existing.referenceAnswer);
+		if (
+			existing.query === entry.query &&
+			previousReference === referenceAnswer
+		) {
+			unchanged++;
+			return;
+		}
+		updated.push({
+			entryId: existing.entryId,
+			query: entry.query,
+			referenceAnswer,
+			previous: {
+				query: existing.query,
+				referenceAnswer: previousReference,
+			},
+		});
+	});
+
+	const removed = currentEntries
+		.filter((entry) => !desiredKeys.has(entry[matchBy]))
+		.map(({ entryId, query, referenceAnswer }) => ({
+			entryId,
+			query,
+			referenceAnswer: normalizeReference(referenceAnswer),
+		}));
+
+	return { added, updated, removed, unchanged };
+};
@@ -0,0 +1,302 @@
+"use strict";
+
+import { ForesightValidationError } from "./errors.js";
+import { summarizeEvalrun } from "./stats.js";
+
+const EXPORT_FORMATS = ["csv", "jsonl"];
+const REPORT_FORMATS = ["markdown", "html"];
+const BASE_COLUMNS = [
+	"entryId",
+	"query",
+	"referenceAnswer",
+	"generatedResponse",
+	"contexts",
+];
+const MAX_REPORT_TEXT_LENGTH = 200;
+
+/** Gets the entries of an EvalRunDetails object or of a list of entries.
+ * @param {object|object[]} details - The details or their entries.
+ * @returns {object[]}
+ */
+const getEntries = (details) =>
+	Array.isArray(details) ? details : (details && details.entries) || [];
+
+/** Flattens the entries of an eval run into rows with one column per field
+ * and per metric.
+ * @param {object|object[]} details - An EvalRunDetails object, e.g. from getEvalrunDetails,
+ *  or a list of its entries.
+ * @returns {{columns: string[], rows: object[]}} - The columns `entryId`, `query`,
+ *  `referenceAnswer`, `generatedResponse`, `contexts` and the metric names, and one row
+ *  per entry. Missing values are null.
+ */
+export const flattenEvalrunDetails = (details) => {
+	const entries = getEntries(details);
+	const metricNames = [
+		...new Set(
+			entries.flatMap((entry) => Object.keys(entry.metricValues || {}))
+		),
+	];
+
+	const rows = entries.map((entry) => {
+		const input = entry.input || {};
+		const output = entry.output || {};
+		const row = {
+			entryId: input.entryId != null ? input.entryId : null,
+			query: input.query != null ? input.query : null,
+			referenceAnswer:
+				input.referenceAnswer != null ? input.referenceAnswer : null,
+			generatedResponse:
+				output.generatedResponse != null
+					? output.generatedResponse
+					: null,
+			contexts: output.contexts || [],
+		};
+		for (const metric of metricNames) {
+			const value = (entry.metricValues || {})[metric];
+			row[metric] = value != null ? value : null;
+		}
+		return row;
+	});
+
+	return { columns: [...BASE_COLUMNS, ...metricNames], rows };
+};
+
+/** Formats a value as a CSV field, quoting it if needed.
+ * @param {any} value - The value. Arrays and objects are written as JSON.
+ * @returns {string}
+ */
+const toCsvField = (value) => {
+	if (value === null || value === undefined) return "";
+	const text =
+		typeof value === "object" ? JSON.stringify(value) : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Writes lines to a stream, waiting whenever its buffer is full.
+ * @param {import("stream").Writable} stream - The stream.
+ * @param {Iterable<string>} lines - The lines, without line breaks.
+ * @returns {Promise<void>}
+ * @throws {Error} - The error of the stream, if it fails while waiting.
+ */
+const writeLines = async (stream, lines) => {
+	for (const line of lines) {
+		if (!stream.write(line + "\n")) {
+			await new Promise((resolve, reject) => {
+				const onDrain = () => {
+					stream.off("error", onError);
+					resolve();
+				};
+				const onError = (error) => {
+					stream.off("drain", onDrain);
+					reject(error);
+				};
+				stream.once("drain", onDrain);
+				stream.once("error", onError);
+			});
+		}
+	}
+};
+
+/** Writes the entries of an eval run as CSV or JSONL, see flattenEvalrunDetails.
+ * In CSV, contexts are written as a JSON array.
+ * @param {object|object[]} details - An EvalRunDetails object or a list of its entries.
+ * @param {object} options - The options object.
+ *  @param {string?} options.format - "csv" or "jsonl".
+ *  @param {string?} options.path - The path of the file to write.
+ *  @param {import("stream").Writable?} options.stream - A stream to write to instead of a
+ *    file. The stream is not ended.
+ * @returns {Promise<{numEntries: number}>} - The number of entries written.
+ * @throws {ForesightValidationError} - If the format is unknown or neither path nor stream is given.
+ */
+export const writeEvalrunDetails = async (
+	details,
+	{ format = "csv", path = null, stream = null } = {}
+) => {
+	if (!EXPORT_FORMATS.includes(format))
+		throw new ForesightValidationError(
+			`format must be one of ${EXPORT_FORMATS.join(", ")}.`
+		);
+	if (!path === !stream)
+		throw new ForesightValidationError("Give either path or stream.");
+
+	const { columns, rows } = flattenEvalrunDetails(details);
+	const lines =
+		format === "csv"
+			? [
+					columns.map(toCsvField).join(","),
+					...rows.map((row) =>
+						columns
+							.map((column) => toCsvField(row[column]))
+							.join(",")
+					),
+				]
+			: rows.map((row) => JSON.stringify(row));
+
+	if (stream) {
+		await writeLines(stream, lines);
+	} else {
+		// Only writing to a path needs Node, so its modules are loaded here.
+		const [{ default: fs }, { pipeline, Readable }, { promisify }] =
+			await Promise.all([import("fs"), import("stream"), import("util")]);
+		await promisify(pipeline)(
+			Readable.from(lines.map((line) => line + "\n")),
+			fs.createWriteStream(path)
+		);
+	}
+
+	return { numEntries: rows.length };
+};
+
+/** Shortens text for a report.
+ * @param {any} value - The text.
+ * @returns {string}
+ */
+const truncate = (value) => {
+	const text = String(value == null ? "" : value).replace(/\s+/g, " ");
+	return text.length > MAX_REPORT_TEXT_LENGTH
+		? `${text.slice(0, MAX_REPORT_TEXT_LENGTH - 1)}…`
+		: text;
+};
+
+/** Formats a statistic for a report.
+ * @param {number|null} value - The statistic.
+ * @returns {string}
+ */
+const formatNumber = (value) =>
+	value === null || value === undefined
+		? "n/a"
+		: String(Math.round(value * 1000) / 1000);
+
+/** Escapes text for HTML.
+ * @param {any} value - The text.
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+	String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+
+/** Escapes text for a Markdown table cell.
+ * @param {any} value - The text.
+ * @returns {string}
+ */
+const escapeMarkdownCell = (value) => String(value).replace(/\|/g, "\\|");
+
+/** Builds the tables of a report as header and body rows, so that they can be
+ * rendered as Markdown or HTML.
+ * @param {object} stats - The result of summarizeEvalrun.
+ * @returns {{title: string, subtitle: string, tables: {heading: string, header: string[], rows: string[][]}[]}}
+ */
+const buildReport = (stats) => {
+	const metrics = Object.entries(stats.metrics);
+	const statNames = ["mean", "median", "p10", "p90", "min", "max"];
+
+	const tables = [
+		{
+			heading: "Metrics",
+			header: ["Metric", "Scored", "Missing", ...statNames],
+			rows: metrics.map(([metric, metricStats]) => [
+				metric,
+				String(metricStats.count),
+				String(metricStats.missing),
+				...statNames.map((name) => formatNumber(metricStats[name])),
+			]),
+		},
+		...metrics.map(([metric, { worst }]) => ({
+			heading: `Worst entries by ${metric}`,
+			header: ["Value", "Query", "Generated response"],
+			rows: worst.map(({ value, entry }) => [
+				formatNumber(value),
+				truncate(entry.input && entry.input.query),
+				truncate(entry.output && entry.output.generatedResponse),
+			]),
+		})),
+	];
+
+	return {
+		title: `Eval run ${stats.experimentId || "report"}`,
+		subtitle: `${stats.numEntries} entries`,
+		tables,
+	};
+};
+
+/** Renders a report as Markdown.
+ * @param {object} report - The result of buildReport.
+ * @returns {string}
+ */
+const renderMarkdown = ({ title, subtitle, tables }) =>
+	[
+		`# ${title}`,
+		"",
+		subtitle,
+		...tables.flatMap(({ heading, header, rows }) => [
+			"",
+			`## ${heading}`,
+			"",
+			`| ${header.map(escapeMarkdownCell).join(" | ")} |`,
+			`| ${header.map(() => "---").join(" | ")} |`,
+			...rows.map(
+				(row) => `| ${row.map(escapeMarkdownCell).join(" | ")} |`
+			),
+		]),
+		"",
+	].join("\n");
+
+/** Renders a report as a standalone HTML page.
+ * @param {object} report - The result of buildReport.
+ * @returns {string}
+ */
+const renderHtml = ({ title, subtitle, tables }) =>
+	[
+		"<!DOCTYPE html>",
+		'<html lang="en">',
+		"<head>",
+		'<meta charset="utf-8">',
+		`<title>${escapeHtml(title)}</title>`,
+		"<style>",
+		"body { font-family: sans-serif; margin: 2em; }",
+		"table { border-collapse: collapse; margin-bottom: 2em; }",
+		"th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }",
+		"</style>",
+		"</head>",
+		"<body>",
+		`<h1>${escapeHtml(title)}</h1>`,
+		`<p>${escapeHtml(subtitle)}</p>`,
+		...tables.flatMap(({ heading, header, rows }) => [
+			`<h2>${escapeHtml(heading)}</h2>`,
+			"<table>",
+			`<tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join("")}</tr>`,
+			...rows.map(
+				(row) =>
+					`<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`
+			),
+			"</table>",
+		]),
+		"</body>",
+		"</html>",
+		"",
+	].join("\n");
+
+/** Renders a report of an eval run with per-metric statistics and the worst
+ * entries of every metric, e.g. to attach to a pull request.
+ * @param {object|object[]} details - An EvalRunDetails object or a list of its entries.
+ * @param {object} [options] - The options object.
+ *  @param {string?} options.format - "markdown" or "html".
+ *  @param {number?} options.worstN - The number of worst entries to show per metric.
+ * @returns {string} - The report.
+ * @throws {ForesightValidationError} - If the format is unknown.
+ */
+export const renderEvalrunReport = (
+	details,
+	{ format = "markdown", worstN = 5 } = {}
+) => {
+	if (!REPORT_FORMATS.includes(format))
+		throw new ForesightValidationError(
+			`format must be one of ${REPORT_FORMATS.join(", ")}.`
+		);
+
+	const report = buildReport(summarizeEvalrun(details, { worstN }));
+	return format === "html" ? renderHtml(report) : renderMarkdown(report);
+};
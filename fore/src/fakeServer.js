@@ -0,0 +1,602 @@
+"use strict";
+
+import http from "http";
+import axios from "axios";
+import { v4 as uuidv4 } from "uuid";
+import { MetricType } from "./utils.js";
+
+const DEFAULT_METRICS = [MetricType.GROUNDEDNESS];
+const DEFAULT_SUMMARY_LIMIT = 50;
+const STATUS_TEXTS = {
+	200: "OK",
+	400: "Bad Request",
+	401: "Unauthorized",
+	404: "Not Found",
+	409: "Conflict",
+	500: "Internal Server Error",
+};
+
+/** An error response of the fake backend, in the format of the gateway. */
+class HttpError extends Error {
+	constructor(status, detail) {
+		super(detail);
+		this.status = status;
+	}
+}
+
+/** Hashes a string to a number between 0 and 1, so that fake scores are stable.
+ * @param {string} text - The string.
+ * @returns {number}
+ */
+const hashToUnit = (text) => {
+	// 32-bit FNV-1a.
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	}
+	return hash / 0xffffffff;
+};
+
+/** The default fake score of an entry: a stable value between 0 and 1, or null for
+ * reference fact recall without a reference answer.
+ * @param {object} input - See the `scores` option of FakeForesight.
+ * @returns {number|null}
+ */
+const defaultScore = ({
+	metric,
+	query,
+	generatedResponse,
+	referenceAnswer,
+}) => {
+	if (metric === MetricType.REFERENCE_FACT_RECALL && referenceAnswer == null)
+		return null;
+	return (
+		Math.round(
+			hashToUnit(`${metric}\n${query}\n${generatedResponse}`) * 100
+		) / 100
+	);
+};
+
+/** Deep copies JSON data, so that callers cannot change the backend state.
+ * @param {any} data - The data.
+ * @returns {any}
+ */
+const copy = (data) =>
+	data === undefined ? data : JSON.parse(JSON.stringify(data));
+
+/** Reads a dotted path, e.g. "input.query", from an object.
+ * @param {object} object - The object.
+ * @param {string} path - The path.
+ * @returns {any}
+ */
+const getPath = (object, path) =>
+	path
+		.split(".")
+		.reduce((value, key) => (value == null ? value : value[key]), object);
+
+/** Sorts items by a field, with missing values last.
+ * @param {object[]} items - The items.
+ * @param {string?} field - The dotted path of the field. Unsorted if null.
+ * @param {boolean} ascending - The sort order.
+ * @returns {object[]}
+ */
+const sortBy = (items, field, ascending) => {
+	if (!field) return items;
+	const direction = ascending ? 1 : -1;
+	return [...items].sort((a, b) => {
+		const left = getPath(a, field);
+		const right = getPath(b, field);
+		if (left == null) return right == null ? 0 : 1;
+		if (right == null) return -1;
+		return left < right ? -direction : left > right ? direction : 0;
+	});
+};
+
+/** Requires a field of a request body.
+ * @param {object} body - The request body.
+ * @param {string} field - The field.
+ * @returns {any} - The value.
+ * @throws {HttpError} - A 400 error in the format of invalid payloads, if it is missing.
+ */
+const required = (body, field) => {
+	if (!body || body[field] == null)
+		throw new HttpError(400, [
+			{ loc: ["body", field], msg: "field required" },
+		]);
+	return body[field];
+};
+
+/** An in-memory fake of the foresight API for tests, with the endpoints used
+ * by the client and snake_case payloads like the gateway's. Metric scores are
+ * computed as soon as an answer is uploaded or logged.
+ * @example
+ * const fake = new FakeForesight({ scores: { GROUNDEDNESS: 0.9 } });
+ * const foresight = new Foresight({ apiToken: "test", axiosInstance: fake.createAxiosInstance() });
+ * @class FakeForesight
+ */
+class FakeForesight {
+	/**
+	 * @param {object} [params] - The parameters object.
+	 *  @param {number|object|function?} params.scores - The fake metric scores: a number for every
+	 *    metric, an object with a number (or null) by metric, or a function called with
+	 *    `{metric, experimentId, entryId, query, referenceAnswer, generatedResponse, contexts}`.
+	 *    Defaults to a stable pseudo-random score per metric, query and response.
+	 *  @param {string?} params.apiToken - The only API token accepted. Any token is accepted if null.
+	 *  @param {number?} params.maxPageSize - The most items returned per page of eval runs or
+	 *    entries, whatever limit is asked for, as servers cap their page sizes. No cap if null.
+	 * */
+	constructor({ scores = null, apiToken = null, maxPageSize = null } = {}) {
+		this.scores = scores;
+		this.apiToken = apiToken;
+		this.maxPageSize = maxPageSize;
+		this.adapter = this.adapter.bind(this);
+		this.reset();
+	}
+
+	/** Removes all evalsets, eval runs, recorded requests and planned failures. */
+	reset() {
+		this.evalsets = new Map();
+		this.evalruns = new Map();
+		/** The requests received, as `{method, path, query, body}`. */
+		this.requests = [];
+		this._failures = [];
+	}
+
+	/** Makes the next requests to an endpoint fail, e.g. to test retries.
+	 * @param {string} path - The endpoint, e.g. "/api/eval/log".
+	 * @param {object} [options] - The options object.
+	 *  @param {string?} options.method - Only fail requests with this HTTP method.
+	 *  @param {number?} options.status - The HTTP status of the failures.
+	 *  @param {string?} options.detail - The error message.
+	 *  @param {number?} options.times - How many requests fail.
+	 */
+	failNext(
+		path,
+		{
+			method = null,
+			status = 500,
+			detail = "Internal server error",
+			times = 1,
+		} = {}
+	) {
+		this._failures.push({
+			path,
+			method: method && method.toLowerCase(),
+			status,
+			detail,
+			times,
+		});
+	}
+
+	/** Gets the stored state of an eval run, in the format of /api/eval/run/details.
+	 * @param {string} experimentId - String identifier of the evaluation run.
+	 * @returns {object|null} - A copy of the eval run details, or null if there is no such run.
+	 */
+	getEvalrunDetails(experimentId) {
+		const run = this.evalruns.get(experimentId);
+		return run ? copy(this._toDetails(run)) : null;
+	}
+
+	/** Handles a request to the fake API.
+	 * @param {object} request - The request.
+	 *  @param {string} request.method - The HTTP method.
+	 *  @param {string} request.path - The path, e.g. "/api/eval/set".
+	 *  @param {object?} request.query - The query parameters.
+	 *  @param {any} request.body - The parsed JSON body.
+	 *  @param {object?} request.headers - The request headers.
+	 * @returns {{status: number, data: any}} - The response.
+	 */
+	handle({ method, path, query = {}, body = null, headers = {} }) {
+		method = method.toLowerCase();
+		const params = Object.fromEntries(
+			Object.entries(query || {})
+				.filter(([, value]) => value != null)
+				.map(([key, value]) => [key, String(value)])
+		);
+		this.requests.push({ method, path, query: params, body: copy(body) });
+
+		try {
+			this._checkAuthorization(headers);
+			this._checkFailures(method, path);
+			const route = this._routes()[`${method} ${path}`];
+			if (!route) throw new HttpError(404, "Not Found");
+			return { status: 200, data: copy(route(params, body)) };
+		} catch (error) {
+			if (!(error instanceof HttpError)) throw error;
+			return { status: error.status, data: { detail: error.message } };
+		}
+	}
+
+	/** An axios adapter that sends requests to this fake instead of the network.
+	 * Bound to the instance, so it can be passed around on its own.
+	 * @param {object} config - The axios request config.
+	 * @returns {Promise<object>} - The axios response.
+	 */
+	async adapter(config) {
+		const url = new URL(config.url, config.baseURL || "http://localhost");
+		const query = {
+			...Object.fromEntries(url.searchParams),
+			...config.params,
+		};
+		const body =
+			typeof config.data === "string" && config.data
+				? JSON.parse(config.data)
+				: config.data || null;
+		const { status, data } = this.handle({
+			method: config.method,
+			path: url.pathname,
+			query,
+			body,
+			headers:
+				config.headers && config.headers.toJSON
+					? config.headers.toJSON()
+					: config.headers || {},
+		});
+
+		const response = {
+			data,
+			status,
+			statusText: STATUS_TEXTS[status] || "",
+			headers: { "content-type": "application/json" },
+			config,
+			request: {},
+		};
+		if (status >= 400) {
+			throw new axios.AxiosError(
+				`Request failed with status code ${status}`,
+				status >= 500
+					? axios.AxiosError.ERR_BAD_RESPONSE
+					: axios.AxiosError.ERR_BAD_REQUEST,
+				config,
+				response.request,
+				response
+			);
+		}
+		return response;
+	}
+
+	/** Creates an axios instance that sends requests to this fake, for the
+	 * `axiosInstance` option of the Foresight client.
+	 * @returns {import("axios").AxiosInstance}
+	 */
+	createAxiosInstance() {
+		return axios.create({ adapter: this.adapter });
+	}
+
+	/** Serves this fake over HTTP, e.g. for tests in other processes.
+	 * @param {number} [port] - The port, by default a free one.
+	 * @param {string} [host] - The host to listen on.
+	 * @returns {Promise<{url: string, server: import("http").Server, close: function(): Promise<void>}>} -
+	 *  The URL to use as `apiUrl` and a function that stops the server.
+	 */
+	listen(port = 0, host = "127.0.0.1") {
+		const server = http.createServer((request, response) => {
+			const chunks = [];
+			request.on("data", (chunk) => chunks.push(chunk));
+			request.on("end", () => {
+				const url = new URL(request.url, `http://${host}`);
+				const text = Buffer.concat(chunks).toString("utf8");
+				let result;
+				try {
+					result = this.handle({
+						method: request.method,
+						path: url.pathname,
+						query: Object.fromEntries(url.searchParams),
+						body: text ? JSON.parse(text) : null,
+						headers: request.headers,
+					});
+				} catch (error) {
+					result = {
+						status: error instanceof SyntaxError ? 400 : 500,
+						data: { detail: error.message },
+					};
+				}
+				response.writeHead(result.status, {
+					"Content-Type": "application/json",
+				});
+				response.end(JSON.stringify(result.data));
+			});
+		});
+
+		return new Promise((resolve, reject) => {
+			server.once("error", reject);
+			server.listen(port, host, () => {
+				const { port: boundPort } = server.address();
+				resolve({
+					url: `http://${host}:${boundPort}`,
+					server,
+					close: () =>
+						new Promise((resolveClose) =>
+							server.close(() => resolveClose())
+						),
+				});
+			});
+		});
+	}
+
+	_checkAuthorization(headers) {
+		if (this.apiToken === null) return;
+		const authorization = Object.entries(headers).find(
+			([name]) => name.toLowerCase() === "authorization"
+		);
+		if (!authorization || authorization[1] !== `Bearer ${this.apiToken}`)
+			throw new HttpError(401, "Invalid API token.");
+	}
+
+	_checkFailures(method, path) {
+		const failure = this._failures.find(
+			(planned) =>
+				planned.path === path &&
+				(planned.method === null || planned.method === method)
+		);
+		if (!failure) return;
+		failure.times--;
+		if (failure.times <= 0)
+			this._failures.splice(this._failures.indexOf(failure), 1);
+		throw new HttpError(failure.status, failure.detail);
+	}
+
+	/** Maps "method path" to the handlers of the endpoints. */
+	_routes() {
+		return {
+			"post /api/eval/set": (params, body) => this._createEvalset(body),
+			"get /api/eval/set": (params) => this._getEvalset(params),
+			"post /api/eval/run": (params, body) => this._createEvalrun(body),
+			"get /api/eval/run/queries": (params) => this._getQueries(params),
+			"put /api/eval/run/entries": (params, body) =>
+				this._uploadOutputs(body),
+			"put /api/eval/log": (params, body) => this._log(body),
+			"get /api/eval/run/details": (params) => this._getDetails(params),
+			"get /api/eval/run/summaries": (params) =>
+				this._getSummaries(params),
+		};
+	}
+
+	_findEvalset(evalsetId) {
+		const evalset = this.evalsets.get(evalsetId);
+		if (!evalset)
+			throw new HttpError(404, `Evalset ${evalsetId} not found.`);
+		return evalset;
+	}
+
+	_findEvalrun(experimentId) {
+		const run = this.evalruns.get(experimentId);
+		if (!run)
+			throw new HttpError(404, `Eval run ${experimentId} not found.`);
+		return run;
+	}
+
+	_toEvalsetEntry(entry) {
+		return {
+			entry_id: entry.entry_id || uuidv4(),
+			query: required(entry, "query"),
+			reference_answer:
+				entry.reference_answer != null ? entry.reference_answer : null,
+			creation_time: new Date().toISOString(),
+		};
+	}
+
+	_createEvalset(body) {
+		const evalsetId = required(body, "evalset_id");
+		if (this.evalsets.has(evalsetId))
+			throw new HttpError(409, `Evalset ${evalsetId} already exists.`);
+
+		const entries = (body.evalset_entries || []).map((entry) =>
+			this._toEvalsetEntry(entry)
+		);
+		this.evalsets.set(evalsetId, {
+			evalset_id: evalsetId,
+			creation_time: new Date().toISOString(),
+			entries,
+		});
+		return { evalset_id: evalsetId, num_entries: entries.length };
+	}
+
+	_getEvalset({ evalset_id: evalsetId }) {
+		const evalset = this._findEvalset(evalsetId);
+		return { evalset_id: evalsetId, entries: evalset.entries };
+	}
+
+	_createEvalrun(body) {
+		const evalsetId = required(body, "evalset_id");
+		const experimentId = required(body, "experiment_id");
+		const evalset = this._findEvalset(evalsetId);
+		if (this.evalruns.has(experimentId))
+			throw new HttpError(
+				409,
+				`Eval run ${experimentId} already exists.`
+			);
+
+		const run = this._newEvalrun(
+			experimentId,
+			evalsetId,
+			body.metrics || DEFAULT_METRICS
+		);
+		for (const entry of evalset.entries) {
+			run.entries.set(entry.entry_id, {
+				input: {
+					query: entry.query,
+					reference_answer: entry.reference_answer,
+					entry_id: entry.entry_id,
+				},
+				output: null,
+				metric_values: {},
+			});
+		}
+		return { experiment_id: experimentId };
+	}
+
+	_newEvalrun(experimentId, evalsetId, metrics) {
+		const run = {
+			experiment_id: experimentId,
+			evalset_id: evalsetId,
+			metrics,
+			creation_time: new Date().toISOString(),
+			entries: new Map(),
+		};
+		this.evalruns.set(experimentId, run);
+		return run;
+	}
+
+	_getQueries({ experiment_id: experimentId }) {
+		const run = this._findEvalrun(experimentId);
+		return Object.fromEntries(
+			[...run.entries].map(([entryId, entry]) => [
+				entryId,
+				entry.input.query,
+			])
+		);
+	}
+
+	/** Stores the output of an entry and scores it. */
+	_setOutput(run, entry, output) {
+		entry.output = {
+			generated_response: output.generated_response,
+			source_docids: [],
+			contexts: output.contexts || [],
+			debug_info: output.debug_info != null ? output.debug_info : null,
+		};
+		entry.metric_values = Object.fromEntries(
+			run.metrics.map((metric) => [
+				metric,
+				this._score({
+					metric,
+					experimentId: run.experiment_id,
+					entryId: entry.input.entry_id,
+					query: entry.input.query,
+					referenceAnswer: entry.input.reference_answer,
+					generatedResponse: entry.output.generated_response,
+					contexts: entry.output.contexts,
+				}),
+			])
+		);
+	}
+
+	_score(input) {
+		if (typeof this.scores === "function") return this.scores(input);
+		if (typeof this.scores === "number") return this.scores;
+		if (this.scores && input.metric in this.scores)
+			return this.scores[input.metric];
+		return defaultScore(input);
+	}
+
+	_uploadOutputs(body) {
+		const run = this._findEvalrun(required(body, "experiment_id"));
+		const outputs = required(body, "entry_id_to_inference_output");
+		for (const [entryId, output] of Object.entries(outputs)) {
+			const entry = run.entries.get(entryId);
+			if (!entry) throw new HttpError(404, `Entry ${entryId} not found.`);
+			this._setOutput(run, entry, output);
+		}
+		return { num_entries: Object.keys(outputs).length };
+	}
+
+	_log(body) {
+		const metrics = body.metrics || DEFAULT_METRICS;
+		const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+		const experimentId = [
+			body.experiment_id_prefix,
+			"logs",
+			...metrics.map((metric) => metric.toLowerCase()),
+			date,
+		]
+			.filter(Boolean)
+			.join("_");
+
+		const run =
+			this.evalruns.get(experimentId) ||
+			this._newEvalrun(experimentId, null, metrics);
+		for (const logEntry of required(body, "log_entries")) {
+			const entryId = logEntry.entry_id || uuidv4();
+			const entry = {
+				input: {
+					query: required(logEntry, "query"),
+					reference_answer:
+						logEntry.reference_answer != null
+							? logEntry.reference_answer
+							: null,
+					entry_id: entryId,
+				},
+				output: null,
+				metric_values: {},
+			};
+			run.entries.set(entryId, entry);
+			this._setOutput(run, entry, required(logEntry, "inference_output"));
+		}
+		return { experiment_id: experimentId };
+	}
+
+	_toDetails(run) {
+		return {
+			experiment_id: run.experiment_id,
+			entries: [...run.entries.values()],
+		};
+	}
+
+	_getDetails({
+		experiment_id: experimentId,
+		sort_field_name: sortField,
+		limit,
+		offset,
+	}) {
+		const run = this._findEvalrun(experimentId);
+		const start = Number(offset || 0);
+		const entries = sortBy([...run.entries.values()], sortField, true);
+		return {
+			experiment_id: experimentId,
+			entries: entries.slice(start, start + this._capPageSize(limit)),
+		};
+	}
+
+	_getSummaries({
+		evalset_id: evalsetId,
+		experiment_id_contains: contains,
+		sort_field_name: sortField,
+		sort_ascending: ascending,
+		limit,
+		offset,
+	}) {
+		const start = Number(offset || 0);
+		const summaries = [...this.evalruns.values()]
+			.filter(
+				(run) =>
+					(!evalsetId || run.evalset_id === evalsetId) &&
+					(!contains || run.experiment_id.includes(contains))
+			)
+			.map((run) => this._toSummary(run));
+		return sortBy(summaries, sortField, ascending === "true").slice(
+			start,
+			start + this._capPageSize(limit || DEFAULT_SUMMARY_LIMIT)
+		);
+	}
+
+	_capPageSize(limit) {
+		const size = limit != null ? Number(limit) : Infinity;
+		return this.maxPageSize !== null
+			? Math.min(size, this.maxPageSize)
+			: size;
+	}
+
+	_toSummary(run) {
+		const entries = [...run.entries.values()];
+		const metrics = {};
+		for (const metric of run.metrics) {
+			const values = entries
+				.map((entry) => entry.metric_values[metric])
+				.filter((value) => typeof value === "number");
+			metrics[metric] = values.length
+				? values.reduce((sum, value) => sum + value, 0) / values.length
+				: null;
+		}
+		return {
+			experiment_id: run.experiment_id,
+			evalset_id: run.evalset_id,
+			creation_time: run.creation_time,
+			num_entries: entries.length,
+			metrics,
+		};
+	}
+}
+
+export default FakeForesight;
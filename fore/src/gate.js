@@ -0,0 +1,300 @@
+"use strict";
+
+import { ForesightValidationError } from "./errors.js";
+import { summarizeEvalrun } from "./stats.js";
+
+// Statistics a threshold can be set on. The value must be at least the threshold.
+const AGGREGATE_CHECKS = ["mean", "median", "p10", "p90", "min", "max"];
+const MAX_FAILING_ENTRIES_SHOWN = 10;
+
+/** Checks that thresholds only use known checks, and that every metric has one.
+ * @param {object} thresholds - The thresholds by metric.
+ * @throws {ForesightValidationError} - If a threshold is unknown or not a number, a metric has
+ *  no checks, or `maxFailingEntries` is given without `entry`.
+ */
+export const validateThresholds = (thresholds) => {
+	const checks = [...AGGREGATE_CHECKS, "entry", "maxFailingEntries"];
+
+	if (!thresholds || Object.keys(thresholds).length === 0)
+		throw new ForesightValidationError("thresholds must not be empty.");
+
+	for (const [metric, metricThresholds] of Object.entries(thresholds)) {
+		const metricChecks = Object.keys(metricThresholds || {});
+		if (metricChecks.length === 0) {
+			throw new ForesightValidationError(
+				`Thresholds of ${metric} must not be empty, use one of ${checks.join(", ")}.`
+			);
+		}
+		if (
+			metricChecks.includes("maxFailingEntries") &&
+			!metricChecks.includes("entry")
+		) {
+			throw new ForesightValidationError(
+				`Threshold ${metric}.maxFailingEntries needs ${metric}.entry.`
+			);
+		}
+
+		for (const [check, value] of Object.entries(metricThresholds)) {
+			if (!checks.includes(check)) {
+				throw new ForesightValidationError(
+					`Unknown threshold ${metric}.${check}, use one of ${checks.join(", ")}.`
+				);
+			}
+			if (typeof value !== "number" || Number.isNaN(value)) {
+				throw new ForesightValidationError(
+					`Threshold ${metric}.${check} must be a number.`
+				);
+			}
+		}
+	}
+};
+
+/** Gets the value of a metric for an entry.
+ * @param {object} entry - An entry of EvalRunDetails.
+ * @param {string} metric - The metric.
+ * @returns {number|null} - The value, or null if the entry has none.
+ */
+const getMetricValue = (entry, metric) => {
+	const value = (entry.metricValues || {})[metric];
+	return typeof value === "number" && !Number.isNaN(value) ? value : null;
+};
+
+/** Evaluates metric thresholds on the details of an eval run.
+ * @example
+ * evaluateThresholds(details, {
+ *   GROUNDEDNESS: { mean: 0.8, p10: 0.5, entry: 0.3, maxFailingEntries: 2 },
+ * });
+ * @param {object} details - The EvalRunDetails of the run.
+ * @param {{[metric: string]: {
+ *  mean?: number,
+ *  median?: number,
+ *  p10?: number,
+ *  p90?: number,
+ *  min?: number,
+ *  max?: number,
+ *  entry?: number,
+ *  maxFailingEntries?: number
+ * }}} thresholds - The thresholds by metric. Aggregate statistics must be at least their
+ *  threshold. With `entry`, each entry's value must be at least `entry`, and at most
+ *  `maxFailingEntries` entries (default 0) may fall below it. Entries without a value are
+ *  left out of both and listed in `missingEntries`.
+ * @param {object} [options] - The options object.
+ *  @param {boolean?} options.failOnMissing - Adds a check per metric that fails if an entry
+ *    has no value for it.
+ * @returns {{
+ *  experimentId: string|null,
+ *  passed: boolean,
+ *  checks: {metric: string, check: string, threshold: number, actual: number|null, passed: boolean}[],
+ *  failingEntries: {[metric: string]: {entryId: string, query: string, value: number}[]},
+ *  missingEntries: {[metric: string]: {entryId: string, query: string}[]}
+ * }} - The result of every check, the entries below their `entry` threshold and the entries
+ *  without a value, by metric.
+ * @throws {ForesightValidationError} - If the thresholds are invalid.
+ */
+export const evaluateThresholds = (
+	details,
+	thresholds,
+	{ failOnMissing = false } = {}
+) => {
+	validateThresholds(thresholds);
+
+	const { metrics } = summarizeEvalrun(details);
+	const entries = (details.entries || []).map((entry) => ({
+		entryId: entry.input && entry.input.entryId,
+		query: entry.input && entry.input.query,
+		entry,
+	}));
+	const checks = [];
+	const failingEntries = {};
+	const missingEntries = {};
+
+	for (const [metric, metricThresholds] of Object.entries(thresholds)) {
+		const stats = metrics[metric] || {};
+		missingEntries[metric] = entries
+			.filter(({ entry }) => getMetricValue(entry, metric) === null)
+			.map(({ entryId, query }) => ({ entryId, query }));
+
+		for (const check of AGGREGATE_CHECKS) {
+			if (metricThresholds[check] === undefined) continue;
+
+			const actual = stats[check] !== undefined ? stats[check] : null;
+			checks.push({
+				metric,
+				check,
+				threshold: metricThresholds[check],
+				actual,
+				passed: actual !== null && actual >= metricThresholds[check],
+			});
+		}
+
+		if (metricThresholds.entry !== undefined) {
+			const failing = entries
+				.map(({ entryId, query, entry }) => ({
+					entryId,
+					query,
+					value: getMetricValue(entry, metric),
+				}))
+				.filter(
+					({ value }) =>
+						value !== null && value < metricThresholds.entry
+				);
+			const maxFailingEntries = metricThresholds.maxFailingEntries || 0;
+
+			failingEntries[metric] = failing;
+			checks.push({
+				metric,
+				check: `entries below ${metricThresholds.entry}`,
+				threshold: maxFailingEntries,
+				actual: failing.length,
+				passed: failing.length <= maxFailingEntries,
+			});
+		}
+
+		if (failOnMissing) {
+			checks.push({
+				metric,
+				check: "entries without a value",
+				threshold: 0,
+				actual: missingEntries[metric].length,
+				passed: missingEntries[metric].length === 0,
+			});
+		}
+	}
+
+	return {
+		experimentId: details.experimentId || null,
+		passed: checks.every(({ passed }) => passed),
+		checks,
+		failingEntries,
+		missingEntries,
+	};
+};
+
+/** Escapes text for XML.
+ * @param {any} value - The text.
+ * @returns {string}
+ */
+const escapeXml = (value) =>
+	String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+
+/** Describes what a check expects.
+ * @param {object} check - A check of evaluateThresholds.
+ * @returns {string}
+ */
+const describeExpectation = ({ check, threshold }) =>
+	check.startsWith("entries ") ? `at most ${threshold}` : `>= ${threshold}`;
+
+/** Formats a metric value for reports.
+ * @param {number|null} value - The value.
+ * @returns {string}
+ */
+const formatValue = (value) =>
+	value === null || value === undefined
+		? "n/a"
+		: String(Math.round(value * 10000) / 10000);
+
+/** Describes the outcome of a check, e.g. "GROUNDEDNESS mean is 0.72, expected >= 0.8".
+ * @param {object} check - A check of evaluateThresholds.
+ * @returns {string}
+ */
+export const describeCheck = (check) =>
+	`${check.metric} ${check.check} is ${formatValue(
+		check.actual
+	)}, expected ${describeExpectation(check)}`;
+
+/** Renders the result of evaluateThresholds as a JUnit XML report, with one
+ * test case per check.
+ * @param {object} result - The result of evaluateThresholds.
+ * @returns {string} - The XML document.
+ */
+export const toJUnitXml = (result) => {
+	const suiteName = result.experimentId || "foresight";
+	const numFailures = result.checks.filter(({ passed }) => !passed).length;
+
+	const testCases = result.checks.map((check) => {
+		const name = `${check.metric} ${check.check} ${describeExpectation(check)}`;
+		const open = `    <testcase classname="${escapeXml(
+			`${suiteName}.${check.metric}`
+		)}" name="${escapeXml(name)}"`;
+		if (check.passed) return `${open}/>`;
+
+		return `${open}>\n      <failure message="${escapeXml(
+			describeCheck(check)
+		)}"/>\n    </testcase>`;
+	});
+
+	return [
+		`<?xml version="1.0" encoding="UTF-8"?>`,
+		`<testsuites name="foresight" tests="${result.checks.length}" failures="${numFailures}">`,
+		`  <testsuite name="${escapeXml(suiteName)}" tests="${
+			result.checks.length
+		}" failures="${numFailures}">`,
+		...testCases,
+		`  </testsuite>`,
+		`</testsuites>`,
+		"",
+	].join("\n");
+};
+
+/** Escapes text for a Markdown table cell.
+ * @param {any} value - The text.
+ * @returns {string}
+ */
+const escapeMarkdownCell = (value) =>
+	String(value === null || value === undefined ? "" : value)
+		.replace(/\|/g, "\\|")
+		.replace(/\s+/g, " ");
+
+/** Renders the result of evaluateThresholds as a Markdown summary, e.g. for
+ * a pull request comment or a CI job summary.
+ * @param {object} result - The result of evaluateThresholds.
+ * @returns {string} - The Markdown document.
+ */
+export const toMarkdown = (result) => {
+	const lines = [
+		`## Foresight eval run \`${result.experimentId || "unknown"}\`: ${
+			result.passed ? "✅ passed" : "❌ failed"
+		}`,
+		"",
+		"| Metric | Check | Expected | Actual | Result |",
+		"| --- | --- | --- | --- | --- |",
+		...result.checks.map(
+			(check) =>
+				`| ${escapeMarkdownCell(check.metric)} | ${escapeMarkdownCell(
+					check.check
+				)} | ${describeExpectation(check)} | ${formatValue(
+					check.actual
+				)} | ${check.passed ? "✅" : "❌"} |`
+		),
+	];
+
+	for (const [metric, entries] of Object.entries(result.failingEntries)) {
+		if (entries.length === 0) continue;
+
+		lines.push(
+			"",
+			`### Entries failing ${escapeMarkdownCell(metric)}`,
+			"",
+			"| Query | Value |",
+			"| --- | --- |",
+			...entries
+				.slice(0, MAX_FAILING_ENTRIES_SHOWN)
+				.map(
+					({ query, value }) =>
+						`| ${escapeMarkdownCell(query)} | ${formatValue(value)} |`
+				)
+		);
+		if (entries.length > MAX_FAILING_ENTRIES_SHOWN) {
+			lines.push(
+				"",
+				`…and ${entries.length - MAX_FAILING_ENTRIES_SHOWN} more.`
+			);
+		}
+	}
+
+	return lines.join("\n") + "\n";
+};
@@ -0,0 +1,398 @@
+"use strict";
+
+// Input and output keys of the common LangChain.js chains, e.g. RetrievalQAChain
+// ({query} -> {text}) and createRetrievalChain ({input} -> {answer}).
+const QUERY_KEYS = ["input", "question", "query"];
+const RESPONSE_KEYS = [
+	"generatedResponse",
+	"answer",
+	"output",
+	"text",
+	"result",
+	"response",
+];
+// Keys of the retrieved documents in the results of RAG functions and chains.
+const CONTEXT_KEYS = ["contexts", "context", "sourceDocuments", "sourceNodes"];
+
+/** Gets the text of a string, a chat message or a list of message content parts.
+ * @param {any} value - The value.
+ * @returns {string|null} - The text, or null if the value holds none.
+ */
+const toText = (value) => {
+	if (typeof value === "string") return value;
+	if (Array.isArray(value)) {
+		const parts = value.map((part) =>
+			part && part.type === "text" ? part.text : toText(part)
+		);
+		return parts.every((part) => typeof part === "string")
+			? parts.join("")
+			: null;
+	}
+	if (value && typeof value === "object") {
+		if (value.content != null) return toText(value.content);
+		if (typeof value.text === "string") return value.text;
+	}
+	return null;
+};
+
+/** Gets a text from a value or from the first of the given keys that holds one.
+ * An object with a single text value gives that value.
+ * @param {any} value - The inputs or outputs of a run.
+ * @param {string[]} keys - The keys to try in order.
+ * @returns {string|null}
+ */
+const findText = (value, keys) => {
+	const text = toText(value);
+	if (text !== null) return text;
+	if (!value || typeof value !== "object") return null;
+
+	for (const key of keys) {
+		const keyText = toText(value[key]);
+		if (keyText !== null) return keyText;
+	}
+	const texts = Object.values(value)
+		.map(toText)
+		.filter((t) => t !== null);
+	return texts.length === 1 ? texts[0] : null;
+};
+
+export const defaultExtractQuery = (inputs) => findText(inputs, QUERY_KEYS);
+export const defaultExtractResponse = (outputs) =>
+	findText(outputs, RESPONSE_KEYS);
+
+/** Gets the contexts of a result: the texts of its `contexts`, `context`,
+ * `sourceDocuments` or `sourceNodes`, which hold strings, documents or nodes.
+ * @param {any} result - The result of a RAG function or chain.
+ * @returns {string[]}
+ */
+export const defaultExtractContexts = (result) => {
+	if (!result || typeof result !== "object") return [];
+	const key = CONTEXT_KEYS.find((name) => Array.isArray(result[name]));
+	if (!key) return [];
+	return result[key]
+		.map((item) =>
+			item && typeof item.pageContent === "string"
+				? item.pageContent
+				: toText(item && item.node ? item.node : item)
+		)
+		.filter((text) => text !== null);
+};
+
+/** Logs a captured run, without ever throwing into the instrumented framework.
+ * @param {Foresight} foresight - The client.
+ * @param {object} run - The captured run.
+ *  @param {string|null} run.query - The query.
+ *  @param {string|null} run.response - The final answer.
+ *  @param {string[]} run.contexts - The retrieved contexts.
+ *  @param {number} run.startTime - When the run started, in milliseconds.
+ *  @param {string} run.runId - The identifier of the run in the framework.
+ * @param {object} options - The options of the integration.
+ * @param {string} integration - The name of the integration, for the logs.
+ * @returns {Promise<void>}
+ */
+const logRun = async (foresight, run, options, integration) => {
+	const { tag, metrics } = options;
+	if (run.query === null || run.query === "" || run.response === null) {
+		foresight.logging.warn(
+			`Skipped a ${integration} run without a query or a response.`,
+			{ integration, runId: run.runId, tag }
+		);
+		return;
+	}
+	try {
+		await foresight.log({
+			query: run.query,
+			response: run.response,
+			contexts: run.contexts,
+			tag,
+			metrics,
+			debugInfo: {
+				integration,
+				runId: run.runId,
+				latencyMs: Date.now() - run.startTime,
+			},
+		});
+	} catch (error) {
+		foresight.logging.warn(`Logging a ${integration} run failed.`, {
+			integration,
+			runId: run.runId,
+			tag,
+			error: error.message,
+		});
+	}
+};
+
+/** Creates a LangChain.js callback handler that logs every top-level chain run:
+ * the query from the chain inputs, the page contents of the documents retrieved
+ * anywhere in the run as contexts, and the answer from the chain outputs.
+ * The handler is a plain object of handler methods, which LangChain.js turns into
+ * a `BaseCallbackHandler`, so @langchain/core is not a dependency of this package.
+ * Logging failures are logged as warnings and never break the chain.
+ * @example
+ * const handler = createLangChainHandler(foresight, { tag: "rag-v2" });
+ * await chain.invoke({ input: "What is fore?" }, { callbacks: [handler] });
+ * @param {Foresight} foresight - The client to log with.
+ * @param {object} [options] - The options object.
+ *  @param {string?} options.tag - The tag of the log entries, see Foresight.log.
+ *  @param {MetricType[]?} options.metrics - The metrics to compute, see Foresight.log.
+ *  @param {function(any): string|null} [options.extractQuery] - Gets the query from the inputs of the
+ *    top-level chain. By default the `input`, `question` or `query` input, or the only text input.
+ *  @param {function(any): string|null} [options.extractResponse] - Gets the answer from the outputs
+ *    of the top-level chain. By default the `generatedResponse`, `answer`, `output`, `text`,
+ *    `result` or `response` output, a chat message, or the only text output.
+ *  @param {function(object[]): string[]} [options.extractContexts] - Gets the contexts from the
+ *    documents of a retriever, by default their `pageContent`.
+ * @returns {object} - The callback handler, to pass in `callbacks`.
+ */
+export const createLangChainHandler = (
+	foresight,
+	{
+		tag = null,
+		metrics = null,
+		extractQuery = defaultExtractQuery,
+		extractResponse = defaultExtractResponse,
+		extractContexts = (documents) =>
+			documents.map((document) => document.pageContent),
+	} = {}
+) => {
+	const options = { tag, metrics };
+	// The top-level run of every run in progress, and the state of the top-level runs.
+	const runToRoot = new Map();
+	const roots = new Map();
+
+	const start = (runId, parentRunId) => {
+		const rootId = parentRunId != null ? runToRoot.get(parentRunId) : runId;
+		if (rootId !== undefined) runToRoot.set(runId, rootId);
+		return rootId;
+	};
+	const end = (runId) => {
+		const rootId = runToRoot.get(runId);
+		if (rootId !== runId) {
+			runToRoot.delete(runId);
+			return null;
+		}
+		for (const [childId, childRootId] of runToRoot) {
+			if (childRootId === rootId) runToRoot.delete(childId);
+		}
+		const root = roots.get(rootId);
+		roots.delete(rootId);
+		return root;
+	};
+
+	return {
+		handleChainStart(chain, inputs, runId, parentRunId) {
+			if (start(runId, parentRunId) !== runId) return;
+			let query = null;
+			try {
+				query = extractQuery(inputs);
+			} catch (_) {
+				/* Logged as a run without a query. */
+			}
+			roots.set(runId, {
+				runId,
+				query,
+				contexts: [],
+				startTime: Date.now(),
+			});
+		},
+
+		handleRetrieverStart(retriever, query, runId, parentRunId) {
+			const rootId = start(runId, parentRunId);
+			const root = roots.get(rootId);
+			// Chains whose inputs hold no query use the query of their first retrieval.
+			if (root && root.query === null) root.query = query;
+		},
+
+		handleRetrieverEnd(documents, runId) {
+			const root = roots.get(runToRoot.get(runId));
+			runToRoot.delete(runId);
+			if (!root) return;
+			try {
+				root.contexts.push(...extractContexts(documents));
+			} catch (error) {
+				foresight.logging.warn("Extracting contexts failed.", {
+					integration: "langchain",
+					runId: root.runId,
+					error: error.message,
+				});
+			}
+		},
+
+		handleRetrieverError(error, runId) {
+			runToRoot.delete(runId);
+		},
+
+		// Tools are tracked for the retrievers they call, e.g. in agents.
+		handleToolStart(tool, input, runId, parentRunId) {
+			start(runId, parentRunId);
+		},
+
+		handleToolEnd(output, runId) {
+			runToRoot.delete(runId);
+		},
+
+		handleToolError(error, runId) {
+			runToRoot.delete(runId);
+		},
+
+		async handleChainEnd(outputs, runId) {
+			const root = end(runId);
+			if (!root) return;
+			let response = null;
+			try {
+				response = extractResponse(outputs);
+			} catch (_) {
+				/* Logged as a run without a response. */
+			}
+			await logRun(
+				foresight,
+				{ ...root, response },
+				options,
+				"langchain"
+			);
+		},
+
+		handleChainError(error, runId) {
+			// Failed runs have no answer to evaluate.
+			end(runId);
+		},
+	};
+};
+
+/** Gets the payload of a LlamaIndex.TS event, which older versions nest in `detail.payload`.
+ * @param {any} event - The event.
+ * @returns {object}
+ */
+const getEventDetail = (event) => {
+	const detail = event && event.detail != null ? event.detail : event;
+	return (detail && detail.payload) || detail || {};
+};
+
+/** Gets the text of a LlamaIndex.TS node, or of a node with a score.
+ * @param {object} nodeWithScore - The node.
+ * @returns {string|null}
+ */
+const getNodeText = (nodeWithScore) => {
+	const node =
+		nodeWithScore && nodeWithScore.node
+			? nodeWithScore.node
+			: nodeWithScore;
+	if (!node) return null;
+	if (typeof node.getContent === "function") return node.getContent();
+	return typeof node.text === "string" ? node.text : null;
+};
+
+/** Creates a handler of LlamaIndex.TS callback events that logs every query of a
+ * query or chat engine: the query of the `query-start` event, the source nodes of
+ * the response (or the nodes of the `retrieve-end` events in between) as contexts,
+ * and the answer of the `query-end` event.
+ * Logging failures are logged as warnings and never break the engine.
+ * @example
+ * const handler = createLlamaIndexHandler(foresight, { tag: "rag-v2" });
+ * const detach = handler.attach(Settings.callbackManager);
+ * @param {Foresight} foresight - The client to log with.
+ * @param {object} [options] - The options object.
+ *  @param {string?} options.tag - The tag of the log entries, see Foresight.log.
+ *  @param {MetricType[]?} options.metrics - The metrics to compute, see Foresight.log.
+ *  @param {function(any): string|null} [options.extractQuery] - Gets the query from the `query`
+ *    of a `query-start` event.
+ *  @param {function(any): string|null} [options.extractResponse] - Gets the answer from the
+ *    `response` of a `query-end` event.
+ *  @param {function(object[]): string[]} [options.extractContexts] - Gets the contexts from
+ *    nodes with scores, by default their content.
+ * @returns {{
+ *  handlers: {[event: string]: function(object): void},
+ *  attach: function(object): function(): void
+ * }} - The event handlers, and `attach(callbackManager)`, which registers them and returns a
+ *  function that removes them.
+ */
+export const createLlamaIndexHandler = (
+	foresight,
+	{
+		tag = null,
+		metrics = null,
+		extractQuery = (query) => findText(query, ["query"]),
+		extractResponse = (response) =>
+			response && typeof response.response === "string"
+				? response.response
+				: findText(response, ["response", "message"]),
+		extractContexts = (nodes) =>
+			nodes.map(getNodeText).filter((text) => text !== null),
+	} = {}
+) => {
+	const options = { tag, metrics };
+	// The queries in progress by id. Events without an id go to the latest query.
+	const queries = new Map();
+	let lastId = null;
+	let numQueries = 0;
+
+	const findQuery = (id) =>
+		queries.get(id != null ? id : lastId) || queries.get(lastId);
+	const safely = (extract, value, fallback) => {
+		try {
+			return extract(value);
+		} catch (_) {
+			return fallback;
+		}
+	};
+
+	const handlers = {
+		"query-start": (event) => {
+			const detail = getEventDetail(event);
+			const id = detail.id != null ? detail.id : `query-${++numQueries}`;
+			queries.set(id, {
+				runId: id,
+				query: safely(extractQuery, detail.query, null),
+				contexts: [],
+				startTime: Date.now(),
+			});
+			lastId = id;
+		},
+
+		"retrieve-end": (event) => {
+			const detail = getEventDetail(event);
+			const query = findQuery(detail.id);
+			if (!query) return;
+			query.contexts.push(
+				...safely(extractContexts, detail.nodes || [], [])
+			);
+		},
+
+		"query-end": (event) => {
+			const detail = getEventDetail(event);
+			const query = findQuery(detail.id);
+			if (!query) return;
+			queries.delete(query.runId);
+			if (lastId === query.runId) lastId = null;
+
+			const response = detail.response;
+			const sourceNodes = response && response.sourceNodes;
+			const contexts =
+				sourceNodes && sourceNodes.length
+					? safely(extractContexts, sourceNodes, query.contexts)
+					: query.contexts;
+			return logRun(
+				foresight,
+				{
+					...query,
+					contexts,
+					response: safely(extractResponse, response, null),
+				},
+				options,
+				"llamaindex"
+			);
+		},
+	};
+
+	return {
+		handlers,
+		attach(callbackManager) {
+			for (const [name, handler] of Object.entries(handlers))
+				callbackManager.on(name, handler);
+			return () => {
+				for (const [name, handler] of Object.entries(handlers))
+					callbackManager.off(name, handler);
+			};
+		},
+	};
+};
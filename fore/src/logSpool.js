@@ -0,0 +1,97 @@
+"use strict";
+
+/** Serializes a log entry to a line of the spool file.
+ * @param {string} tag - The tag of the entry.
+ * @param {object} entry - The log entry.
+ * @param {string[]?} metrics - The metrics to compute for the tag, if any.
+ * @returns {string} - The JSON line.
+ */
+const toLine = (tag, entry, metrics) =>
+	JSON.stringify(metrics ? { tag, entry, metrics } : { tag, entry }) + "\n";
+
+/** Keeps unsent log entries in a JSONL file, one `{tag, entry, metrics}`
+ * object per line, so that they survive a crash and can be sent after a restart.
+ * Writes are synchronous so that an entry is on disk once log() returns.
+ * Use LogSpool.open to create one: the file system module is only loaded then,
+ * so that the client also runs where there is none, e.g. in browsers.
+ * @class LogSpool
+ */
+class LogSpool {
+	/**
+	 * @param {string} path - The path of the spool file.
+	 * @param {object} fs - The file system module.
+	 * */
+	constructor(path, fs) {
+		this.path = path;
+		this.fs = fs;
+	}
+
+	/** Loads the file system module and creates a spool.
+	 * @param {string} path - The path of the spool file.
+	 * @returns {Promise<LogSpool>}
+	 */
+	static async open(path) {
+		const { default: fs } = await import("fs");
+		return new LogSpool(path, fs);
+	}
+
+	/** Reads the entries left in the spool file.
+	 * @returns {{
+	 *  tagToLogEntries: {[tag: string]: object[]},
+	 *  tagToMetrics: {[tag: string]: string[]}
+	 * }} - The unsent log entries and the metrics to compute, by tag.
+	 */
+	load() {
+		const tagToLogEntries = {};
+		const tagToMetrics = {};
+		if (!this.fs.existsSync(this.path))
+			return { tagToLogEntries, tagToMetrics };
+
+		for (const line of this.fs
+			.readFileSync(this.path, "utf8")
+			.split("\n")) {
+			if (!line.trim()) continue;
+
+			let record;
+			try {
+				record = JSON.parse(line);
+			} catch (_) {
+				// A crash can leave the last line half written.
+				continue;
+			}
+
+			const entries = tagToLogEntries[record.tag] || [];
+			tagToLogEntries[record.tag] = [...entries, record.entry];
+			if (record.metrics) tagToMetrics[record.tag] = record.metrics;
+		}
+
+		return { tagToLogEntries, tagToMetrics };
+	}
+
+	/** Appends a log entry to the spool file.
+	 * @param {string} tag - The tag of the entry.
+	 * @param {object} entry - The log entry.
+	 * @param {string[]?} metrics - The metrics to compute for the tag, if any.
+	 */
+	append(tag, entry, metrics = null) {
+		this.fs.appendFileSync(this.path, toLine(tag, entry, metrics));
+	}
+
+	/** Replaces the content of the spool file with the given entries.
+	 * The file is written next to the spool and renamed over it, so that a
+	 * crash while writing does not lose the entries.
+	 * @param {{[tag: string]: object[]}} tagToLogEntries - The unsent log entries by tag.
+	 * @param {{[tag: string]: string[]}} tagToMetrics - The metrics to compute by tag.
+	 */
+	rewrite(tagToLogEntries, tagToMetrics = {}) {
+		const lines = Object.entries(tagToLogEntries).flatMap(
+			([tag, entries]) =>
+				entries.map((entry) => toLine(tag, entry, tagToMetrics[tag]))
+		);
+		const tmpPath = `${this.path}.tmp`;
+		this.fs.writeFileSync(tmpPath, lines.join(""));
+		this.fs.renameSync(tmpPath, this.path);
+	}
+}
+
+export default LogSpool;
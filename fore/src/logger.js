@@ -0,0 +1,141 @@
+"use strict";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+const REDACTED = "[REDACTED]";
+// Fields that may hold user content, redacted with `redactBodies`.
+const BODY_FIELDS = [
+	"query",
+	"queries",
+	"response",
+	"generatedResponse",
+	"referenceAnswer",
+	"contexts",
+	"debugInfo",
+	"responseData",
+];
+const SECRET_FIELDS = ["apiToken", "authorization", "Authorization"];
+// The methods a message falls back to if the logger has no method of its level.
+const FALLBACK_METHODS = {
+	debug: ["debug", "log"],
+	info: ["info", "log"],
+	warn: ["warn", "error"],
+	error: ["error"],
+};
+
+/** Sends the client's messages to a logger, with structured fields.
+ * Works with console, pino, winston and any object with `debug`, `info`, `warn`
+ * and `error` methods. Messages are passed as `(message, fields)`, or as
+ * `(fields, message)` to pino loggers. The API token is never logged.
+ * @class ClientLogger
+ */
+class ClientLogger {
+	/**
+	 * @param {object} params - The parameters object.
+	 *  @param {object?} params.logger - The logger to send messages to. Nothing is logged if null.
+	 *  @param {string?} params.level - The lowest level to log: "debug", "info", "warn", "error"
+	 *    or "silent".
+	 *  @param {boolean?} params.redactBodies - Whether to redact queries, responses and other
+	 *    user content.
+	 *  @param {string[]?} params.secrets - Strings to redact wherever they appear, e.g. the API token.
+	 * */
+	constructor({
+		logger,
+		level = "info",
+		redactBodies = false,
+		secrets = [],
+	}) {
+		this.logger = logger;
+		this.level = level;
+		this.redactBodies = redactBodies;
+		this.secrets = secrets.filter(Boolean);
+		// pino loggers take the fields first, and are told apart by their `levels.values`.
+		this.fieldsFirst = Boolean(
+			logger && logger.levels && logger.levels.values
+		);
+	}
+
+	/** Tells whether messages of a level are logged.
+	 * @param {string} level - The level.
+	 * @returns {boolean}
+	 */
+	isLevelEnabled(level) {
+		return (
+			this.logger != null &&
+			LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level)
+		);
+	}
+
+	/** Redacts secrets, and user content with `redactBodies`, from a value.
+	 * @param {any} value - A message or field value.
+	 * @param {string?} key - The name of the field holding the value.
+	 * @returns {any} - A redacted copy of the value.
+	 */
+	redact(value, key = null) {
+		if (key !== null && SECRET_FIELDS.includes(key)) return REDACTED;
+		if (key !== null && this.redactBodies && BODY_FIELDS.includes(key))
+			return REDACTED;
+
+		if (typeof value === "string")
+			return this.secrets.reduce(
+				(text, secret) => text.split(secret).join(REDACTED),
+				value
+			);
+		if (Array.isArray(value)) return value.map((item) => this.redact(item));
+		if (value && typeof value === "object" && !(value instanceof Date))
+			return Object.fromEntries(
+				Object.entries(value).map(([field, item]) => [
+					field,
+					this.redact(item, field),
+				])
+			);
+		return value;
+	}
+
+	/** Logs a message.
+	 * @param {string} level - "debug", "info", "warn" or "error".
+	 * @param {string} message - The message.
+	 * @param {object} [fields] - Structured fields, e.g. `{method, endpoint, status, durationMs}`.
+	 *  Fields that are undefined are left out.
+	 */
+	write(level, message, fields = {}) {
+		if (!this.isLevelEnabled(level)) return;
+		const methodName = FALLBACK_METHODS[level].find(
+			(name) => typeof this.logger[name] === "function"
+		);
+		if (!methodName) return;
+
+		const definedFields = Object.fromEntries(
+			Object.entries(fields).filter(([, value]) => value !== undefined)
+		);
+		const text = this.redact(message);
+		const args =
+			Object.keys(definedFields).length === 0
+				? [text]
+				: this.fieldsFirst
+					? [this.redact(definedFields), text]
+					: [text, this.redact(definedFields)];
+		try {
+			this.logger[methodName](...args);
+		} catch (_) {
+			/* A failing logger must not break the client. */
+		}
+	}
+
+	debug(message, fields) {
+		this.write("debug", message, fields);
+	}
+
+	info(message, fields) {
+		this.write("info", message, fields);
+	}
+
+	warn(message, fields) {
+		this.write("warn", message, fields);
+	}
+
+	error(message, fields) {
+		this.write("error", message, fields);
+	}
+}
+
+export default ClientLogger;
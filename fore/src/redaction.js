@@ -0,0 +1,190 @@
+"use strict";
+
+import humps from "humps";
+import { ForesightValidationError } from "./errors.js";
+
+// Fields that identify things rather than hold user content, never redacted.
+const STRUCTURAL_FIELDS = [
+	"entryId",
+	"entryIds",
+	"evalsetId",
+	"experimentId",
+	"experimentIdPrefix",
+	"metrics",
+	"timestamp",
+];
+
+/** Tells whether a number passes the Luhn checksum of payment card numbers.
+ * @param {string} digits - The digits of the number.
+ * @returns {boolean}
+ */
+const passesLuhn = (digits) => {
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let digit = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			digit *= 2;
+			if (digit > 9) digit -= 9;
+		}
+		sum += digit;
+	}
+	return sum % 10 === 0;
+};
+
+/** The built-in rules, by name. `accept` filters the matches of `pattern`. */
+export const BUILTIN_RULES = {
+	email: {
+		pattern:
+			/[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+		replacement: "[EMAIL]",
+	},
+	creditCard: {
+		pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+		accept: (match) => passesLuhn(match.replace(/\D/g, "")),
+		replacement: "[CREDIT_CARD]",
+	},
+	phone: {
+		// International numbers start with + and a country code, others need a
+		// grouped area code as in "(555) 123-4567" or "555-123-4567", so that
+		// dates, times and other runs of digits are kept.
+		pattern:
+			/(?:\+\d{1,3}(?:[ .-]?(?:\(\d{1,4}\)|\d{1,4})){2,5}|(?:\(\d{3}\) ?|\b\d{3}[ .-])\d{3}[ .-]\d{4})\b/g,
+		accept: (match) => {
+			const numDigits = match.replace(/\D/g, "").length;
+			return numDigits >= 7 && numDigits <= 15;
+		},
+		replacement: "[PHONE]",
+	},
+};
+export const DEFAULT_RULES = ["email", "creditCard", "phone"];
+
+/** Turns a rule given to the client into a function that redacts a string.
+ * @param {string|object} rule - The name of a built-in rule, `{name, pattern, replacement}`
+ *  or `{name, redact}`.
+ * @returns {{name: string, apply: function(string, string): {text: string, count: number}}}
+ * @throws {ForesightValidationError} - If the rule is invalid.
+ */
+const compileRule = (rule) => {
+	if (typeof rule === "string") {
+		if (!BUILTIN_RULES[rule])
+			throw new ForesightValidationError(
+				`Unknown redaction rule ${rule}, use one of ${Object.keys(BUILTIN_RULES).join(", ")} or a custom rule.`
+			);
+		return compileRule({ name: rule, ...BUILTIN_RULES[rule] });
+	}
+	if (!rule || typeof rule.name !== "string" || !rule.name)
+		throw new ForesightValidationError("Redaction rules need a name.");
+
+	if (typeof rule.redact === "function") {
+		return {
+			name: rule.name,
+			// A function rule counts one redaction per value it changes.
+			apply: (text, field) => {
+				const redacted = rule.redact(text, field);
+				return redacted === text
+					? { text, count: 0 }
+					: { text: String(redacted), count: 1 };
+			},
+		};
+	}
+	if (!(rule.pattern instanceof RegExp))
+		throw new ForesightValidationError(
+			`Redaction rule ${rule.name} needs a RegExp pattern or a redact function.`
+		);
+
+	const flags = rule.pattern.flags.includes("g")
+		? rule.pattern.flags
+		: rule.pattern.flags + "g";
+	const pattern = new RegExp(rule.pattern.source, flags);
+	const replacement =
+		rule.replacement != null
+			? rule.replacement
+			: `[${humps.decamelize(rule.name).toUpperCase()}]`;
+	return {
+		name: rule.name,
+		apply: (text) => {
+			let count = 0;
+			const redacted = text.replace(pattern, (match) => {
+				if (rule.accept && !rule.accept(match)) return match;
+				count++;
+				return replacement;
+			});
+			return { text: redacted, count };
+		},
+	};
+};
+
+/** Scrubs personal data from the payloads the client sends.
+ * Every string of a payload is passed through the rules in order, except
+ * identifiers, timestamps, metrics and the fields of the allowlist.
+ * @class Redactor
+ */
+class Redactor {
+	/**
+	 * @param {object} params - The parameters object.
+	 *  @param {(string|object)[]?} params.rules - The rules to apply, in order. Built-in rules
+	 *    are given by name: "email", "creditCard" and "phone". Custom rules are
+	 *    `{name, pattern, replacement}` objects with a RegExp, or `{name, redact}` objects with
+	 *    a function that takes a string and its field name and returns the redacted string.
+	 *  @param {string[]?} params.allowFields - Fields that are sent as they are, with everything in
+	 *    them, e.g. "contexts" or "debugInfo". Field names are given in camelCase.
+	 * @throws {ForesightValidationError} - If a rule is invalid.
+	 * */
+	constructor({ rules = DEFAULT_RULES, allowFields = [] } = {}) {
+		this.rules = rules.map(compileRule);
+		this.skippedFields = new Set([...STRUCTURAL_FIELDS, ...allowFields]);
+	}
+
+	/** Redacts a string.
+	 * @param {string} text - The string.
+	 * @param {string} field - The name of the field holding it.
+	 * @param {{[rule: string]: number}} counts - Receives the number of redactions by rule.
+	 * @returns {string}
+	 */
+	redactText(text, field, counts) {
+		return this.rules.reduce((current, rule) => {
+			const { text: redacted, count } = rule.apply(current, field);
+			if (count > 0) counts[rule.name] = (counts[rule.name] || 0) + count;
+			return redacted;
+		}, text);
+	}
+
+	/** Redacts a payload.
+	 * @param {any} payload - The JSON payload, with snake_case or camelCase keys.
+	 * @returns {{payload: any, counts: {[rule: string]: number}}} - A redacted copy of the
+	 *  payload and the number of redactions by rule.
+	 */
+	redact(payload) {
+		const counts = {};
+		const visit = (value, field) => {
+			if (typeof value === "string")
+				return this.redactText(value, field, counts);
+			if (Array.isArray(value))
+				return value.map((item) => visit(item, field));
+			if (value && typeof value === "object") {
+				const copy = {};
+				for (const [key, item] of Object.entries(value)) {
+					copy[key] = this.skippedFields.has(humps.camelize(key))
+						? item
+						: visit(item, humps.camelize(key));
+				}
+				return copy;
+			}
+			return value;
+		};
+		return { payload: visit(payload, null), counts };
+	}
+}
+
+/** Adds redaction counts to a total.
+ * @param {{[rule: string]: number}} total - The total, changed in place.
+ * @param {{[rule: string]: number}} counts - The counts to add.
+ * @returns {{[rule: string]: number}} - The total.
+ */
+export const addRedactionCounts = (total, counts) => {
+	for (const [rule, count] of Object.entries(counts))
+		total[rule] = (total[rule] || 0) + count;
+	return total;
+};
+
+export default Redactor;
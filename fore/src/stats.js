@@ -0,0 +1,154 @@
+"use strict";
+
+import { ForesightValidationError } from "./errors.js";
+
+/** Computes a percentile of sorted values, interpolating linearly between
+ * the two closest values.
+ * @param {number[]} sortedValues - The values, sorted in ascending order.
+ * @param {number} p - The percentile, between 0 and 100.
+ * @returns {number|null} - The percentile, or null if there are no values.
+ */
+export const percentile = (sortedValues, p) => {
+	if (sortedValues.length === 0) return null;
+
+	const rank = (p / 100) * (sortedValues.length - 1);
+	const lower = Math.floor(rank);
+	const upper = Math.ceil(rank);
+	return (
+		sortedValues[lower] +
+		(sortedValues[upper] - sortedValues[lower]) * (rank - lower)
+	);
+};
+
+/** Computes the mean of values.
+ * @param {number[]} values - The values.
+ * @returns {number|null} - The mean, or null if there are no values.
+ */
+export const mean = (values) =>
+	values.length === 0
+		? null
+		: values.reduce((total, value) => total + value, 0) / values.length;
+
+/** Counts values in `numBins` bins of equal width.
+ * Scores usually lie between 0 and 1, so that range is used when all values
+ * fit in it, which keeps the histograms of different runs comparable.
+ * Otherwise the bins span the values.
+ * @param {number[]} sortedValues - The values, sorted in ascending order.
+ * @param {number} numBins - The number of bins.
+ * @returns {{start: number, end: number, count: number}[]} - The bins.
+ */
+const histogram = (sortedValues, numBins) => {
+	if (sortedValues.length === 0) return [];
+
+	const min = sortedValues[0];
+	const max = sortedValues[sortedValues.length - 1];
+	const isUnitRange = min >= 0 && max <= 1;
+	const start = isUnitRange ? 0 : min;
+	const end = isUnitRange ? 1 : Math.max(max, min + 1);
+
+	const width = (end - start) / numBins;
+	const bins = Array.from({ length: numBins }, (_, i) => ({
+		start: start + i * width,
+		end: start + (i + 1) * width,
+		count: 0,
+	}));
+	for (const value of sortedValues) {
+		// The last bin includes its end.
+		const index = Math.min(
+			numBins - 1,
+			Math.floor((value - start) / width)
+		);
+		bins[index].count++;
+	}
+
+	return bins;
+};
+
+/** Tells whether a metric value is a usable number.
+ * @param {any} value - The metric value.
+ * @returns {boolean}
+ */
+const isScore = (value) => typeof value === "number" && !Number.isNaN(value);
+
+/** Computes statistics for every metric of an eval run.
+ * Metrics are found in the `metricValues` of the entries, so metrics that are
+ * not in MetricType are summarized as well. Lower values are considered worse.
+ * @param {object} details - An EvalRunDetails object, e.g. from getEvalrunDetails,
+ *  or a list of its entries.
+ * @param {object} [options] - The options object.
+ *  @param {number?} options.numBins - The number of histogram bins.
+ *  @param {number?} options.worstN - The number of worst entries to return per metric.
+ * @returns {{
+ *  experimentId: string|null,
+ *  numEntries: number,
+ *  metrics: {[metric: string]: {
+ *      count: number,
+ *      missing: number,
+ *      mean: number|null,
+ *      median: number|null,
+ *      p10: number|null,
+ *      p90: number|null,
+ *      min: number|null,
+ *      max: number|null,
+ *      std: number|null,
+ *      histogram: {start: number, end: number, count: number}[],
+ *      worst: {value: number, entry: object}[]
+ *  }}
+ * }} - The statistics by metric. `std` is the population standard deviation and
+ *  `missing` counts the entries without a value for the metric.
+ * @throws {ForesightValidationError} - If numBins is not a positive integer.
+ */
+export const summarizeEvalrun = (
+	details,
+	{ numBins = 10, worstN = 5 } = {}
+) => {
+	if (!Number.isInteger(numBins) || numBins < 1)
+		throw new ForesightValidationError(
+			`numBins must be a positive integer, got ${numBins}.`
+		);
+
+	const entries = Array.isArray(details)
+		? details
+		: (details && details.entries) || [];
+
+	const metricNames = new Set();
+	for (const entry of entries)
+		Object.keys(entry.metricValues || {}).forEach((metric) =>
+			metricNames.add(metric)
+		);
+
+	const metrics = {};
+	for (const metric of metricNames) {
+		const scored = entries
+			.filter((entry) => isScore((entry.metricValues || {})[metric]))
+			.map((entry) => ({ value: entry.metricValues[metric], entry }))
+			.sort((a, b) => a.value - b.value);
+		const values = scored.map(({ value }) => value);
+
+		const average = mean(values);
+		metrics[metric] = {
+			count: values.length,
+			missing: entries.length - values.length,
+			mean: average,
+			median: percentile(values, 50),
+			p10: percentile(values, 10),
+			p90: percentile(values, 90),
+			min: values.length ? values[0] : null,
+			max: values.length ? values[values.length - 1] : null,
+			std:
+				average === null
+					? null
+					: Math.sqrt(mean(values.map((v) => (v - average) ** 2))),
+			histogram: histogram(values, numBins),
+			worst: scored.slice(0, worstN),
+		};
+	}
+
+	return {
+		experimentId:
+			(!Array.isArray(details) && details && details.experimentId) ||
+			null,
+		numEntries: entries.length,
+		metrics,
+	};
+};
@@ -0,0 +1,210 @@
+"use strict";
+
+/** Tells whether a value is a streamed response: a ReadableStream or an async iterable.
+ * @param {any} value - The value.
+ * @returns {boolean}
+ */
+export const isStream = (value) =>
+	value != null &&
+	typeof value === "object" &&
+	(typeof value.getReader === "function" ||
+		typeof value[Symbol.asyncIterator] === "function");
+
+/** Gets the text of a chunk of a streamed response: a string, bytes, an OpenAI
+ * chunk (`choices[0].delta.content`), an Anthropic event (`delta.text`) or an
+ * object with a `content` or `text`.
+ * @param {any} chunk - The chunk. Bytes are decoded by the caller.
+ * @returns {string} - The text, empty if the chunk holds none.
+ */
+export const defaultExtractChunkText = (chunk) => {
+	if (typeof chunk === "string") return chunk;
+	if (!chunk || typeof chunk !== "object") return "";
+	if (Array.isArray(chunk.choices)) {
+		const delta = chunk.choices[0] && chunk.choices[0].delta;
+		return delta && typeof delta.content === "string" ? delta.content : "";
+	}
+	if (chunk.delta && typeof chunk.delta.text === "string")
+		return chunk.delta.text;
+	if (typeof chunk.content === "string") return chunk.content;
+	if (typeof chunk.text === "string") return chunk.text;
+	return "";
+};
+
+/** Assembles the text of a streamed response and times it.
+ * @param {function(any): string} extractChunkText - Gets the text of a chunk.
+ * @param {number} startTime - When the response was requested, in milliseconds.
+ * @returns {{record: function(any): void, finish: function(): object}}
+ */
+const createRecorder = (extractChunkText, startTime) => {
+	const parts = [];
+	const decoder = new TextDecoder();
+	let firstChunkTime = null;
+
+	return {
+		record(chunk) {
+			if (firstChunkTime === null) firstChunkTime = Date.now();
+			parts.push(
+				chunk instanceof Uint8Array
+					? decoder.decode(chunk, { stream: true })
+					: extractChunkText(chunk)
+			);
+		},
+		finish() {
+			parts.push(decoder.decode());
+			return {
+				text: parts.join(""),
+				timeToFirstTokenMs:
+					firstChunkTime !== null ? firstChunkTime - startTime : null,
+				durationMs: Date.now() - startTime,
+			};
+		},
+	};
+};
+
+/** Gets the class to build a ReadableStream like the given one with: its own class, so
+ * that streams of stream/web or of a polyfill also work where ReadableStream is not a
+ * global (before Node 18), or else the global one.
+ * @param {ReadableStream} stream - The stream.
+ * @returns {function|null} - The class, null if there is none.
+ */
+const getReadableStreamClass = (stream) => {
+	const { constructor } = stream;
+	if (
+		typeof constructor === "function" &&
+		constructor.prototype &&
+		typeof constructor.prototype.getReader === "function"
+	)
+		return constructor;
+	return typeof ReadableStream !== "undefined" ? ReadableStream : null;
+};
+
+/** Reads the chunks of a ReadableStream reader as an async iterable.
+ * @param {ReadableStreamDefaultReader} reader - The reader.
+ * @returns {AsyncIterable}
+ */
+async function* iterateReader(reader) {
+	let done = false;
+	try {
+		for (;;) {
+			const result = await reader.read();
+			if (result.done) {
+				done = true;
+				return;
+			}
+			yield result.value;
+		}
+	} finally {
+		// The consumer stopped early, the source is told to stop as well.
+		if (!done) await reader.cancel().catch(() => {});
+	}
+}
+
+/** Passes a streamed response through to its consumer while assembling its text.
+ * Chunks are read only as fast as the consumer reads them, so delivery is never held up.
+ * @param {ReadableStream|AsyncIterable} stream - The streamed response.
+ * @param {object} params - The parameters object.
+ *  @param {function(object): void} params.onEnd - Called once with `{text, timeToFirstTokenMs,
+ *    durationMs, aborted, error}` when the stream ends, fails or is cancelled by its consumer.
+ *  @param {function(any): string} [params.extractChunkText] - Gets the text of a chunk.
+ *  @param {number} [params.startTime] - When the response was requested, in milliseconds.
+ * @returns {ReadableStream|AsyncIterable} - A stream of the same chunks, a ReadableStream for a
+ *  ReadableStream and an async iterable otherwise, to deliver instead of `stream`. A
+ *  ReadableStream whose class cannot be found is passed on as an async iterable.
+ */
+export const teeStream = (
+	stream,
+	{
+		onEnd,
+		extractChunkText = defaultExtractChunkText,
+		startTime = Date.now(),
+	}
+) => {
+	const recorder = createRecorder(extractChunkText, startTime);
+	let ended = false;
+	const end = (aborted, error = null) => {
+		if (ended) return;
+		ended = true;
+		onEnd({ ...recorder.finish(), aborted, error });
+	};
+
+	const StreamClass =
+		typeof stream.getReader === "function"
+			? getReadableStreamClass(stream)
+			: null;
+	if (typeof stream.getReader === "function" && !StreamClass)
+		stream = iterateReader(stream.getReader());
+
+	if (StreamClass) {
+		const reader = stream.getReader();
+		return new StreamClass(
+			{
+				async pull(controller) {
+					let result;
+					try {
+						result = await reader.read();
+					} catch (error) {
+						end(true, error);
+						controller.error(error);
+						return;
+					}
+					if (result.done) {
+						end(false);
+						controller.close();
+						return;
+					}
+					recorder.record(result.value);
+					controller.enqueue(result.value);
+				},
+				cancel(reason) {
+					end(true, reason != null ? reason : null);
+					return reader.cancel(reason);
+				},
+			},
+			{ highWaterMark: 0 }
+		);
+	}
+
+	return (async function* () {
+		let completed = false;
+		let failure = null;
+		try {
+			for await (const chunk of stream) {
+				recorder.record(chunk);
+				yield chunk;
+			}
+			completed = true;
+		} catch (error) {
+			failure = error;
+			throw error;
+		} finally {
+			// Also reached when the consumer stops early, e.g. with `break`.
+			end(!completed, failure);
+		}
+	})();
+};
+
+/** Reads a streamed response to the end.
+ * @param {ReadableStream|AsyncIterable} stream - The streamed response.
+ * @param {object} [params] - The parameters object.
+ *  @param {function(any): string} [params.extractChunkText] - Gets the text of a chunk.
+ *  @param {number} [params.startTime] - When the response was requested, in milliseconds.
+ * @returns {Promise<{text: string, timeToFirstTokenMs: number|null, durationMs: number}>}
+ * @throws {Error} - The error of the stream, if it fails.
+ */
+export const readStream = async (
+	stream,
+	{ extractChunkText = defaultExtractChunkText, startTime = Date.now() } = {}
+) => {
+	const recorder = createRecorder(extractChunkText, startTime);
+	if (typeof stream.getReader === "function") {
+		const reader = stream.getReader();
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			recorder.record(value);
+		}
+	} else {
+		for await (const chunk of stream) recorder.record(chunk);
+	}
+	return recorder.finish();
+};
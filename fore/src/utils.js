@@ -4,7 +4,7 @@ import humps from "humps";
 
 export const MetricType = {
 	GROUNDEDNESS: "GROUNDEDNESS",
-    REFERENCE_FACT_RECALL: "REFERENCE_FACT_RECALL",
+	REFERENCE_FACT_RECALL: "REFERENCE_FACT_RECALL",
 };
 
 export const camelizeKeys = (obj) => {
@@ -21,3 +21,98 @@ export const camelizeKeys = (obj) => {
 	// Use humps.camelizeKeys with the custom camelizing function
 	return humps.camelizeKeys(obj, customProcessKeys);
 };
+
+/** Resolves after `ms` milliseconds, or as soon as `signal` is aborted.
+ * @param {number} ms - The number of milliseconds to wait.
+ * @param {AbortSignal?} signal - A signal that ends the wait early.
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal = null) =>
+	new Promise((resolve) => {
+		if (signal && signal.aborted) return resolve();
+
+		const onAbort = () => {
+			clearTimeout(timer);
+			resolve();
+		};
+		const timer = setTimeout(() => {
+			if (signal) signal.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		if (signal) signal.addEventListener("abort", onAbort, { once: true });
+	});
+
+/** Rejects with an error if the given promise does not settle within `timeoutMs`.
+ * The promise itself keeps running, use `onTimeout` to cancel the work behind it.
+ * @param {Promise<any>} promise - The promise to race against the timeout.
+ * @param {number|null} timeoutMs - The timeout in milliseconds. No timeout if null.
+ * @param {string} message - The message of the error thrown on timeout.
+ * @param {function(Error): void} [onTimeout] - Called with the error on timeout.
+ * @returns {Promise<any>} - The value the promise resolves to.
+ */
+export const withTimeout = (promise, timeoutMs, message, onTimeout = null) => {
+	if (timeoutMs == null) return promise;
+
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			const error = new Error(message);
+			if (onTimeout) onTimeout(error);
+			reject(error);
+		}, timeoutMs);
+	});
+
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/** Calls `fn` on every item, running at most `concurrency` calls at a time.
+ * After the first failure no new items are started; the calls already in
+ * flight are awaited and then the first error is thrown.
+ * @param {any[]} items - The items to process.
+ * @param {number} concurrency - The max number of calls running at a time.
+ * @param {function} fn - An async function called with (item, index).
+ * @returns {Promise<void>}
+ */
+export const runWithConcurrency = async (items, concurrency, fn) => {
+	let nextIndex = 0;
+	let firstError = null;
+
+	const worker = async () => {
+		while (firstError === null && nextIndex < items.length) {
+			const index = nextIndex++;
+			try {
+				await fn(items[index], index);
+			} catch (error) {
+				if (firstError === null) firstError = error;
+			}
+		}
+	};
+
+	const numWorkers = Math.max(1, Math.min(concurrency, items.length));
+	await Promise.all(Array.from({ length: numWorkers }, worker));
+
+	if (firstError !== null) throw firstError;
+};
+
+/** Computes the delay before retrying a failed request.
+ * The delay doubles with every attempt, with random jitter so that clients
+ * failing at the same time do not retry at the same time. A delay requested
+ * by the server through Retry-After takes precedence, up to `maxDelayMs`.
+ * @param {object} params - The parameters object.
+ *  @param {number} params.attempt - The number of the failed attempt, starting at 0.
+ *  @param {number} params.baseDelayMs - The delay after the first failed attempt.
+ *  @param {number} params.maxDelayMs - The upper limit of the delay.
+ *  @param {number?} params.retryAfterMs - The delay requested by the server, if any.
+ * @returns {number} - The delay in milliseconds.
+ */
+export const getRetryDelayMs = ({
+	attempt,
+	baseDelayMs,
+	maxDelayMs,
+	retryAfterMs = null,
+}) => {
+	if (retryAfterMs !== null) return Math.min(retryAfterMs, maxDelayMs);
+
+	const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+	return Math.round(delayMs / 2 + (Math.random() * delayMs) / 2);
+};
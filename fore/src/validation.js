@@ -0,0 +1,341 @@
+"use strict";
+
+import { ForesightResponseError, ForesightValidationError } from "./errors.js";
+import { MetricType } from "./utils.js";
+
+const MAX_ERRORS_IN_MESSAGE = 10;
+
+/** Describes the type of a value for error messages.
+ * @param {any} value - The value.
+ * @returns {string}
+ */
+const describeType = (value) => {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "an array";
+	if (typeof value === "number" && Number.isNaN(value)) return "NaN";
+	return typeof value === "object" ? "an object" : typeof value;
+};
+
+const TYPE_CHECKS = {
+	any: () => true,
+	string: (value) => typeof value === "string",
+	number: (value) => typeof value === "number" && !Number.isNaN(value),
+	integer: (value) => Number.isInteger(value),
+	boolean: (value) => typeof value === "boolean",
+	function: (value) => typeof value === "function",
+	array: (value) => Array.isArray(value),
+	object: (value) => typeof value === "object" && !Array.isArray(value),
+	date: (value) => value instanceof Date || typeof value === "string",
+};
+const EXPECTED = {
+	string: "a string",
+	number: "a number",
+	integer: "an integer",
+	boolean: "a boolean",
+	function: "a function",
+	array: "an array",
+	object: "an object",
+	date: "a Date or a date string",
+};
+
+/** Joins a field path and a key.
+ * @param {string} path - The path of the parent, e.g. "runConfig".
+ * @param {string|number} key - The key or array index.
+ * @returns {string}
+ */
+const joinPath = (path, key) =>
+	typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+/** Finds the fields of a value that do not match a schema.
+ * A schema is an object with a `type` ("string", "number", "integer", "boolean",
+ * "object", "array", "function", "date" or "any") and optionally:
+ *  - `optional`: undefined and null are allowed.
+ *  - `nonEmpty`: strings and arrays must not be empty.
+ *  - `min`: the lowest allowed number.
+ *  - `oneOf`: the allowed values.
+ *  - `items`: the schema of the items of an array.
+ *  - `properties`: the schemas of the properties of an object.
+ *  - `values`: the schema of every property of an object.
+ *  - `hints`: for objects, maps unexpected keys to the key that was probably meant.
+ * @param {any} value - The value.
+ * @param {object} schema - The schema.
+ * @param {string} path - The name of the value in error messages.
+ * @returns {{field: string, message: string}[]} - The invalid fields, empty if the value matches.
+ */
+export const findSchemaErrors = (value, schema, path) => {
+	const fail = (message) => [{ field: path, message }];
+
+	if (value === undefined && schema.type !== "any")
+		return schema.optional ? [] : fail(`${path} is required.`);
+	if (value === null && schema.type !== "any")
+		return schema.optional
+			? []
+			: fail(`${path} must be ${EXPECTED[schema.type]}, got null.`);
+	if (!TYPE_CHECKS[schema.type](value))
+		return fail(
+			`${path} must be ${EXPECTED[schema.type]}, got ${describeType(value)}.`
+		);
+	if (schema.type === "date" && Number.isNaN(new Date(value).getTime()))
+		return fail(
+			`${path} must be a valid date, got ${JSON.stringify(value)}.`
+		);
+
+	if (schema.nonEmpty && value.length === 0)
+		return fail(`${path} must not be empty.`);
+	if (schema.min != null && value < schema.min)
+		return fail(`${path} must be at least ${schema.min}, got ${value}.`);
+	if (schema.oneOf && !schema.oneOf.includes(value))
+		return fail(
+			`${path} must be one of ${schema.oneOf.join(", ")}, got ${JSON.stringify(value)}.`
+		);
+
+	if (schema.items)
+		return value.flatMap((item, index) =>
+			findSchemaErrors(item, schema.items, joinPath(path, index))
+		);
+
+	const errors = [];
+	if (schema.properties) {
+		for (const [key, propertySchema] of Object.entries(schema.properties)) {
+			if (
+				value[key] == null &&
+				schema.hints &&
+				!propertySchema.optional
+			) {
+				const hint = Object.keys(schema.hints).find(
+					(wrongKey) =>
+						schema.hints[wrongKey] === key && wrongKey in value
+				);
+				if (hint) {
+					errors.push({
+						field: joinPath(path, key),
+						message: `${joinPath(path, key)} is required, found ${hint} instead.`,
+					});
+					continue;
+				}
+			}
+			errors.push(
+				...findSchemaErrors(
+					value[key],
+					propertySchema,
+					joinPath(path, key)
+				)
+			);
+		}
+	}
+	if (schema.values) {
+		for (const [key, item] of Object.entries(value))
+			errors.push(
+				...findSchemaErrors(item, schema.values, joinPath(path, key))
+			);
+	}
+	return errors;
+};
+
+/** Formats invalid fields as an error message.
+ * @param {string} title - The first line of the message.
+ * @param {{field: string, message: string}[]} fieldErrors - The invalid fields.
+ * @returns {string}
+ */
+const formatFieldErrors = (title, fieldErrors) => {
+	const lines = fieldErrors
+		.slice(0, MAX_ERRORS_IN_MESSAGE)
+		.map(({ message }) => `- ${message}`);
+	if (fieldErrors.length > MAX_ERRORS_IN_MESSAGE)
+		lines.push(
+			`...and ${fieldErrors.length - MAX_ERRORS_IN_MESSAGE} more.`
+		);
+	return `${title}\n${lines.join("\n")}`;
+};
+
+/** Checks the input of a client method against a schema.
+ * @param {any} value - The input.
+ * @param {object} schema - The schema, see findSchemaErrors.
+ * @param {string} title - The first line of the error message.
+ * @param {string} [path] - The name of the input in error messages.
+ * @throws {ForesightValidationError} - If the input does not match. The invalid fields
+ *  are listed in `error.fieldErrors` as `{field, message}`.
+ */
+export const validateInput = (value, schema, title, path = "") => {
+	const fieldErrors = findSchemaErrors(value, schema, path);
+	if (fieldErrors.length === 0) return;
+
+	const error = new ForesightValidationError(
+		formatFieldErrors(title, fieldErrors)
+	);
+	error.fieldErrors = fieldErrors;
+	throw error;
+};
+
+/** Checks a response of the API against a schema.
+ * @param {any} data - The response data.
+ * @param {object} schema - The schema, see findSchemaErrors.
+ * @param {string} endpoint - The called endpoint.
+ * @throws {ForesightResponseError} - If the response does not match. The invalid fields
+ *  are listed in `error.fieldErrors` as `{field, message}`.
+ */
+export const validateResponse = (data, schema, endpoint) => {
+	const fieldErrors = findSchemaErrors(data, schema, "response");
+	if (fieldErrors.length === 0) return;
+
+	const error = new ForesightResponseError(
+		formatFieldErrors(`Unexpected response from ${endpoint}:`, fieldErrors),
+		{ endpoint, responseData: data }
+	);
+	error.fieldErrors = fieldErrors;
+	throw error;
+};
+
+const METRICS = {
+	type: "array",
+	nonEmpty: true,
+	items: { type: "string", oneOf: Object.values(MetricType) },
+};
+
+export const RUN_CONFIG = {
+	type: "object",
+	properties: {
+		evalsetId: { type: "string", nonEmpty: true },
+		experimentId: { type: "string", nonEmpty: true },
+		metrics: METRICS,
+	},
+	hints: { evalset_id: "evalsetId", experiment_id: "experimentId" },
+};
+
+export const SIMPLE_EVALSET = {
+	type: "object",
+	properties: {
+		evalsetId: { type: "string", nonEmpty: true },
+		queries: {
+			type: "array",
+			nonEmpty: true,
+			items: { type: "string", nonEmpty: true },
+		},
+		referenceAnswers: {
+			type: "array",
+			optional: true,
+			items: { type: "string", optional: true },
+		},
+	},
+};
+
+export const GENERATE_ANSWERS = {
+	type: "object",
+	properties: {
+		generateFn: { type: "function" },
+		runConfig: RUN_CONFIG,
+		batchSize: { type: "integer", min: 1 },
+		concurrency: { type: "integer", min: 1 },
+		timeoutMs: { type: "number", optional: true, min: 0 },
+		retries: { type: "integer", min: 0 },
+		retryDelayMs: { type: "number", min: 0 },
+	},
+};
+
+const CONTEXTS = { type: "array", items: { type: "string" } };
+const DEBUG_INFO = { type: "object", optional: true };
+
+export const INFERENCE_OUTPUT = {
+	type: "object",
+	properties: {
+		generatedResponse: { type: "string" },
+		contexts: CONTEXTS,
+		debugInfo: DEBUG_INFO,
+	},
+	hints: {
+		response: "generatedResponse",
+		generated_response: "generatedResponse",
+		answer: "generatedResponse",
+		context: "contexts",
+		debug_info: "debugInfo",
+	},
+};
+
+export const LOG_ENTRY = {
+	type: "object",
+	properties: {
+		query: { type: "string", nonEmpty: true },
+		response: { type: "string" },
+		contexts: { ...CONTEXTS, optional: true },
+		tag: { type: "string", optional: true },
+		referenceAnswer: { type: "string", optional: true },
+		debugInfo: DEBUG_INFO,
+		entryId: { type: "string", optional: true },
+		timestamp: { type: "date", optional: true },
+		metrics: { ...METRICS, optional: true },
+	},
+	hints: { generatedResponse: "response", context: "contexts" },
+};
+
+const EVALSET_METADATA = {
+	type: "object",
+	properties: {
+		evalsetId: { type: "string" },
+		numEntries: { type: "integer" },
+	},
+};
+
+const EVALRUN_ENTRY = {
+	type: "object",
+	properties: {
+		input: {
+			type: "object",
+			properties: { query: { type: "string" } },
+		},
+		output: {
+			type: "object",
+			optional: true,
+			properties: {
+				generatedResponse: { type: "string" },
+				contexts: CONTEXTS,
+			},
+		},
+		metricValues: {
+			type: "object",
+			optional: true,
+			values: { type: "number", optional: true },
+		},
+	},
+};
+
+/** The expected shapes of the API responses, by endpoint, after camelizing. */
+export const RESPONSE_SCHEMAS = {
+	"post /api/eval/set": EVALSET_METADATA,
+	"get /api/eval/set": {
+		type: "object",
+		properties: {
+			evalsetId: { type: "string" },
+			entries: {
+				type: "array",
+				items: {
+					type: "object",
+					properties: {
+						entryId: { type: "string" },
+						query: { type: "string" },
+					},
+				},
+			},
+		},
+	},
+	"get /api/eval/set/summaries": {
+		type: "array",
+		items: EVALSET_METADATA,
+	},
+	"get /api/eval/run/queries": {
+		type: "object",
+		values: { type: "string" },
+	},
+	"get /api/eval/run/details": {
+		type: "object",
+		properties: {
+			entries: { type: "array", items: EVALRUN_ENTRY },
+		},
+	},
+	"get /api/eval/run/summaries": {
+		type: "array",
+		items: {
+			type: "object",
+			properties: { experimentId: { type: "string" } },
+		},
+	},
+};
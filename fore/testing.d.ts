@@ -0,0 +1,83 @@
+/// <reference types="node" />
+
+import type { AxiosAdapter, AxiosInstance } from "axios";
+import type { Server } from "http";
+
+/** What a `scores` function of FakeForesight receives for every metric of an entry. */
+export interface FakeScoreInput {
+	metric: string;
+	experimentId: string;
+	entryId: string;
+	query: string;
+	referenceAnswer: string | null;
+	generatedResponse: string;
+	contexts: string[];
+}
+
+export interface FakeForesightOptions {
+	/**
+	 * The fake metric scores: a number for every metric, a score (or null) by metric,
+	 * or a function of the entry. Defaults to a stable pseudo-random score.
+	 */
+	scores?:
+		| number
+		| Record<string, number | null>
+		| ((input: FakeScoreInput) => number | null)
+		| null;
+	/** The only API token accepted. Any token is accepted if null. */
+	apiToken?: string | null;
+	/** The most items returned per page, whatever limit is asked for. No cap if null. */
+	maxPageSize?: number | null;
+}
+
+/** A request received by FakeForesight. */
+export interface FakeRequest {
+	method: string;
+	path: string;
+	query: Record<string, string>;
+	body: any;
+}
+
+export interface FakeFailureOptions {
+	/** Only fail requests with this HTTP method. */
+	method?: string | null;
+	/** The HTTP status of the failures. Defaults to 500. */
+	status?: number;
+	/** The error message. */
+	detail?: string;
+	/** How many requests fail. Defaults to 1. */
+	times?: number;
+}
+
+export interface FakeServerHandle {
+	/** The URL to use as `apiUrl`. */
+	url: string;
+	server: Server;
+	close(): Promise<void>;
+}
+
+/** An in-memory fake of the foresight API for tests. */
+export declare class FakeForesight {
+	constructor(options?: FakeForesightOptions);
+	scores: FakeForesightOptions["scores"];
+	apiToken: string | null;
+	maxPageSize: number | null;
+	/** The requests received so far. */
+	requests: FakeRequest[];
+	/** An axios adapter that sends requests to this fake. */
+	adapter: AxiosAdapter;
+	reset(): void;
+	failNext(path: string, options?: FakeFailureOptions): void;
+	getEvalrunDetails(experimentId: string): Record<string, any> | null;
+	handle(request: {
+		method: string;
+		path: string;
+		query?: Record<string, unknown> | null;
+		body?: any;
+		headers?: Record<string, unknown>;
+	}): { status: number; data: any };
+	/** Creates an axios instance for the `axiosInstance` option of the client. */
+	createAxiosInstance(): AxiosInstance;
+	/** Serves this fake over HTTP. */
+	listen(port?: number, host?: string): Promise<FakeServerHandle>;
+}
@@ -0,0 +1,3 @@
+import FakeForesight from "./src/fakeServer.js";
+
+export { FakeForesight };